@@ -0,0 +1,163 @@
+import * as BABYLON from '@babylonjs/core';
+
+// Floating panel for the array tool. Every change refreshes the live preview;
+// Apply creates the copies, Cancel (or an empty selection) discards the preview.
+export class ArrayPanel {
+	constructor (objectManager) {
+		this.manager = objectManager;
+		this.arrayManager = objectManager.arrayManager;
+		this.panel = document.getElementById('array-panel');
+		this.toggleButton = document.getElementById('btnArray');
+		
+		this.isVisible = false;
+		this.pathPoints = [];
+		
+		if (!this.panel) return;
+		
+		this.setupUI();
+		
+		// Subscribe to manager events
+		const originalSelectionChange = this.manager.onSelectionChange;
+		this.manager.onSelectionChange = (data) => {
+			if (originalSelectionChange) originalSelectionChange(data);
+			this.onSelectionChange(data);
+		};
+	}
+	
+	setupUI () {
+		const getEl = (id) => document.getElementById(id);
+		
+		if (this.toggleButton) {
+			this.toggleButton.onclick = () => {
+				if (this.isVisible) this.close();
+				else this.open();
+			};
+		}
+		
+		getEl('btnCloseArray').onclick = () => this.close();
+		getEl('btnArrayCancel').onclick = () => this.close();
+		getEl('btnArrayApply').onclick = () => this.apply();
+		
+		// Any input change refreshes the preview
+		this.panel.querySelectorAll('input, select').forEach(input => {
+			input.addEventListener('input', () => this.refreshPreview());
+		});
+		getEl('arrayMode').addEventListener('change', () => this.updateModeUI());
+		
+		const btnDrawPath = getEl('btnArrayDrawPath');
+		btnDrawPath.onclick = () => {
+			const scene = this.manager.builderScene;
+			if (scene.pointPick) {
+				scene.cancelPointPick();
+				return;
+			}
+			
+			btnDrawPath.classList.add('active');
+			this.setPathInfo('Click points on the ground, Enter to finish, Esc to cancel.');
+			scene.pickPoints(Infinity, {
+				onPoint: (points) => this.setPathInfo(`${points.length} point(s). Enter to finish.`),
+				onDone: (points) => {
+					btnDrawPath.classList.remove('active');
+					this.pathPoints = points;
+					this.refreshPreview();
+				},
+				onCancel: () => {
+					btnDrawPath.classList.remove('active');
+					this.refreshPreview();
+				}
+			}, { groundOnly: true });
+		};
+	}
+	
+	onSelectionChange (data) {
+		const hasSelection = data && data.length > 0;
+		if (this.toggleButton) this.toggleButton.disabled = !hasSelection;
+		
+		if (!this.isVisible) return;
+		if (hasSelection) this.refreshPreview();
+		else this.close();
+	}
+	
+	open () {
+		if (this.manager.selectedMeshes.length === 0) return;
+		
+		// Start with copies side by side, like addAssetGrid spaces by the bounding box
+		let min = Number.MAX_VALUE;
+		let max = -Number.MAX_VALUE;
+		this.manager.selectedMeshes.forEach(m => {
+			const bounds = m.getHierarchyBoundingVectors(true);
+			min = Math.min(min, bounds.min.x);
+			max = Math.max(max, bounds.max.x);
+		});
+		document.getElementById('arrayOffsetX').value = parseFloat((max - min).toFixed(3)) || 1;
+		
+		this.isVisible = true;
+		this.panel.style.display = 'flex';
+		if (this.toggleButton) this.toggleButton.classList.add('active');
+		this.updateModeUI();
+	}
+	
+	close () {
+		this.isVisible = false;
+		this.panel.style.display = 'none';
+		if (this.toggleButton) this.toggleButton.classList.remove('active');
+		
+		if (this.manager.builderScene.pointPick) this.manager.builderScene.cancelPointPick();
+		this.arrayManager.cancelPreview();
+	}
+	
+	apply () {
+		// Selection changes during commit must not restart the preview
+		this.isVisible = false;
+		this.arrayManager.updatePreview(this.readSettings());
+		this.arrayManager.commit();
+		this.close();
+	}
+	
+	updateModeUI () {
+		const mode = document.getElementById('arrayMode').value;
+		this.panel.querySelectorAll('.array-mode-section').forEach(section => {
+			section.style.display = section.dataset.mode === mode ? 'flex' : 'none';
+		});
+		this.refreshPreview();
+	}
+	
+	refreshPreview () {
+		if (!this.isVisible) return;
+		
+		const settings = this.readSettings();
+		document.getElementById('arrayPivotInfo').innerText = this.manager.pivotManager.cursorPosition
+			? 'Pivot: 3D Cursor'
+			: 'Pivot: Selection Center (place the 3D cursor to turn around another point)';
+		if (settings.mode === 'path' && !this.manager.builderScene.pointPick) {
+			this.setPathInfo(this.pathPoints.length > 1 ? `Path with ${this.pathPoints.length} points.` : 'No path drawn.');
+		}
+		
+		this.arrayManager.updatePreview(settings);
+	}
+	
+	readSettings () {
+		const num = (id, fallback) => {
+			const value = parseFloat(document.getElementById(id).value);
+			return isNaN(value) ? fallback : value;
+		};
+		const vec = (prefix, fallback) => new BABYLON.Vector3(num(`${prefix}X`, fallback), num(`${prefix}Y`, fallback), num(`${prefix}Z`, fallback));
+		
+		return {
+			mode: document.getElementById('arrayMode').value,
+			count: Math.min(200, num('arrayCount', 1)),
+			offset: vec('arrayOffset', 0),
+			rotation: vec('arrayRot', 0),
+			scale: vec('arrayScale', 1),
+			axis: document.getElementById('arrayAxis').value,
+			sweep: num('arraySweep', 360),
+			rotateCopies: document.getElementById('chkArrayRotateCopies').checked,
+			pathPoints: this.pathPoints,
+			alignToPath: document.getElementById('chkArrayAlignPath').checked
+		};
+	}
+	
+	setPathInfo (text) {
+		document.getElementById('arrayPathInfo').innerText = text;
+	}
+}
@@ -0,0 +1,122 @@
+// Rolling autosave snapshots stored in IndexedDB.
+// LocalStorage only keeps the latest autosave (and is too small for large maps), so every
+// autosave that changed the map is also written here as a timestamped restore point.
+// Snapshot metadata and map data live in separate stores so listing stays cheap.
+
+const DB_NAME = 'builder_autosave_history';
+const DB_VERSION = 1;
+const META_STORE = 'snapshots';
+const DATA_STORE = 'snapshotData';
+
+let dbPromise = null;
+
+function openDatabase() {
+	if (dbPromise) return dbPromise;
+	
+	dbPromise = new Promise((resolve, reject) => {
+		if (!window.indexedDB) {
+			reject(new Error('IndexedDB is not available'));
+			return;
+		}
+		
+		const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			if (!db.objectStoreNames.contains(META_STORE)) {
+				db.createObjectStore(META_STORE, { keyPath: 'id', autoIncrement: true });
+			}
+			if (!db.objectStoreNames.contains(DATA_STORE)) {
+				db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+			}
+		};
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+	
+	// Allow a retry if opening failed (e.g. blocked by another tab)
+	dbPromise.catch(() => { dbPromise = null; });
+	
+	return dbPromise;
+}
+
+function promisify(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+function transactionDone(tx) {
+	return new Promise((resolve, reject) => {
+		tx.oncomplete = () => resolve();
+		tx.onerror = () => reject(tx.error);
+		tx.onabort = () => reject(tx.error);
+	});
+}
+
+/**
+ * Stores a new snapshot
+ * @param {Object} meta - { createdAt, mapName, objectCount, lightCount, cameraCount, groupCount, thumbnail }
+ * @param {Object} data - Map data from ObjectManager.getMapData()
+ * @returns {Promise<number>} The snapshot id
+ */
+export async function addSnapshot(meta, data) {
+	const db = await openDatabase();
+	const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+	
+	const id = await promisify(tx.objectStore(META_STORE).add(meta));
+	tx.objectStore(DATA_STORE).put({ id, data });
+	
+	await transactionDone(tx);
+	return id;
+}
+
+/**
+ * Lists snapshot metadata, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listSnapshots() {
+	const db = await openDatabase();
+	const tx = db.transaction(META_STORE, 'readonly');
+	const snapshots = await promisify(tx.objectStore(META_STORE).getAll());
+	
+	return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function getSnapshotData(id) {
+	const db = await openDatabase();
+	const tx = db.transaction(DATA_STORE, 'readonly');
+	const record = await promisify(tx.objectStore(DATA_STORE).get(id));
+	
+	return record ? record.data : null;
+}
+
+export async function deleteSnapshot(id) {
+	const db = await openDatabase();
+	const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+	tx.objectStore(META_STORE).delete(id);
+	tx.objectStore(DATA_STORE).delete(id);
+	
+	await transactionDone(tx);
+}
+
+/**
+ * Removes snapshots beyond the count limit or older than the age limit.
+ * The newest snapshot is always kept.
+ * @param {number} maxCount - Maximum number of snapshots (0 = unlimited)
+ * @param {number} maxAgeDays - Maximum age in days (0 = unlimited)
+ */
+export async function pruneSnapshots(maxCount, maxAgeDays) {
+	const snapshots = await listSnapshots();
+	const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+	
+	const expired = snapshots.filter((snap, index) => {
+		if (index === 0) return false;
+		if (maxCount > 0 && index >= maxCount) return true;
+		return cutoff !== null && snap.createdAt < cutoff;
+	});
+	
+	for (const snap of expired) {
+		await deleteSnapshot(snap.id);
+	}
+}
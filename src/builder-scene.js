@@ -1,6 +1,7 @@
 import * as BABYLON from '@babylonjs/core';
 import '@babylonjs/loaders/glTF';
 import { ObjectManager } from './object-manager';
+import { FRONT_GRID_LAYER, SIDE_GRID_LAYER } from './managers/viewport-manager';
 
 export class BuilderScene {
 	constructor (canvas) {
@@ -10,6 +11,7 @@ export class BuilderScene {
 		this.camera = null;
 		this.shadowGenerators = new Map(); // Map<LightID, ShadowGenerator>
 		this.groundMesh = null;
+		this.gridBackdrops = []; // Vertical grids for the front and side views
 		
 		this.objectManager = null;
 		
@@ -24,6 +26,15 @@ export class BuilderScene {
 		this.isCtrlDown = false;
 		this.isAltDown = false;
 		
+		// Marquee (Box) Selection State
+		this.isBoxSelectMode = false; // When on, drags over objects start a marquee too
+		this.marquee = null; // { startX, startY, x, y, isDragging, pick, isMultiSelect, selectOnClick }
+		this.marqueeElement = null;
+		this.onBoxSelectModeChange = null;
+		
+		// Point Picking (tools that ask for positions in the scene)
+		this.pointPick = null; // { count, points, markers, line, callbacks, groundOnly }
+		
 		// Thumbnail Generation State
 		this.savedState = null;
 	}
@@ -40,37 +51,20 @@ export class BuilderScene {
 		// 2. Scene
 		this.scene = new BABYLON.Scene(this.engine);
 		
-		// 3. Camera
-		this.camera = new BABYLON.ArcRotateCamera('EditorCamera', -Math.PI / 2, Math.PI / 3, 20, BABYLON.Vector3.Zero(), this.scene);
-		this.camera.wheelPrecision = 50;
-		this.camera.lowerRadiusLimit = 2;
-		this.camera.upperRadiusLimit = 200;
-		
-		// --- Camera Input Configuration ---
-		// Attach control immediately so scroll wheel works all the time
-		this.camera.attachControl(this.canvas, true);
-		this.camera.inputs.remove(this.camera.inputs.attached.keyboard);
-		
-		// 0 disables panning completely (Standard Input)
-		this.camera.panningSensibility = 0;
-		
-		// Infinity makes the camera infinitely hard to rotate (effectively locking it)
-		this.camera.angularSensibilityX = Infinity;
-		this.camera.angularSensibilityY = Infinity;
-		
-		// 4. Object Manager (Handles Logic)
+		// 3. Object Manager (Handles Logic)
 		// Pass 'this' (BuilderScene) instead of scene and shadowGenerator
 		// so ObjectManager can request shadow generator setup.
+		// Its CameraManager creates the EditorCamera (this.camera).
 		this.objectManager = new ObjectManager(this);
 		
-		// 5. Grid (Created after settings are loaded in UI, but init here with defaults)
+		// 4. Grid (Created after settings are loaded in UI, but init here with defaults)
 		this.createGrid(this.objectManager.gridSize);
 		
-		// 6. Interaction
+		// 5. Interaction
 		this.setupInteraction();
 		this.setupKeyboardControls();
 		
-		// 7. Render Loop
+		// 6. Render Loop
 		this.engine.runRenderLoop(() => {
 			this.scene.render();
 		});
@@ -157,17 +151,28 @@ export class BuilderScene {
 	
 	// --- Camera Locking ---
 	setCameraLocked (isLocked) {
-		if (isLocked) {
-			this.camera.detachControl();
-		} else {
-			this.camera.attachControl(this.canvas, true);
-		}
+		// Applies to whichever view camera has the input (the pane under the pointer)
+		this.objectManager.viewportManager.setInputLocked(isLocked);
+	}
+	
+	// Camera that view commands (reset, focus) move: the view under the pointer
+	getFocusCamera () {
+		const viewportManager = this.objectManager.viewportManager;
+		const camera = viewportManager.inputCamera;
+		return viewportManager.isViewCamera(camera) ? camera : this.camera;
 	}
 	
 	// --- Thumbnail Generation Helpers ---
 	prepareForThumbnailGeneration () {
+		// Thumbnails are rendered through the EditorCamera, filling the canvas
+		const viewportManager = this.objectManager.viewportManager;
+		const viewportState = viewportManager.getState();
+		this.objectManager.cameraManager.setView(null);
+		viewportManager.setState({ layout: 'single', view: 'perspective', view3D: 'perspective' });
+		
 		// Save current state
 		this.savedState = {
+			viewportState: viewportState,
 			cameraAlpha: this.camera.alpha,
 			cameraBeta: this.camera.beta,
 			cameraRadius: this.camera.radius,
@@ -204,6 +209,7 @@ export class BuilderScene {
 		this.camera.beta = this.savedState.cameraBeta;
 		this.camera.radius = this.savedState.cameraRadius;
 		this.camera.setTarget(this.savedState.cameraTarget);
+		this.objectManager.viewportManager.setState(this.savedState.viewportState);
 		
 		// Restore Visibility
 		this.groundMesh.setEnabled(this.savedState.gridEnabled);
@@ -229,17 +235,31 @@ export class BuilderScene {
 		const targetAlpha = -Math.PI / 2;
 		const targetBeta = Math.PI / 3;
 		
+		this.objectManager.cameraManager.setView(null);
+		this.animateCamera(this.getFocusCamera(), { target: targetPos, radius: targetRadius, alpha: targetAlpha, beta: targetBeta });
+	}
+	
+	/**
+	 * Smoothly moves an editor view camera (Reset Camera, camera bookmarks, framing)
+	 * @param {BABYLON.ArcRotateCamera} camera
+	 * @param {Object} state - { target, radius, alpha, beta }; without alpha and beta the view direction is kept
+	 * @param {number} durationFrames - Length of the transition at 60 fps
+	 */
+	animateCamera (camera, state, durationFrames = 45) {
 		// Stop existing animations
-		this.scene.stopAnimation(this.camera);
+		this.scene.stopAnimation(camera);
 		
 		// Create animations for smooth transition
 		const frameRate = 60;
-		const durationFrames = 45;
 		
-		BABYLON.Animation.CreateAndStartAnimation('camTarget', this.camera, 'target', frameRate, durationFrames, this.camera.target.clone(), targetPos, BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT);
-		BABYLON.Animation.CreateAndStartAnimation('camRadius', this.camera, 'radius', frameRate, durationFrames, this.camera.radius, targetRadius, BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT);
-		BABYLON.Animation.CreateAndStartAnimation('camAlpha', this.camera, 'alpha', frameRate, durationFrames, this.camera.alpha, targetAlpha, BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT);
-		BABYLON.Animation.CreateAndStartAnimation('camBeta', this.camera, 'beta', frameRate, durationFrames, this.camera.beta, targetBeta, BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT);
+		BABYLON.Animation.CreateAndStartAnimation('camTarget', camera, 'target', frameRate, durationFrames, camera.target.clone(), state.target, BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT);
+		BABYLON.Animation.CreateAndStartAnimation('camRadius', camera, 'radius', frameRate, durationFrames, camera.radius, state.radius, BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT);
+		
+		// Top, front and side views keep looking along their axis
+		if (state.alpha !== undefined && this.objectManager.viewportManager.canOrbit(camera)) {
+			BABYLON.Animation.CreateAndStartAnimation('camAlpha', camera, 'alpha', frameRate, durationFrames, camera.alpha, state.alpha, BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT);
+			BABYLON.Animation.CreateAndStartAnimation('camBeta', camera, 'beta', frameRate, durationFrames, camera.beta, state.beta, BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT);
+		}
 	}
 	
 	/**
@@ -248,35 +268,53 @@ export class BuilderScene {
 	 */
 	zoomToMesh (mesh) {
 		if (!mesh) return;
-		
-		// Animate Camera Focus
-		const targetPos = mesh.position.clone();
-		const targetRadius = 10;
-		const frameRate = 60;
-		const durationFrames = 30;
-		
-		this.scene.stopAnimation(this.camera);
-		
-		BABYLON.Animation.CreateAndStartAnimation(
-			'camTarget',
-			this.camera,
-			'target',
-			frameRate,
-			durationFrames,
-			this.camera.target.clone(),
-			targetPos,
-			BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
-		);
-		
-		BABYLON.Animation.CreateAndStartAnimation(
-			'camRadius',
+		this.frameMeshes([mesh]);
+	}
+	
+	/**
+	 * Fits the combined hierarchy bounds of meshes into the view under the pointer,
+	 * keeping its view direction
+	 * @param {Array<BABYLON.AbstractMesh>} meshes
+	 * @returns {boolean} False if there was nothing to frame
+	 */
+	frameMeshes (meshes) {
+		let min = null;
+		let max = null;
+		meshes.forEach(mesh => {
+			if (!mesh || !mesh.isEnabled()) return;
+			mesh.computeWorldMatrix(true);
+			const bounds = mesh.getHierarchyBoundingVectors(true);
+			min = min ? BABYLON.Vector3.Minimize(min, bounds.min) : bounds.min;
+			max = max ? BABYLON.Vector3.Maximize(max, bounds.max) : bounds.max;
+		});
+		if (!min) return false;
+		
+		// Frame the bounding sphere, with some room around it. Flat and tiny objects
+		// still get a minimum size so the camera does not end up inside them.
+		const center = BABYLON.Vector3.Center(min, max);
+		const sphereRadius = Math.max(max.subtract(min).length() / 2, 0.5) * 1.1;
+		
+		this.objectManager.cameraManager.setView(null);
+		const camera = this.getFocusCamera();
+		const radius = this.objectManager.viewportManager.getFitRadius(camera, sphereRadius);
+		
+		this.animateCamera(camera, {
+			target: center,
+			radius: BABYLON.Scalar.Clamp(radius, camera.lowerRadiusLimit, camera.upperRadiusLimit)
+		}, 30);
+		return true;
+	}
+	
+	/**
+	 * Captures the current editor view as a small PNG for the map library
+	 * @returns {Promise<string>} PNG data URL
+	 */
+	captureMapThumbnail () {
+		return BABYLON.Tools.CreateScreenshotAsync(
+			this.engine,
 			this.camera,
-			'radius',
-			frameRate,
-			durationFrames,
-			this.camera.radius,
-			targetRadius,
-			BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
+			{ width: 256, height: 160 },
+			'image/png'
 		);
 	}
 	
@@ -295,6 +333,10 @@ export class BuilderScene {
 			mat.diffuseTexture = gridTexture;
 			mat.specularColor = new BABYLON.Color3(0, 0, 0);
 			this.groundMesh.material = mat;
+			
+			// Keeps the lines crisp at the grazing angles of low perspective views
+			gridTexture.anisotropicFilteringLevel = 16;
+			this.createGridBackdrops(gridTexture, width, height);
 		}
 		
 		const gridTexture = this.groundMesh.material.diffuseTexture;
@@ -339,6 +381,32 @@ export class BuilderScene {
 		gridTexture.update();
 	}
 	
+	// Front and side views look along the ground, so they get an upright copy of the grid.
+	// Each backdrop stands behind the scene and is only drawn by its own ortho camera,
+	// where the distance does not change its size.
+	createGridBackdrops (gridTexture, width, height) {
+		const mat = new BABYLON.StandardMaterial('gridBackdropMat', this.scene);
+		mat.emissiveTexture = gridTexture;
+		mat.disableLighting = true;
+		
+		const distance = Math.max(width, height) / 2 + 5;
+		
+		const front = BABYLON.MeshBuilder.CreatePlane('gridBackdropFront', { width: width, height: height, sideOrientation: BABYLON.Mesh.DOUBLESIDE }, this.scene);
+		front.position.z = distance;
+		front.layerMask = FRONT_GRID_LAYER;
+		
+		const side = BABYLON.MeshBuilder.CreatePlane('gridBackdropSide', { width: height, height: height, sideOrientation: BABYLON.Mesh.DOUBLESIDE }, this.scene);
+		side.rotation.y = Math.PI / 2;
+		side.position.x = -distance;
+		side.layerMask = SIDE_GRID_LAYER;
+		
+		this.gridBackdrops = [front, side];
+		this.gridBackdrops.forEach(m => {
+			m.material = mat;
+			m.isPickable = false;
+		});
+	}
+	
 	// Helper to darken/lighten hex color for gradient
 	shadeColor (color, percent) {
 		let R = parseInt(color.substring(1, 3), 16);
@@ -382,6 +450,19 @@ export class BuilderScene {
 				e.preventDefault(); // Prevent browser menu focus
 			}
 			
+			// Box Select toggle (B) and marquee cancel (Escape)
+			if (!['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+				if (e.key === 'Escape' && this.marquee) {
+					this.cancelMarquee();
+				} else if (e.key === 'Escape' && this.pointPick) {
+					this.cancelPointPick();
+				} else if (e.key === 'Enter' && this.pointPick) {
+					this.finishPointPick();
+				} else if (e.key.toLowerCase() === 'b' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+					this.setBoxSelectMode(!this.isBoxSelectMode);
+				}
+			}
+			
 			// Arrow Key Nudge Logic
 			if (this.objectManager.selectedMeshes.length > 0) {
 				// Ignore if user is typing in an input
@@ -415,6 +496,10 @@ export class BuilderScene {
 				if (handled) {
 					e.preventDefault(); // Stop camera movement / scrolling
 					this.objectManager.nudgeSelection(dx, dy, dz);
+				} else if (e.key === 'End') {
+					// Drop to surface (Shift also aligns to the surface normal)
+					e.preventDefault();
+					this.objectManager.dropToSurface(e.shiftKey);
 				}
 			}
 		});
@@ -431,6 +516,8 @@ export class BuilderScene {
 		window.addEventListener('blur', () => {
 			this.isCtrlDown = false;
 			this.isAltDown = false;
+			this.cancelMarquee();
+			this.objectManager.scatterManager.endStroke();
 		});
 		
 		window.addEventListener('focus', () => {
@@ -440,7 +527,21 @@ export class BuilderScene {
 	}
 	
 	setupInteraction () {
+		// The pane under the pointer gets camera input, picking and the gizmos. Runs before
+		// Babylon's own handlers (capture), and not while a button is held so drags stay in their pane.
+		const selectPane = (e) => {
+			const rect = this.canvas.getBoundingClientRect();
+			const viewportManager = this.objectManager.viewportManager;
+			const pane = viewportManager.getPaneAt(e.clientX - rect.left, e.clientY - rect.top);
+			if (pane) viewportManager.setInputPane(pane);
+		};
+		this.canvas.addEventListener('pointermove', (e) => { if (e.buttons === 0) selectPane(e); }, true);
+		this.canvas.addEventListener('pointerdown', selectPane, true);
+		
 		this.scene.onPointerObservable.add((pointerInfo) => {
+			// Walk mode uses the pointer for mouse look only
+			if (this.objectManager.walkManager.isWalking) return;
+			
 			switch (pointerInfo.type) {
 				case BABYLON.PointerEventTypes.POINTERDOWN:
 					this.handlePointerDown(pointerInfo);
@@ -459,60 +560,253 @@ export class BuilderScene {
 	}
 	
 	handlePointerDown (info) {
+		const pick = info.pickInfo;
+		const isMultiSelect = info.event.shiftKey;
+		
+		// Ctrl and Ctrl+Shift drags are marquee modes (subtract, toggle), so they start
+		// before Ctrl is taken as the camera key. Ctrl+move without a button still pans,
+		// and a Ctrl click without dragging selects nothing, as before.
+		if (this.isCtrlDown && !this.isAltDown && this.canStartMarquee(info, pick)) {
+			this.startMarquee(pick, isMultiSelect, false);
+			return;
+		}
+		
 		// If manipulating camera, do not select objects
 		if (this.isCtrlDown || this.isAltDown) return;
 		
-		const pick = info.pickInfo;
-		const isMultiSelect = info.event.shiftKey;
+		// A tool is waiting for a point: consume the click
+		if (this.pointPick) {
+			const isValidHit = pick.hit && (!this.pointPick.groundOnly || pick.pickedMesh === this.groundMesh);
+			if (info.event.button === 0 && isValidHit) this.addPickedPoint(pick.pickedPoint);
+			return;
+		}
 		
-		if (pick.hit) {
-			// Check if we are in "Placement Mode" (an asset is selected in sidebar)
-			// FIX: Use activeAssetName instead of activeAssetFile
-			if (this.objectManager.activeAssetName) {
-				// Use the Ghost Position calculated during PointerMove
-				const targetPosition = this.objectManager.ghostPosition.clone();
-				
-				// Place the asset using the calculated ghost position
-				this.objectManager.addAsset(this.objectManager.activeAssetName, targetPosition);
-				
-				// Stop processing (don't select the object underneath)
-				return;
+		// Scatter brush: left button paints (or erases) instead of selecting
+		const scatter = this.objectManager.scatterManager;
+		if (scatter.isActive) {
+			if (info.event.button === 0 && !this.objectManager.gizmoController.isHovered) {
+				scatter.beginStroke(this.pickBrushSurface());
 			}
+			return;
+		}
+		
+		// Check if we are in "Placement Mode" (an asset is selected in sidebar)
+		// FIX: Use activeAssetName instead of activeAssetFile
+		if (this.objectManager.activeAssetName && (pick.hit || this.pickPlacementSurface().hit)) {
+			// Use the Ghost Position calculated during PointerMove
+			const targetPosition = this.objectManager.ghostPosition.clone();
 			
-			// 1. Handle Grid Click (Deselect)
-			if (pick.pickedMesh === this.groundMesh) {
-				// If clicking grid without shift, deselect all
-				if (!isMultiSelect) {
-					this.objectManager.selectObject(null, false);
-				}
-				return;
-			}
+			// Place the asset using the calculated ghost position
+			this.objectManager.addAsset(this.objectManager.activeAssetName, targetPosition);
 			
-			// 2. Handle Object Click
-			let mesh = pick.pickedMesh;
-			// Traverse up to find the root object with metadata
-			while (mesh && (!mesh.metadata || !mesh.metadata.isObject) && mesh.parent) {
-				mesh = mesh.parent;
+			// Stop processing (don't select the object underneath)
+			return;
+		}
+		
+		if (this.canStartMarquee(info, pick)) {
+			this.startMarquee(pick, isMultiSelect);
+			return;
+		}
+		
+		this.handleClickSelection(pick, isMultiSelect);
+	}
+	
+	// Left drag from empty space (or anywhere in Box Select mode) draws a marquee,
+	// unless a tool or the placement ghost owns the pointer
+	canStartMarquee (info, pick) {
+		const isEmptySpace = !pick.hit || pick.pickedMesh === this.groundMesh;
+		return info.event.button === 0 &&
+			!this.pointPick &&
+			!this.objectManager.scatterManager.isActive &&
+			!this.objectManager.activeAssetName &&
+			(isEmptySpace || this.isBoxSelectMode) &&
+			!this.objectManager.gizmoController.isHovered;
+	}
+	
+	// The click is resolved on pointer up if the pointer barely moved (when selectOnClick)
+	startMarquee (pick, isMultiSelect, selectOnClick = true) {
+		this.marquee = {
+			startX: this.scene.pointerX,
+			startY: this.scene.pointerY,
+			x: this.scene.pointerX,
+			y: this.scene.pointerY,
+			isDragging: false,
+			pick,
+			isMultiSelect,
+			selectOnClick
+		};
+	}
+	
+	handleClickSelection (pick, isMultiSelect) {
+		if (!pick.hit) return;
+		
+		// 1. Handle Grid Click (Deselect)
+		if (pick.pickedMesh === this.groundMesh) {
+			// If clicking grid without shift, deselect all
+			if (!isMultiSelect) {
+				this.objectManager.selectObject(null, false);
 			}
-			
-			if (mesh && mesh.metadata && mesh.metadata.isObject) {
-				// Check if object is locked
-				const objData = this.objectManager.placedObjects.find(o => o.id === mesh.metadata.id);
-				// Allow selection if Shift (isMultiSelect) is pressed, even if locked
-				if (objData && objData.isLocked && !isMultiSelect) {
-					// Prevent selection from canvas if locked
-					return;
-				}
-				
-				// Select logic (handles toggle for multi-select inside manager)
-				this.objectManager.selectObject(mesh, isMultiSelect);
+			return;
+		}
+		
+		// 2. Handle Object Click
+		let mesh = pick.pickedMesh;
+		// Traverse up to find the root object with metadata
+		while (mesh && (!mesh.metadata || !mesh.metadata.isObject) && mesh.parent) {
+			mesh = mesh.parent;
+		}
+		
+		if (mesh && mesh.metadata && mesh.metadata.isObject) {
+			// Check if object is locked
+			const objData = this.objectManager.placedObjects.find(o => o.id === mesh.metadata.id);
+			// Allow selection if Shift (isMultiSelect) is pressed, even if locked
+			if (objData && objData.isLocked && !isMultiSelect) {
+				// Prevent selection from canvas if locked
+				return;
 			}
+			
+			// Select logic (handles toggle for multi-select inside manager)
+			this.objectManager.selectObject(mesh, isMultiSelect);
+		}
+	}
+	
+	// --- Point Picking ---
+	
+	/**
+	 * Collects points clicked on the ground or on objects, then calls onDone(points).
+	 * Escape calls onCancel. onPoint(points) is called after every click.
+	 * With count = Infinity the user draws a polyline and finishes it with Enter.
+	 * @param {number} count - Number of points to collect
+	 * @param {{onPoint?: Function, onDone: Function, onCancel?: Function}} callbacks
+	 * @param {{groundOnly?: boolean}} options - Ignore clicks on objects
+	 */
+	pickPoints (count, callbacks, options = {}) {
+		this.cancelPointPick();
+		this.pointPick = { count, points: [], markers: [], line: null, callbacks, groundOnly: !!options.groundOnly };
+	}
+	
+	addPickedPoint (point) {
+		const state = this.pointPick;
+		state.points.push(point.clone());
+		
+		const marker = BABYLON.MeshBuilder.CreateSphere('pickMarker', { diameter: 0.2 }, this.scene);
+		marker.position.copyFrom(point);
+		marker.isPickable = false;
+		const mat = new BABYLON.StandardMaterial('pickMarkerMat', this.scene);
+		mat.emissiveColor = new BABYLON.Color3(1, 0.6, 0);
+		mat.disableLighting = true;
+		marker.material = mat;
+		state.markers.push(marker);
+		
+		// Connect the points so far
+		if (state.points.length > 1) {
+			if (state.line) state.line.dispose();
+			state.line = BABYLON.MeshBuilder.CreateLines('pickLine', { points: state.points }, this.scene);
+			state.line.color = new BABYLON.Color3(1, 0.6, 0);
+			state.line.isPickable = false;
+		}
+		
+		if (state.callbacks.onPoint) state.callbacks.onPoint(state.points);
+		
+		if (state.points.length >= state.count) this.finishPointPick();
+	}
+	
+	// Ends point picking early (Enter on an open-ended polyline)
+	finishPointPick () {
+		const state = this.pointPick;
+		if (!state || state.points.length < Math.min(state.count, 2)) return;
+		
+		this.clearPointPick();
+		state.callbacks.onDone(state.points);
+	}
+	
+	cancelPointPick () {
+		const state = this.pointPick;
+		if (!state) return;
+		
+		this.clearPointPick();
+		if (state.callbacks.onCancel) state.callbacks.onCancel();
+	}
+	
+	clearPointPick () {
+		if (!this.pointPick) return;
+		this.pointPick.markers.forEach(m => m.dispose(false, true));
+		if (this.pointPick.line) this.pointPick.line.dispose();
+		this.pointPick = null;
+	}
+	
+	// --- Marquee Selection ---
+	
+	setBoxSelectMode (enabled) {
+		this.isBoxSelectMode = enabled;
+		if (this.onBoxSelectModeChange) this.onBoxSelectModeChange(enabled);
+	}
+	
+	// Shift adds, Ctrl subtracts, Ctrl+Shift toggles. Read from the live event so the
+	// modifiers can be changed while dragging.
+	getMarqueeMode (evt) {
+		if (evt.ctrlKey && evt.shiftKey) return 'toggle';
+		if (evt.ctrlKey) return 'subtract';
+		if (evt.shiftKey) return 'add';
+		return 'replace';
+	}
+	
+	updateMarquee (evt) {
+		const m = this.marquee;
+		m.x = this.scene.pointerX;
+		m.y = this.scene.pointerY;
+		
+		// Small threshold so a click with a slight jitter still counts as a click
+		if (!m.isDragging && Math.hypot(m.x - m.startX, m.y - m.startY) < 4) return;
+		m.isDragging = true;
+		
+		if (!this.marqueeElement) {
+			this.marqueeElement = document.getElementById('marquee-box');
 		}
+		if (!this.marqueeElement) return;
+		
+		const rect = this.canvas.getBoundingClientRect();
+		const el = this.marqueeElement;
+		el.style.left = `${rect.left + Math.min(m.startX, m.x)}px`;
+		el.style.top = `${rect.top + Math.min(m.startY, m.y)}px`;
+		el.style.width = `${Math.abs(m.x - m.startX)}px`;
+		el.style.height = `${Math.abs(m.y - m.startY)}px`;
+		el.dataset.mode = this.getMarqueeMode(evt);
+		el.style.display = 'block';
+	}
+	
+	endMarquee (evt) {
+		const m = this.marquee;
+		this.marquee = null;
+		if (this.marqueeElement) this.marqueeElement.style.display = 'none';
+		
+		if (!m.isDragging) {
+			if (m.selectOnClick) this.handleClickSelection(m.pick, m.isMultiSelect);
+			return;
+		}
+		
+		const mode = this.getMarqueeMode(evt);
+		// Locked objects need a modifier, the same way Shift+click is required to pick them
+		this.objectManager.selectInRect({ x1: m.startX, y1: m.startY, x2: m.x, y2: m.y }, mode, mode !== 'replace');
+	}
+	
+	cancelMarquee () {
+		this.marquee = null;
+		if (this.marqueeElement) this.marqueeElement.style.display = 'none';
 	}
 	
 	handlePointerMove (info) {
-		// 1. Manual Camera Control (No Click)
-		if (this.isCtrlDown || this.isAltDown) {
+		// 0. Marquee drag (started by a left press, see handlePointerDown). Ctrl/Shift
+		// are selection modifiers while it runs, so Ctrl does not pan here.
+		if (this.marquee) {
+			this.updateMarquee(info.event);
+			return;
+		}
+		
+		// 1. Manual Camera Control (No Click) of the view under the pointer
+		const viewportManager = this.objectManager.viewportManager;
+		const camera = viewportManager.inputCamera;
+		if ((this.isCtrlDown || this.isAltDown) && viewportManager.isViewCamera(camera)) {
 			const evt = info.event;
 			// Use movementX/Y for delta
 			const dx = evt.movementX || evt.mozMovementX || evt.webkitMovementX || 0;
@@ -522,42 +816,42 @@ export class BuilderScene {
 			const sensitivity = 1000;
 			
 			if (this.isAltDown) {
-				// Orbit (Alt + Move)
-				this.camera.inertialAlphaOffset -= dx / sensitivity;
-				this.camera.inertialBetaOffset -= dy / sensitivity;
+				// Orbit (Alt + Move); top, front and side views stay aligned to their axis
+				if (viewportManager.canOrbit(camera)) {
+					camera.inertialAlphaOffset -= dx / sensitivity;
+					camera.inertialBetaOffset -= dy / sensitivity;
+				}
 			} else if (this.isCtrlDown) {
 				// Pan (Ctrl + Move)
 				if (evt.shiftKey) {
 					// 3rd Axis Panning (Forward/Backward)
 					// Move target along the camera's local Z axis
-					const forward = this.camera.getDirection(BABYLON.Axis.Z);
+					const forward = camera.getDirection(BABYLON.Axis.Z);
 					// Multiplier to match feel of inertial panning (direct pos update vs inertia)
 					const zSensitivity = 25;
 					const dist = (-dy / sensitivity) * zSensitivity;
-					this.camera.target.addInPlace(forward.scale(dist));
+					camera.target.addInPlace(forward.scale(dist));
 				} else {
-					this.camera.inertialPanningX -= dx / sensitivity;
-					this.camera.inertialPanningY += dy / sensitivity;
+					camera.inertialPanningX -= dx / sensitivity;
+					camera.inertialPanningY += dy / sensitivity;
 				}
 			}
 			return;
 		}
 		
-		// 2. Ghost Asset Movement
+		// 2. Scatter brush cursor and stroke
+		const scatter = this.objectManager.scatterManager;
+		if (scatter.isActive) {
+			const pick = this.pickBrushSurface();
+			scatter.updateBrush(pick);
+			scatter.continueStroke(pick);
+			return;
+		}
+		
+		// 3. Ghost Asset Movement
 		// FIX: Use activeAssetName instead of activeAssetFile
 		if (this.objectManager.activeAssetName) {
-			// Force a pick to ensure we get the ground even if the event pick was swallowed or blocked
-			// We filter out the ghost mesh explicitly to be safe
-			const pick = this.scene.pick(
-				this.scene.pointerX,
-				this.scene.pointerY,
-				(mesh) => {
-					// Must be pickable, enabled, and NOT a ghost
-					return mesh.isPickable &&
-						mesh.isEnabled() &&
-						(!mesh.metadata || !mesh.metadata.isGhost);
-				}
-			);
+			const pick = this.pickPlacementSurface();
 			
 			if (pick.hit) {
 				this.objectManager.updateGhostPosition(pick);
@@ -567,6 +861,42 @@ export class BuilderScene {
 	
 	handlePointerUp (info) {
 		// Drag end logic handled by GizmoManager
+		if (this.marquee && info.event.button === 0) {
+			this.endMarquee(info.event);
+		}
+		if (info.event.button === 0) this.objectManager.scatterManager.endStroke();
+	}
+	
+	// Surface under the pointer for placing assets. Front and side views look along
+	// the ground, so empty space in axis views falls back to the view's work plane.
+	pickPlacementSurface () {
+		// Force a pick to ensure we get the ground even if the event pick was swallowed or blocked
+		// We filter out the ghost mesh explicitly to be safe
+		const pick = this.scene.pick(
+			this.scene.pointerX,
+			this.scene.pointerY,
+			(mesh) => {
+				// Must be pickable, enabled, and NOT a ghost
+				return mesh.isPickable &&
+					mesh.isEnabled() &&
+					(!mesh.metadata || !mesh.metadata.isGhost);
+			}
+		);
+		
+		const viewportManager = this.objectManager.viewportManager;
+		if (pick.hit || !viewportManager.isAxisView(viewportManager.inputCamera)) return pick;
+		
+		const point = viewportManager.pickWorkPlane(this.scene.pointerX, this.scene.pointerY);
+		return point ? { hit: true, pickedPoint: point, pickedMesh: null } : pick;
+	}
+	
+	// Surface under the pointer for the scatter brush (ignores ghosts and brush helpers)
+	pickBrushSurface () {
+		return this.scene.pick(this.scene.pointerX, this.scene.pointerY, (mesh) => {
+			return mesh.isPickable &&
+				mesh.isEnabled() &&
+				(!mesh.metadata || !mesh.metadata.isGhost);
+		});
 	}
 	
 	handleDoubleClick (info) {
@@ -1,13 +1,24 @@
 import * as BABYLON from '@babylonjs/core';
 import { PropertyPanel } from './property-panel';
 import { TreeView } from './tree-view';
+import { HistoryPanel } from './history-panel';
+import { SelectionSetsPanel } from './selection-sets-panel';
+import { CameraBookmarksPanel } from './camera-bookmarks-panel';
+import { ArrayPanel } from './array-panel';
+import { ScatterPanel } from './scatter-panel';
 import { loadAssets, getAvailableFolders } from './loader';
+import { listMaps, loadMap, saveMap, renameMap, deleteMap, getMapThumbnailUrl, isValidMapName } from './map-library';
+import { listSnapshots } from './autosave-history';
+import { DEFAULT_EYE_HEIGHT, DEFAULT_WALK_SPEED } from './managers/walk-manager';
 
 export class BuilderUI {
 	constructor(builderScene) {
 		this.scene = builderScene;
 		this.manager = builderScene.objectManager;
 		this.currentMapName = 'new_map';
+		// Name of the library map the scene was opened from or last saved to.
+		// Saving with this name writes in place; any other existing name asks first.
+		this.libraryMapName = null;
 		
 		// LocalStorage Keys
 		this.LS_SETTINGS_KEY = 'builder_global_settings';
@@ -21,10 +32,18 @@ export class BuilderUI {
 			gridColor: '#555555',
 			bgColor: '#2c3e50',
 			autoSave: true,
+			autoSaveMaxSnapshots: 20,
+			autoSaveMaxAgeDays: 7,
 			posStep: 0.1,
 			rotStep: 15,
 			scaleStep: 0.1,
-			cursorStep: 0.05
+			cursorStep: 0.05,
+			maxHistory: 50,
+			walkEyeHeight: DEFAULT_EYE_HEIGHT,
+			walkSpeed: DEFAULT_WALK_SPEED,
+			gridSnap: false,
+			gizmoSpace: 'local',
+			pivotMode: 'center'
 		};
 		
 		this.lastSaveTime = null;
@@ -34,14 +53,34 @@ export class BuilderUI {
 		if (this.manager) {
 			this.propertyPanel = new PropertyPanel(this.manager);
 			this.treeView = new TreeView(this.manager);
+			this.historyPanel = new HistoryPanel(this.manager);
+			this.selectionSetsPanel = new SelectionSetsPanel(this.manager);
+			this.cameraBookmarksPanel = new CameraBookmarksPanel(this.manager);
+			this.arrayPanel = new ArrayPanel(this.manager);
+			this.scatterPanel = new ScatterPanel(this.manager, this.scene);
 			
 			this.manager.onAssetSelectionChange = (name) => {
 				this.updateAssetStoreSelection(name);
+				// Picking an asset to place ends painting
+				if (name) this.scatterPanel.close();
 			};
 			
 			// Listen for store changes to re-render the store list
 			this.manager.onStoreChange = () => {
 				this.renderAssetStore();
+				this.scatterPanel.renderAssetList();
+			};
+			
+			// Camera view switcher lists the scene cameras (added, deleted, renamed)
+			const originalListChange = this.manager.onListChange;
+			this.manager.onListChange = () => {
+				if (originalListChange) originalListChange();
+				this.renderCameraViewSelect();
+			};
+			this.manager.cameraManager.onViewChange = () => this.renderCameraViewSelect();
+			this.manager.viewportManager.onChange = () => {
+				this.renderViewportOverlay();
+				this.updateViewMenuUI();
 			};
 		} else {
 			console.error('BuilderUI: ObjectManager is null during initialization.');
@@ -62,10 +101,16 @@ export class BuilderUI {
 		this.setupHistoryUI();
 		this.setupSettingsModal();
 		this.setupSaveModal();
+		this.setupOpenMapModal();
+		this.setupExportModal();
+		this.setupReplaceAssetModal();
 		this.setupContextMenu();
 		this.setupAutoSaveTimer();
+		this.setupAutoSaveRestoreModal();
 		this.setupSplitter();
 		this.setupStatusCoordinates();
+		this.renderViewportOverlay();
+		this.updateViewMenuUI();
 		
 		// Initial Render of Store
 		this.renderAssetStore();
@@ -77,18 +122,10 @@ export class BuilderUI {
 		
 		this.scene.scene.onPointerObservable.add((pointerInfo) => {
 			if (pointerInfo.type === BABYLON.PointerEventTypes.POINTERMOVE) {
-				const ray = this.scene.scene.createPickingRay(
-					this.scene.scene.pointerX,
-					this.scene.scene.pointerY,
-					BABYLON.Matrix.Identity(),
-					this.scene.camera
-				);
-				
-				const plane = BABYLON.Plane.FromPositionAndNormal(BABYLON.Vector3.Zero(), BABYLON.Vector3.Up());
-				const distance = ray.intersectsPlane(plane);
-				
-				if (distance !== null && distance !== undefined) {
-					const hit = ray.origin.add(ray.direction.scale(distance));
+				// Ground position, or the upright work plane in the front and side views
+				const hit = this.manager.viewportManager.pickWorkPlane(this.scene.scene.pointerX, this.scene.scene.pointerY);
+				
+				if (hit) {
 					coordsEl.innerText = `X: ${hit.x.toFixed(2)}  Y: ${hit.y.toFixed(2)}  Z: ${hit.z.toFixed(2)}`;
 				}
 			}
@@ -280,8 +317,9 @@ export class BuilderUI {
 		container.innerHTML = '';
 		
 		const assets = this.manager.assetManager.getAllAssets();
+		const prefabs = this.manager.prefabs;
 		
-		if (assets.length === 0) {
+		if (assets.length === 0 && prefabs.length === 0) {
 			container.innerHTML = '<div class="empty-state">No assets in store.<br>Add from File Browser.</div>';
 			return;
 		}
@@ -314,6 +352,34 @@ export class BuilderUI {
 			grid.appendChild(div);
 		});
 		
+		// Prefabs are placed the same way, through their store name
+		prefabs.forEach(prefab => {
+			const storeName = this.manager.prefabManager.getStoreName(prefab);
+			
+			const div = document.createElement('div');
+			div.className = 'asset-item store-item prefab-item';
+			div.dataset.name = storeName;
+			div.dataset.prefabId = prefab.id;
+			div.title = `Prefab: ${prefab.members.length} part(s)`;
+			
+			const thumb = document.createElement('div');
+			thumb.className = 'asset-thumb prefab-thumb';
+			thumb.innerText = '🧩';
+			
+			const span = document.createElement('span');
+			span.className = 'asset-name';
+			span.innerText = prefab.name;
+			
+			div.appendChild(thumb);
+			div.appendChild(span);
+			
+			div.addEventListener('click', () => {
+				this.manager.setActiveAsset(storeName);
+			});
+			
+			grid.appendChild(div);
+		});
+		
 		container.appendChild(grid);
 		
 		// Re-apply selection highlight
@@ -373,7 +439,7 @@ export class BuilderUI {
 		const btnSaveNow = document.getElementById('btnSaveNow');
 		const performSave = () => {
 			if (this.globalSettings.autoSave) {
-				const success = this.manager.saveToAutoSave();
+				const success = this.manager.saveToAutoSave(this.currentMapName);
 				if (success) {
 					this.lastSaveTime = Date.now();
 					this.updateAutoSaveUI();
@@ -395,6 +461,101 @@ export class BuilderUI {
 		}
 	}
 	
+	setupAutoSaveRestoreModal() {
+		const modal = document.getElementById('autoSaveRestoreModal');
+		const btnOpen = document.getElementById('btnRestoreAutoSave');
+		const btnClose = document.getElementById('btnCloseAutoSaveRestore');
+		const list = document.getElementById('autosave-snapshot-list');
+		
+		const closeModal = () => { modal.style.display = 'none'; };
+		
+		const restore = async (snap) => {
+			const when = new Date(snap.createdAt).toLocaleString();
+			if (!confirm(`Restore the auto-save from ${when}?\nThe current scene is kept as a snapshot first.`)) return;
+			
+			try {
+				const report = await this.manager.restoreAutoSaveSnapshot(snap.id, this.currentMapName);
+				if (snap.mapName !== this.currentMapName) {
+					this.currentMapName = snap.mapName;
+					this.libraryMapName = null;
+				}
+				this.lastSaveTime = Date.now();
+				this.updateAutoSaveUI();
+				this.reportMigrations(report);
+				this.setStatus(`Restored auto-save from ${when}`);
+				closeModal();
+			} catch (err) {
+				console.error('Snapshot restore failed:', err);
+				alert(`Could not restore snapshot: ${err.message}`);
+			}
+		};
+		
+		const render = async () => {
+			list.innerHTML = '<div class="empty-state">Loading snapshots...</div>';
+			
+			let snapshots;
+			try {
+				snapshots = await listSnapshots();
+			} catch (err) {
+				console.error(err);
+				list.innerHTML = '<div class="empty-state">Auto-save history is not available in this browser.</div>';
+				return;
+			}
+			
+			list.innerHTML = '';
+			if (snapshots.length === 0) {
+				list.innerHTML = '<div class="empty-state">No auto-save snapshots yet.</div>';
+				return;
+			}
+			
+			snapshots.forEach(snap => {
+				const item = document.createElement('div');
+				item.className = 'map-library-item';
+				item.title = 'Restore this snapshot';
+				
+				const thumb = document.createElement('div');
+				thumb.className = 'map-library-thumb';
+				if (snap.thumbnail) {
+					const img = document.createElement('img');
+					img.src = snap.thumbnail;
+					thumb.appendChild(img);
+				}
+				
+				const info = document.createElement('div');
+				info.className = 'map-library-info';
+				
+				const name = document.createElement('div');
+				name.className = 'map-library-name';
+				name.innerText = `${new Date(snap.createdAt).toLocaleString()} — ${snap.mapName}`;
+				
+				const counts = document.createElement('div');
+				counts.className = 'map-library-date';
+				// Snapshots from before scene cameras have no cameraCount
+				const cameras = snap.cameraCount ? `, ${snap.cameraCount} cameras` : '';
+				counts.innerText = `${snap.objectCount} objects, ${snap.lightCount} lights${cameras}, ${snap.groupCount} groups`;
+				
+				info.appendChild(name);
+				info.appendChild(counts);
+				
+				item.appendChild(thumb);
+				item.appendChild(info);
+				
+				item.onclick = () => restore(snap);
+				list.appendChild(item);
+			});
+		};
+		
+		if (btnOpen) {
+			btnOpen.onclick = (e) => {
+				e.preventDefault();
+				modal.style.display = 'flex';
+				render();
+			};
+		}
+		btnClose.onclick = closeModal;
+		modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+	}
+	
 	updateAutoSaveUI() {
 		const saveText = document.getElementById('auto-save-text');
 		if (!saveText) return;
@@ -450,11 +611,21 @@ export class BuilderUI {
 		this.manager.defaultYOffset = parseFloat(this.globalSettings.yOffset);
 		this.manager.gridSize = parseFloat(this.globalSettings.gridSize);
 		this.manager.autoSaveEnabled = this.globalSettings.autoSave;
+		this.manager.autoSaveMaxSnapshots = parseInt(this.globalSettings.autoSaveMaxSnapshots);
+		this.manager.autoSaveMaxAgeDays = parseFloat(this.globalSettings.autoSaveMaxAgeDays);
 		
 		this.manager.posStep = parseFloat(this.globalSettings.posStep);
 		this.manager.rotStep = parseFloat(this.globalSettings.rotStep);
 		this.manager.scaleStep = parseFloat(this.globalSettings.scaleStep);
 		this.manager.cursorIncrement = parseFloat(this.globalSettings.cursorStep);
+		this.manager.undoRedo.setMaxHistory(parseInt(this.globalSettings.maxHistory) || 50);
+		this.manager.walkManager.eyeHeight = parseFloat(this.globalSettings.walkEyeHeight) || DEFAULT_EYE_HEIGHT;
+		this.manager.walkManager.speed = parseFloat(this.globalSettings.walkSpeed) || DEFAULT_WALK_SPEED;
+		// Also refreshes the gizmo snap increments after step changes
+		this.manager.setGridSnap(!!this.globalSettings.gridSnap);
+		this.manager.setGizmoSpace(this.globalSettings.gizmoSpace);
+		this.manager.setPivotMode(this.globalSettings.pivotMode);
+		this.updateTransformModeUI();
 		
 		if (this.propertyPanel) {
 			this.propertyPanel.updateInputSteps();
@@ -466,6 +637,96 @@ export class BuilderUI {
 		this.scene.setGridColors(this.globalSettings.gridColor, this.globalSettings.bgColor);
 		this.scene.updateGridSize(this.manager.gridSize);
 		this.updateAutoSaveUI();
+		this.updateGridSnapUI();
+	}
+	
+	toggleGridSnap() {
+		this.globalSettings.gridSnap = !this.globalSettings.gridSnap;
+		this.saveSettings();
+		this.manager.setGridSnap(this.globalSettings.gridSnap);
+		this.updateGridSnapUI();
+		this.setStatus(this.globalSettings.gridSnap ? 'Grid snapping on' : 'Grid snapping off');
+	}
+	
+	updateGridSnapUI() {
+		const snapEl = document.getElementById('status-snap');
+		if (!snapEl) return;
+		
+		const m = this.manager;
+		snapEl.classList.toggle('active', !!this.globalSettings.gridSnap);
+		snapEl.innerText = this.globalSettings.gridSnap ? `Snap: ${m.gridSize} / ${m.rotStep}° / ${m.scaleStep}` : 'Snap: Off';
+	}
+	
+	updateTransformModeUI() {
+		const btnSpace = document.getElementById('btnGizmoSpace');
+		if (btnSpace) {
+			btnSpace.innerText = this.globalSettings.gizmoSpace === 'world' ? 'World' : 'Local';
+		}
+		
+		const btnPivot = document.getElementById('btnPivotMenu');
+		const pivotItems = document.querySelectorAll('#pivot-mode-menu a[data-pivot]');
+		pivotItems.forEach(item => {
+			const isActive = item.dataset.pivot === this.globalSettings.pivotMode;
+			item.classList.toggle('active', isActive);
+			if (isActive && btnPivot) btnPivot.innerText = `Pivot: ${item.innerText} ▼`;
+		});
+	}
+	
+	updateViewMenuUI() {
+		const viewportManager = this.manager.viewportManager;
+		const isQuad = viewportManager.layout === 'quad';
+		
+		document.querySelectorAll('#view-mode-menu a').forEach(item => {
+			if (item.dataset.frame) return;
+			const isActive = item.dataset.layout ? isQuad : (!isQuad && item.dataset.view === viewportManager.view);
+			item.classList.toggle('active', isActive);
+		});
+		
+		const btnView = document.getElementById('btnViewMenu');
+		if (btnView) {
+			btnView.innerText = `View: ${isQuad ? 'Quad' : viewportManager.getViewLabel(viewportManager.view)} ▼`;
+		}
+	}
+	
+	// Pane borders and view names over the canvas; the pane with the input is highlighted
+	renderViewportOverlay() {
+		const overlay = document.getElementById('viewport-overlay');
+		const canvas = this.scene.canvas;
+		if (!overlay || !canvas) return;
+		
+		const rect = canvas.getBoundingClientRect();
+		overlay.style.left = `${rect.left}px`;
+		overlay.style.top = `${rect.top}px`;
+		overlay.style.width = `${rect.width}px`;
+		overlay.style.height = `${rect.height}px`;
+		overlay.innerHTML = '';
+		
+		const viewportManager = this.manager.viewportManager;
+		const panes = viewportManager.panes;
+		panes.forEach(pane => {
+			const [x, y, width, height] = pane.viewport;
+			const el = document.createElement('div');
+			el.className = 'viewport-pane';
+			if (panes.length > 1 && pane === viewportManager.inputPane) el.classList.add('active');
+			el.style.left = `${x * 100}%`;
+			el.style.top = `${(1 - y - height) * 100}%`;
+			el.style.width = `${width * 100}%`;
+			el.style.height = `${height * 100}%`;
+			
+			const label = document.createElement('div');
+			label.className = 'viewport-label';
+			if (pane.view) {
+				label.innerText = viewportManager.getViewLabel(pane.view);
+			} else if (pane.camera === this.manager.walkManager.camera) {
+				label.innerText = '🚶 Walk (Esc to exit)';
+			} else {
+				const cameraObj = this.manager.placedObjects.find(o => o && o.id === this.manager.cameraManager.viewCameraId);
+				label.innerText = `🎥 ${cameraObj ? cameraObj.name : pane.camera.name}`;
+			}
+			el.appendChild(label);
+			
+			overlay.appendChild(el);
+		});
 	}
 	
 	setupLeftSidebarToggle() {
@@ -512,32 +773,162 @@ export class BuilderUI {
 		});
 	}
 	
+	// "Editor Camera" plus one entry per scene camera; shows the camera currently looked through
+	renderCameraViewSelect() {
+		const select = document.getElementById('cameraViewSelect');
+		if (!select) return;
+		
+		const cameraManager = this.manager.cameraManager;
+		select.innerHTML = '';
+		
+		const editorOption = document.createElement('option');
+		editorOption.value = '';
+		editorOption.innerText = 'Editor Camera';
+		select.appendChild(editorOption);
+		
+		cameraManager.getCameraObjects().forEach(obj => {
+			const option = document.createElement('option');
+			option.value = obj.id;
+			option.innerText = `🎥 ${obj.name}`;
+			select.appendChild(option);
+		});
+		
+		select.value = cameraManager.viewCameraId || '';
+		select.classList.toggle('camera-view-active', cameraManager.isViewingSceneCamera());
+	}
+	
 	setupControls() {
 		document.getElementById('btnResetCam').onclick = () => { this.scene.resetCamera(); };
-		document.getElementById('btnLoad').onclick = () => document.getElementById('fileInput').click();
+		
+		// Select-by-rule menu
+		document.querySelectorAll('#select-rule-menu a[data-rule]').forEach(item => {
+			item.onclick = () => {
+				const count = this.manager.selectByRule(item.dataset.rule);
+				this.setStatus(`${item.innerText}: ${count} object(s) selected`);
+			};
+		});
+		
+		// Grid Snap toggle (status bar indicator + N)
+		document.getElementById('status-snap').onclick = () => { this.toggleGridSnap(); };
+		window.addEventListener('keydown', (e) => {
+			if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+			if (e.key.toLowerCase() === 'n' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+				this.toggleGridSnap();
+			}
+		});
+		
+		// Views (Numpad 7/1/3 top/front/side, Numpad 5 perspective/ortho), quad layout (Q),
+		// camera bookmarks (1-9) and framing (F selection, Home everything)
+		const viewKeys = { Numpad7: 'top', Numpad1: 'front', Numpad3: 'side' };
+		window.addEventListener('keydown', (e) => {
+			if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+			if (e.ctrlKey || e.metaKey || e.altKey) return;
+			
+			if (viewKeys[e.code]) {
+				e.preventDefault();
+				this.manager.setEditorView(viewKeys[e.code]);
+			} else if (e.code === 'Numpad5') {
+				e.preventDefault();
+				this.manager.viewportManager.toggleOrtho();
+			} else if (e.key.toLowerCase() === 'q') {
+				this.manager.toggleQuadLayout();
+			} else if (e.key.toLowerCase() === 'f') {
+				this.manager.frameSelection();
+			} else if (e.key === 'Home') {
+				e.preventDefault();
+				this.manager.frameAll();
+			} else if (/^Digit[1-9]$/.test(e.code)) {
+				// Camera bookmarks 1-9
+				const bookmark = this.manager.cameraBookmarkManager.recallBookmarkAt(Number(e.code.slice(5)) - 1);
+				if (bookmark) this.setStatus(`Camera: ${bookmark.name}`);
+			}
+		});
+		
+		document.querySelectorAll('#view-mode-menu a').forEach(item => {
+			item.onclick = () => {
+				if (item.dataset.frame === 'selection') this.manager.frameSelection();
+				else if (item.dataset.frame === 'all') this.manager.frameAll();
+				else if (item.dataset.layout) this.manager.toggleQuadLayout();
+				else this.manager.setEditorView(item.dataset.view);
+			};
+		});
+		// Panes follow the canvas size
+		this.scene.engine.onResizeObservable.add(() => this.renderViewportOverlay());
+		
+		// Transform Space and Pivot
+		document.getElementById('btnGizmoSpace').onclick = () => {
+			this.globalSettings.gizmoSpace = this.globalSettings.gizmoSpace === 'world' ? 'local' : 'world';
+			this.saveSettings();
+			this.manager.setGizmoSpace(this.globalSettings.gizmoSpace);
+			this.updateTransformModeUI();
+		};
+		document.querySelectorAll('#pivot-mode-menu a[data-pivot]').forEach(item => {
+			item.onclick = () => {
+				this.globalSettings.pivotMode = item.dataset.pivot;
+				this.saveSettings();
+				this.manager.setPivotMode(item.dataset.pivot);
+				this.updateTransformModeUI();
+				
+				// Anchor and cursor pivots fall back to the bounds center until they are set
+				if (item.dataset.pivot === 'anchor' && !this.manager.snapManager.anchorMesh) {
+					this.setStatus('Pivot: Anchor Object (right-click an object > Set Anchor)');
+				} else if (item.dataset.pivot === 'cursor' && !this.manager.pivotManager.cursorPosition) {
+					this.setStatus('Pivot: 3D Cursor (right-click > Place 3D Cursor Here)');
+				}
+			};
+		});
+		
+		// Walk mode (Escape ends it, see WalkManager)
+		const btnWalk = document.getElementById('btnWalkMode');
+		btnWalk.onclick = () => this.manager.toggleWalkMode();
+		this.manager.walkManager.onChange = (isWalking) => {
+			btnWalk.classList.toggle('active', isWalking);
+			this.setStatus(isWalking ? 'Walk: WASD/arrows to move, click to look around, Esc to exit (the first Esc frees a captured mouse)' : 'Walk mode off');
+		};
+		
+		// Box Select toggle (also bound to B in BuilderScene)
+		const btnBoxSelect = document.getElementById('btnBoxSelect');
+		btnBoxSelect.onclick = () => { this.scene.setBoxSelectMode(!this.scene.isBoxSelectMode); };
+		this.scene.onBoxSelectModeChange = (enabled) => {
+			btnBoxSelect.classList.toggle('active', enabled);
+			this.scene.canvas.classList.toggle('box-select-mode', enabled);
+			this.setStatus(enabled ? 'Box Select: drag over objects (Shift add, Ctrl remove, Ctrl+Shift toggle; Ctrl+move without a button pans)' : 'Box Select off');
+		};
 		document.getElementById('fileInput').onchange = (e) => {
 			const file = e.target.files[0];
 			if (!file) return;
 			const reader = new FileReader();
-			reader.onload = (evt) => {
+			reader.onload = async (evt) => {
+				let data;
 				try {
-					const data = JSON.parse(evt.target.result);
-					this.currentMapName = data.name || 'loaded_map';
-					this.manager.loadMapData(data);
-				} catch (err) { console.error(err); alert('Invalid map file'); }
+					data = JSON.parse(evt.target.result);
+				} catch (err) { console.error(err); alert('Invalid map file'); return; }
+				
+				// Imported files are not bound to a library entry until saved
+				await this.openMapData(data, data.name || 'loaded_map', null);
 			};
 			reader.readAsText(file);
 			e.target.value = '';
 		};
+		document.getElementById('btnDownloadJSON').onclick = () => {
+			this.downloadJSON(this.manager.getMapData(this.currentMapName), this.currentMapName);
+		};
 		
 		document.getElementById('btnAddPointLight').onclick = () => { this.manager.addLight('point'); };
 		document.getElementById('btnAddDirLight').onclick = () => { this.manager.addLight('directional'); };
 		document.getElementById('btnAddHemiLight').onclick = () => { this.manager.addLight('hemispheric'); };
+		document.getElementById('btnAddCamera').onclick = () => { this.manager.addCamera(); };
+		
+		document.getElementById('cameraViewSelect').onchange = (e) => {
+			this.manager.setCameraView(e.target.value || null);
+			e.target.blur(); // Give keyboard shortcuts back to the viewport
+		};
 		
 		document.getElementById('btnClearScene').onclick = () => {
 			if (confirm('Are you sure you want to clear the entire scene?')) {
 				this.manager.clearScene();
 				this.currentMapName = 'new_map';
+				this.libraryMapName = null;
 			}
 		};
 		
@@ -546,6 +937,7 @@ export class BuilderUI {
 			if (confirm('WARNING: This will clear the entire scene AND remove all loaded assets from the store.\nAre you sure?')) {
 				this.manager.clearAll();
 				this.currentMapName = 'new_map';
+				this.libraryMapName = null;
 			}
 		};
 		
@@ -573,6 +965,26 @@ export class BuilderUI {
 		}
 	}
 	
+	// Tells the user when an older map was upgraded on load
+	reportMigrations(report) {
+		if (!report) return;
+		
+		if (report.applied.length > 0) {
+			const from = report.applied[0].from;
+			const to = report.applied[report.applied.length - 1].to;
+			this.setStatus(`Map upgraded from v${from} to v${to} (${report.applied.length} migration(s))`);
+		}
+		
+		if (report.warnings.length > 0) {
+			alert('Some objects could not be upgraded:\n' + report.warnings.join('\n'));
+		}
+	}
+	
+	setStatus(text) {
+		const statusEl = document.getElementById('status-left');
+		if (statusEl) statusEl.innerText = text;
+	}
+	
 	clearAllSelections() {
 		this.manager.setActiveAsset(null);
 		this.manager.selectObject(null, false);
@@ -590,22 +1002,323 @@ export class BuilderUI {
 		const closeModal = () => { modal.style.display = 'none'; };
 		
 		btnSave.onclick = () => {
-			if (this.currentMapName === 'new_map') openModal();
-			else this.downloadJSON(this.manager.getMapData(this.currentMapName), this.currentMapName);
+			// Save writes in place once the scene is bound to a library map
+			if (this.libraryMapName) this.saveToLibrary(this.libraryMapName);
+			else openModal();
 		};
 		btnSaveAs.onclick = openModal;
 		btnCancel.onclick = closeModal;
-		btnConfirm.onclick = () => {
+		btnConfirm.onclick = async () => {
 			const name = inputName.value.trim();
-			if (name) {
-				this.currentMapName = name;
-				this.downloadJSON(this.manager.getMapData(this.currentMapName), this.currentMapName);
-				closeModal();
-			} else alert('Please enter a map name.');
+			if (!name) {
+				alert('Please enter a map name.');
+				return;
+			}
+			if (!isValidMapName(name)) {
+				alert('Map names may only contain letters, numbers, spaces, dots, dashes and underscores.');
+				return;
+			}
+			if (await this.saveToLibrary(name)) closeModal();
 		};
 		window.onclick = (event) => { if (event.target === modal) closeModal(); };
 	}
 	
+	/**
+	 * Saves the scene to the server map library.
+	 * Overwriting a map other than the one currently open asks for confirmation.
+	 * @param {string} name - Map name
+	 * @returns {Promise<boolean>} True if the map was written
+	 */
+	async saveToLibrary(name) {
+		let thumbnail = null;
+		try {
+			thumbnail = await this.scene.captureMapThumbnail();
+		} catch (err) {
+			console.warn('Could not capture map thumbnail:', err);
+		}
+		
+		const data = this.manager.getMapData(name);
+		let overwrite = name === this.libraryMapName;
+		
+		try {
+			try {
+				await saveMap(name, data, thumbnail, overwrite);
+			} catch (err) {
+				if (err.status !== 409) throw err;
+				if (!confirm(`A map named '${name}' already exists. Overwrite it?`)) return false;
+				overwrite = true;
+				await saveMap(name, data, thumbnail, overwrite);
+			}
+		} catch (err) {
+			console.error('Map save failed:', err);
+			alert(`Could not save map: ${err.message}`);
+			return false;
+		}
+		
+		this.currentMapName = name;
+		this.libraryMapName = name;
+		this.setStatus(`Saved map '${name}'`);
+		return true;
+	}
+	
+	/**
+	 * Loads map data into the scene and updates the current map binding
+	 * @param {Object} data - Parsed map JSON
+	 * @param {string} name - Map name to use for saving
+	 * @param {string|null} libraryName - Library entry the data came from, if any
+	 */
+	async openMapData(data, name, libraryName) {
+		try {
+			const report = await this.manager.loadMapData(data);
+			this.currentMapName = name;
+			this.libraryMapName = libraryName;
+			this.reportMigrations(report);
+			return true;
+		} catch (err) {
+			console.error(err);
+			alert(err.message);
+			return false;
+		}
+	}
+	
+	setupOpenMapModal() {
+		const modal = document.getElementById('openMapModal');
+		const btnOpen = document.getElementById('btnLoad');
+		const btnCancel = document.getElementById('btnCancelOpenMap');
+		const btnImport = document.getElementById('btnImportMapFile');
+		const list = document.getElementById('map-library-list');
+		
+		const closeModal = () => { modal.style.display = 'none'; };
+		
+		const openLibraryMap = async (name) => {
+			let data;
+			try {
+				data = await loadMap(name);
+			} catch (err) {
+				console.error(err);
+				alert(`Could not load map '${name}': ${err.message}`);
+				return;
+			}
+			if (await this.openMapData(data, name, name)) closeModal();
+		};
+		
+		const render = async () => {
+			list.innerHTML = '<div class="empty-state">Loading maps...</div>';
+			
+			let maps;
+			try {
+				maps = await listMaps();
+			} catch (err) {
+				console.error(err);
+				list.innerHTML = '<div class="empty-state">Map library is not available. Use Import File instead.</div>';
+				return;
+			}
+			
+			list.innerHTML = '';
+			if (maps.length === 0) {
+				list.innerHTML = '<div class="empty-state">No saved maps yet.</div>';
+				return;
+			}
+			
+			maps.forEach(map => {
+				const item = document.createElement('div');
+				item.className = 'map-library-item';
+				if (map.name === this.libraryMapName) item.classList.add('selected');
+				item.title = `Open ${map.name}`;
+				
+				const thumb = document.createElement('div');
+				thumb.className = 'map-library-thumb';
+				if (map.hasThumbnail) {
+					const img = document.createElement('img');
+					img.src = getMapThumbnailUrl(map);
+					thumb.appendChild(img);
+				}
+				
+				const info = document.createElement('div');
+				info.className = 'map-library-info';
+				
+				const name = document.createElement('div');
+				name.className = 'map-library-name';
+				name.innerText = map.name;
+				
+				const date = document.createElement('div');
+				date.className = 'map-library-date';
+				date.innerText = new Date(map.modified).toLocaleString();
+				
+				info.appendChild(name);
+				info.appendChild(date);
+				
+				const actions = document.createElement('div');
+				actions.className = 'map-library-actions';
+				
+				const btnRename = document.createElement('button');
+				btnRename.className = 'btn-tree-action';
+				btnRename.innerText = '✎';
+				btnRename.title = 'Rename';
+				btnRename.onclick = async (e) => {
+					e.stopPropagation();
+					const newName = prompt('Rename map:', map.name);
+					if (!newName || newName.trim() === map.name) return;
+					if (!isValidMapName(newName.trim())) {
+						alert('Map names may only contain letters, numbers, spaces, dots, dashes and underscores.');
+						return;
+					}
+					try {
+						await renameMap(map.name, newName.trim());
+					} catch (err) {
+						alert(`Could not rename map: ${err.message}`);
+						return;
+					}
+					if (this.libraryMapName === map.name) {
+						this.libraryMapName = newName.trim();
+						this.currentMapName = newName.trim();
+					}
+					render();
+				};
+				
+				const btnDelete = document.createElement('button');
+				btnDelete.className = 'btn-tree-action delete';
+				btnDelete.innerText = '✕';
+				btnDelete.title = 'Delete';
+				btnDelete.onclick = async (e) => {
+					e.stopPropagation();
+					if (!confirm(`Delete map '${map.name}'? This cannot be undone.`)) return;
+					try {
+						await deleteMap(map.name);
+					} catch (err) {
+						alert(`Could not delete map: ${err.message}`);
+						return;
+					}
+					// The open scene is kept, but Save will ask for a name again
+					if (this.libraryMapName === map.name) this.libraryMapName = null;
+					render();
+				};
+				
+				actions.appendChild(btnRename);
+				actions.appendChild(btnDelete);
+				
+				item.appendChild(thumb);
+				item.appendChild(info);
+				item.appendChild(actions);
+				
+				item.onclick = () => openLibraryMap(map.name);
+				list.appendChild(item);
+			});
+		};
+		
+		btnOpen.onclick = () => {
+			modal.style.display = 'flex';
+			render();
+		};
+		btnCancel.onclick = closeModal;
+		btnImport.onclick = () => {
+			closeModal();
+			document.getElementById('fileInput').click();
+		};
+		modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+	}
+	
+	setupExportModal() {
+		const modal = document.getElementById('exportGlbModal');
+		const btnOpen = document.getElementById('btnExportGLB');
+		const btnConfirm = document.getElementById('btnConfirmExportGlb');
+		const btnCancel = document.getElementById('btnCancelExportGlb');
+		const inputName = document.getElementById('exportGlbName');
+		const inputHidden = document.getElementById('exportGlbIncludeHidden');
+		
+		const closeModal = () => { modal.style.display = 'none'; };
+		
+		btnOpen.onclick = () => {
+			inputName.value = this.currentMapName;
+			modal.style.display = 'flex';
+			inputName.focus();
+		};
+		btnCancel.onclick = closeModal;
+		btnConfirm.onclick = async () => {
+			const name = inputName.value.trim().replace(/\.glb$/i, '');
+			if (!name) {
+				alert('Please enter a file name.');
+				return;
+			}
+			
+			btnConfirm.disabled = true;
+			this.setStatus('Exporting GLB...');
+			try {
+				await this.manager.exportGLB(name, { includeHidden: inputHidden.checked });
+				this.setStatus(`Exported ${name}.glb`);
+				closeModal();
+			} catch (err) {
+				console.error('GLB export failed:', err);
+				this.setStatus('GLB export failed');
+				alert(`GLB export failed: ${err.message}`);
+			} finally {
+				btnConfirm.disabled = false;
+			}
+		};
+		modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+	}
+	
+	setupReplaceAssetModal() {
+		const modal = document.getElementById('replaceAssetModal');
+		const btnConfirm = document.getElementById('btnConfirmReplaceAsset');
+		const btnCancel = document.getElementById('btnCancelReplaceAsset');
+		const selectTarget = document.getElementById('replaceAssetTarget');
+		const scopeSelection = document.getElementById('replaceScopeSelection');
+		const scopeAll = document.getElementById('replaceScopeAll');
+		const inputFit = document.getElementById('replaceFitBounds');
+		
+		const closeModal = () => { modal.style.display = 'none'; };
+		
+		/**
+		 * Opens the dialog.
+		 * @param {string|null} sourceAssetName - Asset for the "All instances" option
+		 * @param {boolean} allowSelection - Offer the current selection as scope
+		 */
+		this.openReplaceAssetModal = (sourceAssetName, allowSelection) => {
+			const selectedCount = this.manager.selectedMeshes.filter(m => m.metadata.assetName).length;
+			const canUseSelection = allowSelection && selectedCount > 0;
+			
+			scopeSelection.disabled = !canUseSelection;
+			document.getElementById('replaceScopeSelectionText').innerText = `Selected objects (${canUseSelection ? selectedCount : 0})`;
+			scopeAll.disabled = !sourceAssetName;
+			document.getElementById('replaceScopeAllText').innerText = sourceAssetName
+				? `All instances of ${sourceAssetName} (${this.manager.operationManager.getInstanceIds(sourceAssetName).length})`
+				: 'All instances';
+			scopeSelection.checked = canUseSelection;
+			scopeAll.checked = !canUseSelection;
+			
+			selectTarget.innerHTML = '';
+			this.manager.assetManager.getAllAssets().forEach(asset => {
+				if (asset.name === sourceAssetName && !canUseSelection) return;
+				const option = document.createElement('option');
+				option.value = asset.name;
+				option.innerText = asset.name;
+				selectTarget.appendChild(option);
+			});
+			
+			modal.dataset.source = sourceAssetName || '';
+			modal.style.display = 'flex';
+		};
+		
+		btnCancel.onclick = closeModal;
+		btnConfirm.onclick = () => {
+			const newAssetName = selectTarget.value;
+			if (!newAssetName) {
+				alert('The asset store is empty.');
+				return;
+			}
+			
+			const ids = scopeAll.checked
+				? this.manager.operationManager.getInstanceIds(modal.dataset.source)
+				: this.manager.selectedMeshes.map(m => m.metadata.id);
+			
+			const count = this.manager.replaceAsset(ids, newAssetName, inputFit.checked);
+			this.setStatus(count > 0 ? `Replaced ${count} object(s) with ${newAssetName}` : 'Nothing to replace');
+			closeModal();
+		};
+		modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+	}
+	
 	setupSettingsModal() {
 		const modal = document.getElementById('settingsModal');
 		const btnOpen = document.getElementById('btnSettings');
@@ -616,11 +1329,16 @@ export class BuilderUI {
 		const inGridColor = document.getElementById('settingGridColor');
 		const inBgColor = document.getElementById('settingBgColor');
 		const inAutoSave = document.getElementById('settingAutoSave');
+		const inAutoSaveCount = document.getElementById('settingAutoSaveMaxSnapshots');
+		const inAutoSaveAge = document.getElementById('settingAutoSaveMaxAge');
 		
 		const inPosStep = document.getElementById('settingPosStep');
 		const inRotStep = document.getElementById('settingRotStep');
 		const inScaleStep = document.getElementById('settingScaleStep');
 		const inCursorStep = document.getElementById('settingCursorStep');
+		const inMaxHistory = document.getElementById('settingMaxHistory');
+		const inWalkEyeHeight = document.getElementById('settingWalkEyeHeight');
+		const inWalkSpeed = document.getElementById('settingWalkSpeed');
 		
 		btnOpen.onclick = () => {
 			inYOffset.value = this.globalSettings.yOffset;
@@ -628,11 +1346,16 @@ export class BuilderUI {
 			inGridColor.value = this.globalSettings.gridColor;
 			inBgColor.value = this.globalSettings.bgColor;
 			inAutoSave.checked = this.globalSettings.autoSave;
+			inAutoSaveCount.value = this.globalSettings.autoSaveMaxSnapshots;
+			inAutoSaveAge.value = this.globalSettings.autoSaveMaxAgeDays;
 			
 			inPosStep.value = this.globalSettings.posStep;
 			inRotStep.value = this.globalSettings.rotStep;
 			inScaleStep.value = this.globalSettings.scaleStep;
 			inCursorStep.value = this.globalSettings.cursorStep;
+			inMaxHistory.value = this.globalSettings.maxHistory;
+			inWalkEyeHeight.value = this.globalSettings.walkEyeHeight;
+			inWalkSpeed.value = this.globalSettings.walkSpeed;
 			
 			modal.style.display = 'flex';
 		};
@@ -645,11 +1368,16 @@ export class BuilderUI {
 			this.globalSettings.gridColor = inGridColor.value;
 			this.globalSettings.bgColor = inBgColor.value;
 			this.globalSettings.autoSave = inAutoSave.checked;
+			this.globalSettings.autoSaveMaxSnapshots = Math.max(0, parseInt(inAutoSaveCount.value) || 0);
+			this.globalSettings.autoSaveMaxAgeDays = Math.max(0, parseFloat(inAutoSaveAge.value) || 0);
 			
 			this.globalSettings.posStep = parseFloat(inPosStep.value);
 			this.globalSettings.rotStep = parseFloat(inRotStep.value);
 			this.globalSettings.scaleStep = parseFloat(inScaleStep.value);
 			this.globalSettings.cursorStep = parseFloat(inCursorStep.value);
+			this.globalSettings.maxHistory = Math.max(1, parseInt(inMaxHistory.value) || 50);
+			this.globalSettings.walkEyeHeight = Math.max(0.1, parseFloat(inWalkEyeHeight.value) || DEFAULT_EYE_HEIGHT);
+			this.globalSettings.walkSpeed = Math.max(0.1, parseFloat(inWalkSpeed.value) || DEFAULT_WALK_SPEED);
 			
 			this.saveSettings();
 			this.applySettings();
@@ -662,11 +1390,20 @@ export class BuilderUI {
 		const menu = document.getElementById('context-menu');
 		const gridItemStore = document.getElementById('ctx-add-grid-store');
 		const deleteStoreItem = document.getElementById('ctx-delete-store-asset');
+		const replaceStoreItem = document.getElementById('ctx-replace-store');
+		const replaceAssetItem = document.getElementById('ctx-replace-asset');
 		const addToStoreItem = document.getElementById('ctx-add-to-store');
+		const renamePrefabItem = document.getElementById('ctx-rename-prefab');
+		const deletePrefabItem = document.getElementById('ctx-delete-prefab');
 		
 		const setAnchorItem = document.getElementById('ctx-set-anchor');
 		const releaseAnchorItem = document.getElementById('ctx-release-anchor');
 		const deleteAssetItem = document.getElementById('ctx-delete-asset');
+		const dropSurfaceItem = document.getElementById('ctx-drop-surface');
+		const dropAlignItem = document.getElementById('ctx-drop-align');
+		const placeCursorItem = document.getElementById('ctx-place-cursor');
+		const cursorToSelectionItem = document.getElementById('ctx-cursor-to-selection');
+		const clearCursorItem = document.getElementById('ctx-clear-cursor');
 		
 		const gridModal = document.getElementById('gridModal');
 		const btnCreateGrid = document.getElementById('btnCreateGrid');
@@ -675,9 +1412,11 @@ export class BuilderUI {
 		const inCols = document.getElementById('gridCols');
 		
 		let targetAssetName = null;
+		let targetPrefabId = null;
 		let targetBrowserFile = null;
 		let targetBrowserThumb = null;
 		let targetMesh = null;
+		let targetPoint = null; // Surface point under the cursor for the 3D cursor
 		
 		// 1. Sidebar Context Menu (Store Items Only)
 		const sidebar = document.getElementById('left-sidebar');
@@ -686,13 +1425,16 @@ export class BuilderUI {
 			
 			if (storeItem) {
 				e.preventDefault();
-				targetAssetName = storeItem.dataset.name;
+				// Prefabs have their own items; asset commands (grid, replace) do not apply to them
+				targetPrefabId = storeItem.dataset.prefabId || null;
+				targetAssetName = targetPrefabId ? null : storeItem.dataset.name;
 				targetBrowserFile = null;
 				targetMesh = null;
 				
-				document.querySelectorAll('.store-only').forEach(el => el.style.display = 'block');
+				document.querySelectorAll('.store-only').forEach(el => el.style.display = targetPrefabId ? 'none' : 'block');
+				document.querySelectorAll('.prefab-only').forEach(el => el.style.display = targetPrefabId ? 'block' : 'none');
 				document.querySelectorAll('.browser-only').forEach(el => el.style.display = 'none');
-				document.querySelectorAll('.scene-only').forEach(el => el.style.display = 'none');
+				document.querySelectorAll('.scene-only, .scene-cursor').forEach(el => el.style.display = 'none');
 				
 				menu.style.display = 'block';
 				menu.style.left = e.pageX + 'px';
@@ -710,11 +1452,12 @@ export class BuilderUI {
 					targetBrowserFile = browserItem.dataset.file;
 					targetBrowserThumb = browserItem.dataset.thumb;
 					targetAssetName = null;
+					targetPrefabId = null;
 					targetMesh = null;
 					
-					document.querySelectorAll('.store-only').forEach(el => el.style.display = 'none');
+					document.querySelectorAll('.store-only, .prefab-only').forEach(el => el.style.display = 'none');
 					document.querySelectorAll('.browser-only').forEach(el => el.style.display = 'block');
-					document.querySelectorAll('.scene-only').forEach(el => el.style.display = 'none');
+					document.querySelectorAll('.scene-only, .scene-cursor').forEach(el => el.style.display = 'none');
 					
 					menu.style.display = 'block';
 					menu.style.left = e.pageX + 'px';
@@ -726,28 +1469,35 @@ export class BuilderUI {
 		// 3. Scene Context Menu
 		const canvas = document.getElementById('renderCanvas');
 		canvas.addEventListener('contextmenu', (e) => {
+			if (this.manager.walkManager.isWalking) return;
 			const pick = this.scene.scene.pick(this.scene.scene.pointerX, this.scene.scene.pointerY);
+			if (!pick.hit || !pick.pickedMesh) return;
 			
-			if (pick.hit && pick.pickedMesh && pick.pickedMesh.name !== 'ground') {
-				let mesh = pick.pickedMesh;
-				while (mesh && (!mesh.metadata || !mesh.metadata.isObject) && mesh.parent) {
-					mesh = mesh.parent;
-				}
+			let mesh = pick.pickedMesh;
+			while (mesh && (!mesh.metadata || !mesh.metadata.isObject) && mesh.parent) {
+				mesh = mesh.parent;
+			}
+			const isObject = pick.pickedMesh.name !== 'ground' && mesh && mesh.metadata && mesh.metadata.isObject;
+			
+			// Objects get the full menu, the ground only the 3D cursor items
+			if (isObject || pick.pickedMesh === this.scene.groundMesh) {
+				e.preventDefault();
+				targetMesh = isObject ? mesh : null;
+				targetPoint = pick.pickedPoint.clone();
+				targetAssetName = null;
+				targetPrefabId = null;
+				targetBrowserFile = null;
 				
-				if (mesh && mesh.metadata && mesh.metadata.isObject) {
-					e.preventDefault();
-					targetMesh = mesh;
-					targetAssetName = null;
-					targetBrowserFile = null;
-					
-					document.querySelectorAll('.store-only').forEach(el => el.style.display = 'none');
-					document.querySelectorAll('.browser-only').forEach(el => el.style.display = 'none');
-					document.querySelectorAll('.scene-only').forEach(el => el.style.display = 'block');
-					
-					menu.style.display = 'block';
-					menu.style.left = e.pageX + 'px';
-					menu.style.top = e.pageY + 'px';
-				}
+				document.querySelectorAll('.store-only, .prefab-only').forEach(el => el.style.display = 'none');
+				document.querySelectorAll('.browser-only').forEach(el => el.style.display = 'none');
+				document.querySelectorAll('.scene-only').forEach(el => el.style.display = isObject ? 'block' : 'none');
+				document.querySelectorAll('.scene-cursor').forEach(el => el.style.display = 'block');
+				cursorToSelectionItem.style.display = this.manager.selectedMeshes.length > 0 ? 'block' : 'none';
+				clearCursorItem.style.display = this.manager.pivotManager.cursorPosition ? 'block' : 'none';
+				
+				menu.style.display = 'block';
+				menu.style.left = e.pageX + 'px';
+				menu.style.top = e.pageY + 'px';
 			}
 		});
 		
@@ -765,6 +1515,24 @@ export class BuilderUI {
 			}
 		};
 		
+		replaceStoreItem.onclick = () => {
+			if (targetAssetName) {
+				menu.style.display = 'none';
+				this.openReplaceAssetModal(targetAssetName, false);
+			}
+		};
+		
+		replaceAssetItem.onclick = () => {
+			if (targetMesh) {
+				// Right-clicking outside the selection replaces just that object
+				if (!this.manager.selectedMeshes.includes(targetMesh)) {
+					this.manager.selectObject(targetMesh, false);
+				}
+				menu.style.display = 'none';
+				this.openReplaceAssetModal(targetMesh.metadata.assetName || null, true);
+			}
+		};
+		
 		// NEW: Delete from Store Action
 		deleteStoreItem.onclick = () => {
 			if (targetAssetName) {
@@ -775,6 +1543,25 @@ export class BuilderUI {
 			}
 		};
 		
+		renamePrefabItem.onclick = () => {
+			const prefab = targetPrefabId ? this.manager.prefabManager.getPrefab(targetPrefabId) : null;
+			menu.style.display = 'none';
+			if (!prefab) return;
+			
+			const newName = prompt('Rename prefab:', prefab.name);
+			if (newName && newName.trim()) this.manager.renamePrefab(prefab.id, newName.trim());
+		};
+		
+		deletePrefabItem.onclick = () => {
+			const prefab = targetPrefabId ? this.manager.prefabManager.getPrefab(targetPrefabId) : null;
+			menu.style.display = 'none';
+			if (!prefab) return;
+			
+			if (confirm(`Delete prefab '${prefab.name}'? Placed instances stay in the scene as plain groups.`)) {
+				this.manager.deletePrefab(prefab.id);
+			}
+		};
+		
 		addToStoreItem.onclick = () => {
 			if (targetBrowserFile) {
 				menu.style.display = 'none';
@@ -784,6 +1571,36 @@ export class BuilderUI {
 			}
 		};
 		
+		// Drop acts on the selection; a right-clicked object outside of it is selected first
+		const dropTarget = (alignToNormal) => {
+			if (!targetMesh) return;
+			if (!this.manager.selectedMeshes.includes(targetMesh)) {
+				this.manager.selectObject(targetMesh, false);
+			}
+			const count = this.manager.dropToSurface(alignToNormal);
+			if (count === 0) this.setStatus('Nothing to drop: no surface below, or the objects are locked');
+			menu.style.display = 'none';
+		};
+		dropSurfaceItem.onclick = () => dropTarget(false);
+		dropAlignItem.onclick = () => dropTarget(true);
+		
+		placeCursorItem.onclick = () => {
+			if (targetPoint) {
+				this.manager.pivotManager.placeCursor(targetPoint);
+				menu.style.display = 'none';
+			}
+		};
+		
+		cursorToSelectionItem.onclick = () => {
+			this.manager.pivotManager.cursorToSelection();
+			menu.style.display = 'none';
+		};
+		
+		clearCursorItem.onclick = () => {
+			this.manager.pivotManager.clearCursor();
+			menu.style.display = 'none';
+		};
+		
 		setAnchorItem.onclick = () => {
 			if (targetMesh) {
 				this.manager.setAnchor(targetMesh);
@@ -798,7 +1615,9 @@ export class BuilderUI {
 		
 		deleteAssetItem.onclick = () => {
 			if (targetMesh) {
-				this.manager.removeObjectById(targetMesh.metadata.id);
+				// Go through deleteSelected so the deletion is undoable and groups are cleaned up
+				this.manager.selectObject(targetMesh, false);
+				this.manager.deleteSelected();
 				menu.style.display = 'none';
 			}
 		};
@@ -822,8 +1641,11 @@ export class BuilderUI {
 		btnUndo.onclick = () => this.manager.undoRedo.undo();
 		btnRedo.onclick = () => this.manager.undoRedo.redo();
 		this.manager.undoRedo.onHistoryChange = () => {
-			btnUndo.disabled = this.manager.undoRedo.historyIndex < 0;
-			btnRedo.disabled = this.manager.undoRedo.historyIndex >= this.manager.undoRedo.history.length - 1;
+			const undoRedo = this.manager.undoRedo;
+			// Disabled while a step waits for a store asset to load
+			btnUndo.disabled = undoRedo.isBusy || undoRedo.historyIndex < 0;
+			btnRedo.disabled = undoRedo.isBusy || undoRedo.historyIndex >= undoRedo.history.length - 1;
+			if (this.historyPanel) this.historyPanel.render();
 		};
 		window.addEventListener('keydown', (e) => {
 			if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
@@ -0,0 +1,118 @@
+import { BOOKMARK_HOTKEY_COUNT } from './managers/camera-bookmark-manager';
+
+// Lists the map's camera bookmarks.
+// Click recalls a bookmark; the first nine are also bound to the number keys.
+export class CameraBookmarksPanel {
+	constructor (objectManager) {
+		this.manager = objectManager;
+		this.panel = document.getElementById('camera-bookmarks-panel');
+		this.content = document.getElementById('camera-bookmarks-content');
+		
+		if (!this.panel) return;
+		
+		this.setupUI();
+		
+		// Subscribe to manager events
+		this.manager.onCameraBookmarksChange = () => this.render();
+		
+		this.render();
+	}
+	
+	setupUI () {
+		const btnCreate = document.getElementById('btnCreateCameraBookmark');
+		if (btnCreate) {
+			btnCreate.onclick = () => {
+				const name = prompt('Bookmark name:', `View_${this.manager.cameraBookmarks.length + 1}`);
+				if (name === null) return;
+				this.manager.createCameraBookmark(name.trim());
+			};
+		}
+	}
+	
+	render () {
+		if (!this.panel) return;
+		
+		this.content.innerHTML = '';
+		
+		if (this.manager.cameraBookmarks.length === 0) {
+			const empty = document.createElement('div');
+			empty.className = 'empty-state';
+			empty.innerText = 'No camera bookmarks.';
+			this.content.appendChild(empty);
+		}
+		
+		this.manager.cameraBookmarks.forEach((bookmark, index) => {
+			this.content.appendChild(this.createBookmarkItem(bookmark, index));
+		});
+	}
+	
+	createBookmarkItem (bookmark, index) {
+		const item = document.createElement('div');
+		item.className = 'camera-bookmark-item';
+		item.title = 'Click to fly to this view, Double-click to rename';
+		
+		// Number key shortcut
+		const keySpan = document.createElement('span');
+		keySpan.className = 'camera-bookmark-key';
+		keySpan.innerText = index < BOOKMARK_HOTKEY_COUNT ? index + 1 : '';
+		
+		const nameSpan = document.createElement('span');
+		nameSpan.className = 'camera-bookmark-name';
+		nameSpan.innerText = bookmark.name;
+		
+		item.onclick = () => this.manager.recallCameraBookmark(bookmark.id);
+		
+		// Rename on double click
+		nameSpan.ondblclick = (e) => {
+			e.stopPropagation();
+			const input = document.createElement('input');
+			input.type = 'text';
+			input.className = 'tree-rename-input';
+			input.value = bookmark.name;
+			
+			const saveName = () => {
+				const newName = input.value.trim();
+				if (newName && newName !== bookmark.name) {
+					this.manager.renameCameraBookmark(bookmark.id, newName);
+				} else {
+					this.render(); // Revert
+				}
+			};
+			
+			input.onclick = (ev) => ev.stopPropagation();
+			input.onblur = saveName;
+			input.onkeydown = (ev) => { if (ev.key === 'Enter') input.blur(); };
+			
+			item.replaceChild(input, nameSpan);
+			input.focus();
+		};
+		
+		// Actions (Update, Delete)
+		const actions = document.createElement('div');
+		actions.className = 'tree-group-actions';
+		
+		const createAction = (label, title, className, handler) => {
+			const btn = document.createElement('button');
+			btn.className = `btn-tree-action ${className}`;
+			btn.innerHTML = label;
+			btn.title = title;
+			btn.onclick = (e) => {
+				e.stopPropagation();
+				handler();
+			};
+			actions.appendChild(btn);
+		};
+		
+		createAction('⟳', 'Update to Current View', '', () => {
+			this.manager.updateCameraBookmark(bookmark.id);
+		});
+		createAction('×', 'Delete Bookmark', 'delete', () => {
+			this.manager.deleteCameraBookmark(bookmark.id);
+		});
+		
+		item.appendChild(keySpan);
+		item.appendChild(nameSpan);
+		item.appendChild(actions);
+		return item;
+	}
+}
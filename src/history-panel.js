@@ -0,0 +1,168 @@
+// Lists the undo stack and lets the user jump to any step.
+// The panel can be docked into either sidebar or float over the canvas.
+export class HistoryPanel {
+	constructor (objectManager) {
+		this.manager = objectManager;
+		this.panel = document.getElementById('history-panel');
+		this.header = document.getElementById('history-header');
+		this.content = document.getElementById('history-content');
+		this.toggleButton = document.getElementById('btnHistoryPanel');
+		
+		// Dock targets
+		this.hosts = {
+			left: document.getElementById('left-sidebar'),
+			right: document.getElementById('right-sidebar'),
+			float: document.getElementById('main-content')
+		};
+		
+		this.state = {
+			visible: false,
+			dock: 'right',
+			x: 320,
+			y: 20
+		};
+		
+		// Local Storage Key
+		this.LS_HISTORY_PANEL_STATE = 'builder_history_panel_state';
+		
+		if (!this.panel) return;
+		
+		this.loadState();
+		this.setupUI();
+		this.applyDock();
+		this.render();
+	}
+	
+	loadState () {
+		const savedState = localStorage.getItem(this.LS_HISTORY_PANEL_STATE);
+		if (savedState) {
+			try {
+				this.state = { ...this.state, ...JSON.parse(savedState) };
+			} catch (e) {
+				console.error('Failed to load history panel state', e);
+			}
+		}
+	}
+	
+	saveState () {
+		localStorage.setItem(this.LS_HISTORY_PANEL_STATE, JSON.stringify(this.state));
+	}
+	
+	setupUI () {
+		if (this.toggleButton) {
+			this.toggleButton.onclick = () => this.setVisible(!this.state.visible);
+		}
+		
+		this.panel.querySelectorAll('[data-dock]').forEach(btn => {
+			btn.onclick = (e) => {
+				e.stopPropagation();
+				this.state.dock = btn.dataset.dock;
+				this.applyDock();
+				this.saveState();
+			};
+		});
+		
+		const btnClose = document.getElementById('btnCloseHistory');
+		if (btnClose) {
+			btnClose.onclick = (e) => {
+				e.stopPropagation();
+				this.setVisible(false);
+			};
+		}
+		
+		this.setupFloatingDrag();
+	}
+	
+	// Drag the floating panel by its header
+	setupFloatingDrag () {
+		let dragStart = null;
+		
+		this.header.addEventListener('mousedown', (e) => {
+			if (this.state.dock !== 'float' || e.target.closest('button')) return;
+			dragStart = { mouseX: e.clientX, mouseY: e.clientY, x: this.state.x, y: this.state.y };
+			e.preventDefault();
+		});
+		
+		window.addEventListener('mousemove', (e) => {
+			if (!dragStart) return;
+			
+			const host = this.hosts.float.getBoundingClientRect();
+			const maxX = host.width - this.panel.offsetWidth;
+			const maxY = host.height - this.header.offsetHeight;
+			
+			this.state.x = Math.min(Math.max(0, dragStart.x + e.clientX - dragStart.mouseX), Math.max(0, maxX));
+			this.state.y = Math.min(Math.max(0, dragStart.y + e.clientY - dragStart.mouseY), Math.max(0, maxY));
+			this.panel.style.left = `${this.state.x}px`;
+			this.panel.style.top = `${this.state.y}px`;
+		});
+		
+		window.addEventListener('mouseup', () => {
+			if (dragStart) {
+				dragStart = null;
+				this.saveState();
+			}
+		});
+	}
+	
+	setVisible (visible) {
+		this.state.visible = visible;
+		this.applyDock();
+		this.saveState();
+		if (visible) this.render();
+	}
+	
+	applyDock () {
+		const host = this.hosts[this.state.dock] || this.hosts.right;
+		if (this.panel.parentElement !== host) host.appendChild(this.panel);
+		
+		const isFloating = this.state.dock === 'float';
+		this.panel.classList.toggle('floating', isFloating);
+		this.panel.classList.toggle('docked', !isFloating);
+		this.panel.style.left = isFloating ? `${this.state.x}px` : '';
+		this.panel.style.top = isFloating ? `${this.state.y}px` : '';
+		this.panel.style.display = this.state.visible ? 'flex' : 'none';
+		
+		this.panel.querySelectorAll('[data-dock]').forEach(btn => {
+			btn.classList.toggle('active', btn.dataset.dock === this.state.dock);
+		});
+		if (this.toggleButton) this.toggleButton.classList.toggle('active', this.state.visible);
+	}
+	
+	render () {
+		if (!this.panel || !this.state.visible) return;
+		
+		const undoRedo = this.manager.undoRedo;
+		this.content.innerHTML = '';
+		// Steps can't be jumped to while one is still loading a store asset
+		this.content.classList.toggle('busy', undoRedo.isBusy);
+		
+		const createEntry = (index, label) => {
+			const item = document.createElement('div');
+			item.className = 'history-item';
+			if (index === undoRedo.historyIndex) item.classList.add('current');
+			if (index > undoRedo.historyIndex) item.classList.add('future');
+			
+			const number = document.createElement('span');
+			number.className = 'history-index';
+			number.innerText = index + 1;
+			
+			const text = document.createElement('span');
+			text.className = 'history-label';
+			text.innerText = label;
+			text.title = label;
+			
+			item.appendChild(number);
+			item.appendChild(text);
+			
+			item.onclick = () => undoRedo.jumpTo(index);
+			this.content.appendChild(item);
+			return item;
+		};
+		
+		createEntry(-1, 'Initial state');
+		undoRedo.history.forEach((action, index) => createEntry(index, action.label || action.type));
+		
+		const current = this.content.querySelector('.history-item.current');
+		if (current) current.scrollIntoView({ block: 'nearest' });
+	}
+}
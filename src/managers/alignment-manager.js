@@ -90,6 +90,7 @@ export class AlignmentManager {
 		if (changes.length > 0) {
 			this.om.undoRedo.add({
 				type: 'TRANSFORM',
+				label: `Aligned ${changes.length} objects (${axis.toUpperCase()} ${mode})`,
 				data: changes
 			});
 			
@@ -232,6 +233,7 @@ export class AlignmentManager {
 		if (actualChanges.length > 0) {
 			this.om.undoRedo.add({
 				type: 'TRANSFORM',
+				label: `Snapped ${actualChanges.length} objects on ${axis.toUpperCase()}`,
 				data: actualChanges
 			});
 			
@@ -243,4 +245,351 @@ export class AlignmentManager {
 		
 		this.om.updateSelectionProxy();
 	}
+	
+	/**
+	 * Raycasts each selected object down onto the ground or the mesh beneath it.
+	 * Lower objects are dropped first so stacked selections land on each other.
+	 * @param {boolean} alignToNormal - Also tilt the object to match the surface normal (keeps its yaw)
+	 */
+	dropToSurface (alignToNormal = false) {
+		if (this.om.selectedMeshes.length === 0) return 0;
+		
+		this.releaseProxy();
+		
+		const candidates = this.om.selectedMeshes.filter(mesh => {
+			const objData = this.om.placedObjects.find(o => o.id === mesh.metadata.id);
+			return objData && !objData.isLocked && objData.type !== 'light' && objData.type !== 'camera';
+		});
+		
+		candidates.forEach(m => m.computeWorldMatrix(true));
+		candidates.sort((a, b) => a.getHierarchyBoundingVectors().min.y - b.getHierarchyBoundingVectors().min.y);
+		
+		const changes = [];
+		
+		candidates.forEach(mesh => {
+			const id = mesh.metadata.id;
+			const oldData = {
+				position: mesh.absolutePosition.asArray(),
+				rotation: mesh.absoluteRotationQuaternion.toEulerAngles().asArray(),
+				scaling: mesh.absoluteScaling.asArray()
+			};
+			
+			const dropped = alignToNormal ? this.dropAligned(mesh) : this.dropFlat(mesh);
+			if (!dropped) return;
+			
+			mesh.computeWorldMatrix(true);
+			const newData = {
+				position: mesh.absolutePosition.asArray(),
+				rotation: mesh.absoluteRotationQuaternion.toEulerAngles().asArray(),
+				scaling: mesh.absoluteScaling.asArray()
+			};
+			
+			if (JSON.stringify(oldData) === JSON.stringify(newData)) return;
+			
+			const objData = this.om.placedObjects.find(o => o.id === id);
+			if (objData) {
+				objData.position = newData.position;
+				objData.rotation = newData.rotation;
+			}
+			
+			changes.push({ id: id, oldData: oldData, newData: newData });
+		});
+		
+		if (changes.length > 0) {
+			const names = this.om.undoRedo.getObjectNames(changes.map(c => c.id));
+			this.om.undoRedo.add({
+				type: 'TRANSFORM',
+				label: `Dropped ${this.om.undoRedo.describeObjects(names)} to surface${alignToNormal ? ' (aligned)' : ''}`,
+				data: changes
+			});
+			
+			if (this.om.onSelectionChange) {
+				const selectedData = this.om.selectedMeshes.map(m => this.om.placedObjects.find(o => o.id === m.metadata.id));
+				this.om.onSelectionChange(selectedData);
+			}
+		}
+		
+		this.om.updateSelectionProxy();
+		return changes.length;
+	}
+	
+	// Moves the object straight down until its lowest point rests on the highest surface below its footprint
+	dropFlat (mesh) {
+		const bounds = mesh.getHierarchyBoundingVectors();
+		const center = bounds.min.add(bounds.max).scale(0.5);
+		const insetX = (bounds.max.x - bounds.min.x) * 0.4;
+		const insetZ = (bounds.max.z - bounds.min.z) * 0.4;
+		
+		// Center plus four points just inside the footprint corners
+		const samples = [
+			[center.x, center.z],
+			[center.x - insetX, center.z - insetZ],
+			[center.x + insetX, center.z - insetZ],
+			[center.x - insetX, center.z + insetZ],
+			[center.x + insetX, center.z + insetZ]
+		];
+		
+		let surfaceY = null;
+		samples.forEach(([x, z]) => {
+			const pick = this.pickSurfaceBelow(mesh, new BABYLON.Vector3(x, bounds.max.y, z));
+			if (pick && (surfaceY === null || pick.pickedPoint.y > surfaceY)) {
+				surfaceY = pick.pickedPoint.y;
+			}
+		});
+		
+		if (surfaceY === null) return false;
+		
+		mesh.position.y += surfaceY - bounds.min.y;
+		return true;
+	}
+	
+	// Tilts the object so its up axis follows the surface normal under its center
+	dropAligned (mesh) {
+		const bounds = mesh.getHierarchyBoundingVectors();
+		const center = bounds.min.add(bounds.max).scale(0.5);
+		
+		const pick = this.pickSurfaceBelow(mesh, new BABYLON.Vector3(center.x, bounds.max.y, center.z));
+		if (!pick) return false;
+		
+		const normal = pick.getNormal(true, true) || BABYLON.Vector3.Up();
+		normal.normalize();
+		
+		// Keep the yaw, drop any previous tilt
+		const yaw = mesh.absoluteRotationQuaternion.toEulerAngles().y;
+		const uprightRotation = BABYLON.Quaternion.RotationAxis(BABYLON.Axis.Y, yaw);
+		
+		// Distance from the origin down to the bottom while upright
+		mesh.rotationQuaternion = uprightRotation;
+		mesh.computeWorldMatrix(true);
+		const uprightBounds = mesh.getHierarchyBoundingVectors();
+		const bottomOffset = mesh.absolutePosition.y - uprightBounds.min.y;
+		
+		const tilt = new BABYLON.Quaternion();
+		BABYLON.Quaternion.FromUnitVectorsToRef(BABYLON.Vector3.Up(), normal, tilt);
+		mesh.rotationQuaternion = tilt.multiply(uprightRotation);
+		
+		mesh.setAbsolutePosition(pick.pickedPoint.add(normal.scale(bottomOffset)));
+		return true;
+	}
+	
+	// Casts a ray straight down, ignoring the object itself, hidden objects and helpers
+	pickSurfaceBelow (mesh, origin) {
+		const ray = new BABYLON.Ray(origin.add(new BABYLON.Vector3(0, 0.01, 0)), new BABYLON.Vector3(0, -1, 0), 10000);
+		
+		const pick = this.om.scene.pickWithRay(ray, (m) => {
+			if (!m.isPickable || !m.isEnabled() || !m.isVisible) return false;
+			if (m.metadata && m.metadata.isGhost) return false;
+			if (m === mesh || m.isDescendantOf(mesh)) return false;
+			
+			// Light and camera helpers are not surfaces
+			let root = m;
+			while (root.parent) root = root.parent;
+			return !(root.metadata && (root.metadata.type === 'light' || root.metadata.type === 'camera'));
+		});
+		
+		return pick && pick.hit ? pick : null;
+	}
+	
+	// --- Distribute / Spacing ---
+	// Locked objects never move. Like snapSelection they act as fixed points the
+	// other objects are arranged against.
+	
+	/**
+	 * Spreads objects evenly between the outermost two (and any locked ones) on an axis.
+	 * @param {string} axis - 'x' | 'y' | 'z'
+	 * @param {string} mode - 'centers' (equal center distance) | 'gaps' (equal space between bounds)
+	 */
+	distributeSelection (axis, mode) {
+		if (this.om.selectedMeshes.length < 3) return 0;
+		
+		this.releaseProxy();
+		const oldTransforms = this.captureTransforms();
+		
+		const items = this.getItemsWithBounds();
+		const centerOf = (item) => (item.bounds.min[axis] + item.bounds.max[axis]) / 2;
+		items.sort((a, b) => centerOf(a) - centerOf(b));
+		
+		// Fixed points: both ends plus every locked object
+		const fixed = items
+			.map((item, i) => (i === 0 || i === items.length - 1 || item.data.isLocked) ? i : -1)
+			.filter(i => i !== -1);
+		
+		for (let f = 0; f < fixed.length - 1; f++) {
+			const a = fixed[f];
+			const b = fixed[f + 1];
+			if (b - a < 2) continue;
+			
+			if (mode === 'gaps') {
+				let usedSpace = 0;
+				for (let i = a + 1; i < b; i++) {
+					usedSpace += items[i].bounds.max[axis] - items[i].bounds.min[axis];
+				}
+				const gap = (items[b].bounds.min[axis] - items[a].bounds.max[axis] - usedSpace) / (b - a);
+				
+				let edge = items[a].bounds.max[axis];
+				for (let i = a + 1; i < b; i++) {
+					edge += gap;
+					const dim = items[i].bounds.max[axis] - items[i].bounds.min[axis];
+					items[i].mesh.position[axis] += edge - items[i].bounds.min[axis];
+					items[i].mesh.computeWorldMatrix(true);
+					edge += dim;
+				}
+			} else {
+				const start = centerOf(items[a]);
+				const step = (centerOf(items[b]) - start) / (b - a);
+				
+				for (let i = a + 1; i < b; i++) {
+					items[i].mesh.position[axis] += start + step * (i - a) - centerOf(items[i]);
+					items[i].mesh.computeWorldMatrix(true);
+				}
+			}
+		}
+		
+		return this.recordTransformChanges(oldTransforms, (count) => `Distributed ${count} objects on ${axis.toUpperCase()} (${mode})`);
+	}
+	
+	/**
+	 * Places object centers exactly `interval` apart on an axis, in their current order.
+	 * Starts from the first locked object (or the first object) and works outwards.
+	 */
+	spaceAtInterval (axis, interval) {
+		if (this.om.selectedMeshes.length < 2 || isNaN(interval)) return 0;
+		
+		this.releaseProxy();
+		const oldTransforms = this.captureTransforms();
+		
+		const items = this.getItemsWithBounds();
+		const centerOf = (item) => (item.bounds.min[axis] + item.bounds.max[axis]) / 2;
+		items.sort((a, b) => centerOf(a) - centerOf(b));
+		
+		const lockedIndex = items.findIndex(item => item.data.isLocked);
+		const pivotIndex = lockedIndex === -1 ? 0 : lockedIndex;
+		
+		const place = (item, target) => {
+			item.mesh.position[axis] += target - centerOf(item);
+			item.mesh.computeWorldMatrix(true);
+		};
+		
+		let previous = centerOf(items[pivotIndex]);
+		for (let i = pivotIndex + 1; i < items.length; i++) {
+			if (items[i].data.isLocked) {
+				previous = centerOf(items[i]);
+			} else {
+				previous += interval;
+				place(items[i], previous);
+			}
+		}
+		
+		previous = centerOf(items[pivotIndex]);
+		for (let i = pivotIndex - 1; i >= 0; i--) {
+			if (items[i].data.isLocked) {
+				previous = centerOf(items[i]);
+			} else {
+				previous -= interval;
+				place(items[i], previous);
+			}
+		}
+		
+		return this.recordTransformChanges(oldTransforms, (count) => `Spaced ${count} objects ${interval} apart on ${axis.toUpperCase()}`);
+	}
+	
+	/**
+	 * Spreads the unlocked objects evenly from `start` to `end`, keeping their order
+	 * along the line. Each object's bottom center is placed on the line.
+	 * @param {BABYLON.Vector3} start
+	 * @param {BABYLON.Vector3} end
+	 */
+	distributeAlongLine (start, end) {
+		if (this.om.selectedMeshes.length < 2) return 0;
+		
+		this.releaseProxy();
+		const oldTransforms = this.captureTransforms();
+		
+		const line = end.subtract(start);
+		const direction = line.length() > 0 ? line.normalizeToNew() : BABYLON.Vector3.Right();
+		
+		const movable = this.getItemsWithBounds().filter(item => !item.data.isLocked);
+		const centerOf = (item) => item.bounds.min.add(item.bounds.max).scale(0.5);
+		movable.sort((a, b) => BABYLON.Vector3.Dot(centerOf(a).subtract(start), direction) - BABYLON.Vector3.Dot(centerOf(b).subtract(start), direction));
+		
+		movable.forEach((item, i) => {
+			const t = movable.length === 1 ? 0.5 : i / (movable.length - 1);
+			const target = start.add(line.scale(t));
+			const center = centerOf(item);
+			
+			const shift = new BABYLON.Vector3(target.x - center.x, target.y - item.bounds.min.y, target.z - center.z);
+			item.mesh.setAbsolutePosition(item.mesh.absolutePosition.add(shift));
+			item.mesh.computeWorldMatrix(true);
+		});
+		
+		return this.recordTransformChanges(oldTransforms, (count) => `Distributed ${count} objects along a line`);
+	}
+	
+	// Unparents the selection from the proxy so objects can be moved individually
+	releaseProxy () {
+		if (this.om.selectionProxy) {
+			this.om.selectedMeshes.forEach(m => m.setParent(null));
+			this.om.selectionProxy.dispose();
+			this.om.selectionProxy = null;
+			this.om.gizmoController.attachToMesh(null);
+		}
+	}
+	
+	getItemsWithBounds () {
+		return this.om.selectedMeshes.map(mesh => {
+			mesh.computeWorldMatrix(true);
+			return {
+				mesh: mesh,
+				data: this.om.placedObjects.find(o => o.id === mesh.metadata.id) || {},
+				bounds: mesh.getHierarchyBoundingVectors()
+			};
+		});
+	}
+	
+	getTransformData (mesh) {
+		return {
+			position: mesh.absolutePosition.asArray(),
+			rotation: mesh.absoluteRotationQuaternion.toEulerAngles().asArray(),
+			scaling: mesh.absoluteScaling.asArray()
+		};
+	}
+	
+	captureTransforms () {
+		return this.om.selectedMeshes.map(mesh => ({ id: mesh.metadata.id, oldData: this.getTransformData(mesh) }));
+	}
+	
+	// Records one TRANSFORM entry for every object that moved, then rebuilds the proxy
+	recordTransformChanges (oldTransforms, getLabel) {
+		const changes = [];
+		
+		oldTransforms.forEach(entry => {
+			const mesh = this.om.findMeshById(entry.id);
+			if (!mesh) return;
+			
+			const newData = this.getTransformData(mesh);
+			if (JSON.stringify(entry.oldData) === JSON.stringify(newData)) return;
+			
+			const objData = this.om.placedObjects.find(o => o.id === entry.id);
+			if (objData) {
+				objData.position = newData.position;
+			}
+			changes.push({ id: entry.id, oldData: entry.oldData, newData: newData });
+		});
+		
+		if (changes.length > 0) {
+			this.om.undoRedo.add({
+				type: 'TRANSFORM',
+				label: getLabel(changes.length),
+				data: changes
+			});
+			
+			if (this.om.onSelectionChange) {
+				const selectedData = this.om.selectedMeshes.map(m => this.om.placedObjects.find(o => o.id === m.metadata.id));
+				this.om.onSelectionChange(selectedData);
+			}
+		}
+		
+		this.om.updateSelectionProxy();
+		return changes.length;
+	}
 }
@@ -0,0 +1,390 @@
+import * as BABYLON from '@babylonjs/core';
+
+export const ARRAY_MODES = ['linear', 'radial', 'path'];
+
+// Repeats the current selection (any mix of objects, lights and groups) as a whole.
+// Settings are previewed with ghost copies until commit() creates the real objects.
+//
+// settings: {
+//   mode: 'linear' | 'radial' | 'path',
+//   count: total number of items, the selection itself counts as the first one
+//          in linear and radial mode. In path mode all items are new copies.
+//          Copies keep the grouping of the selection (see groupCopies).
+//   offset, rotation (degrees), scale: per-step transform (linear)
+//   axis, sweep (degrees), rotateCopies: rotation around the pivot (radial)
+//   pathPoints, alignToPath: polyline drawn on the ground (path)
+// }
+export class ArrayManager {
+	constructor (objectManager) {
+		this.om = objectManager;
+		this.scene = objectManager.scene;
+		
+		this.settings = null;
+		this.previewCopies = []; // One array of ghost meshes per copy
+		this.previewSources = [];
+	}
+	
+	get isPreviewing () {
+		return this.settings !== null;
+	}
+	
+	/**
+	 * Starts or refreshes the preview for the current selection.
+	 * @returns {number} Number of copies shown
+	 */
+	updatePreview (settings) {
+		this.settings = { ...settings };
+		
+		const sources = this.getSources();
+		const matrices = this.computeCopyMatrices(sources, this.settings);
+		
+		// Rebuild the ghosts when the selection or copy count changed, otherwise just move them
+		const sourceIds = sources.map(s => s.data.id).join(',');
+		if (sourceIds !== this.previewSources.join(',') || matrices.length !== this.previewCopies.length) {
+			this.disposePreview();
+			this.previewSources = sources.map(s => s.data.id);
+			this.previewCopies = matrices.map(() => sources.map(s => this.createPreviewMesh(s.data)));
+		}
+		
+		matrices.forEach((matrix, c) => {
+			sources.forEach((source, i) => {
+				const ghost = this.previewCopies[c][i];
+				if (!ghost) return;
+				
+				const { position, rotation, scaling } = this.decompose(source.world.multiply(matrix));
+				ghost.position.copyFrom(position);
+				ghost.rotationQuaternion = rotation;
+				ghost.scaling.copyFrom(scaling);
+			});
+		});
+		
+		return matrices.length;
+	}
+	
+	cancelPreview () {
+		this.disposePreview();
+		this.settings = null;
+	}
+	
+	/**
+	 * Creates the previewed copies as real objects and groups them.
+	 * One undo step covers the objects and the groups.
+	 * @returns {number} Number of objects created
+	 */
+	commit () {
+		if (!this.settings) return 0;
+		
+		const settings = this.settings;
+		const sources = this.getSources();
+		const matrices = this.computeCopyMatrices(sources, settings);
+		this.cancelPreview();
+		
+		if (sources.length === 0 || matrices.length === 0) return 0;
+		
+		const newObjectsData = [];
+		const copyIdMaps = []; // Per copy: { sourceId: newId }
+		matrices.forEach(matrix => {
+			const idMap = {};
+			sources.forEach(source => {
+				const { position, rotation, scaling } = this.decompose(source.world.multiply(matrix));
+				
+				// Same as duplicateSelection: copy the saved data and rebuild through restoreObject
+				const newData = {
+					...JSON.parse(JSON.stringify(source.data)),
+					id: BABYLON.Tools.RandomId(),
+					name: this.getUniqueName(source.data, newObjectsData),
+					isLocked: false,
+					position: position.asArray(),
+					rotation: rotation.toEulerAngles().asArray(),
+					scaling: scaling.asArray()
+				};
+				
+				this.om.restoreObject(newData);
+				newObjectsData.push(newData);
+				idMap[source.data.id] = newData.id;
+			});
+			copyIdMaps.push(idMap);
+		});
+		
+		let arrayGroupId = null;
+		this.om.undoRedo.begin(`Added ${settings.mode} array of ${this.om.undoRedo.describeObjects(sources.map(s => s.data.name))}`);
+		try {
+			this.om.undoRedo.add({ type: 'ADD', data: newObjectsData });
+			arrayGroupId = this.groupCopies(sources, copyIdMaps, settings.mode !== 'path');
+		} finally {
+			this.om.undoRedo.commit();
+		}
+		
+		// Like clicking the array group in the tree
+		this.om.selectObjectsByIds(this.om.groupManager.getAllObjectIds(arrayGroupId));
+		if (this.om.onListChange) this.om.onListChange();
+		return newObjectsData.length;
+	}
+	
+	/**
+	 * Puts the copies into a new `<asset>_array_<n>` group next to the selection.
+	 * Groups the selection fully covers are copied with their sub-groups (prefab
+	 * instances stay instances), so every copy keeps the structure of the selection.
+	 * The selection never leaves a group it only partly covers; with includeSources it
+	 * joins the array group as its first item where that leaves the existing groups intact.
+	 * @param {Array} sources - From getSources
+	 * @param {Array<Object>} copyIdMaps - Per copy: { sourceId: newId }
+	 * @param {boolean} includeSources - Linear and radial arrays
+	 * @returns {string} Id of the array group
+	 */
+	groupCopies (sources, copyIdMaps, includeSources) {
+		const gm = this.om.groupManager;
+		const oldGroups = gm.cloneGroups();
+		
+		const sourceIds = sources.map(s => s.data.id);
+		const isCovered = (group) => {
+			const ids = gm.getAllObjectIds(group.id);
+			return ids.length > 0 && ids.every(id => sourceIds.includes(id));
+		};
+		const coveredGroups = this.om.groups.filter(isCovered);
+		const rootGroups = coveredGroups.filter(g => !coveredGroups.some(p => p.id === g.parentId));
+		const looseIds = sourceIds.filter(id => {
+			const group = gm.getGroupOfObject(id);
+			return !group || !coveredGroups.includes(group);
+		});
+		
+		// The array group sits where the selection is, or at the top level if that differs
+		const containerOf = (group) => (group && gm.getGroup(group.parentId) ? group.parentId : null);
+		const containers = new Set([
+			...rootGroups.map(g => containerOf(g)),
+			...looseIds.map(id => {
+				const group = gm.getGroupOfObject(id);
+				return group ? group.id : null;
+			})
+		]);
+		const parentId = containers.size === 1 ? [...containers][0] : null;
+		
+		const assetNames = [...new Set(sources.map(s => s.data.assetName || s.data.kind))];
+		const arrayGroup = {
+			id: BABYLON.Tools.RandomId(),
+			name: this.om.prefabManager.getUniqueGroupName(`${assetNames.length === 1 ? assetNames[0] : 'objects'}_array`),
+			objectIds: [],
+			parentId: parentId
+		};
+		this.om.groups.push(arrayGroup);
+		
+		if (includeSources) {
+			rootGroups.filter(g => containerOf(g) === parentId).forEach(g => { g.parentId = arrayGroup.id; });
+			// Objects are only taken from the top level, never out of a group
+			if (parentId === null) arrayGroup.objectIds.push(...looseIds.filter(id => !gm.getGroupOfObject(id)));
+		}
+		
+		copyIdMaps.forEach(idMap => {
+			arrayGroup.objectIds.push(...looseIds.map(id => idMap[id]));
+			
+			// Parents are copied before their sub-groups
+			const groupIdMap = {};
+			rootGroups.flatMap(g => [g, ...gm.getDescendantGroups(g.id)]).forEach(group => {
+				const copy = {
+					...JSON.parse(JSON.stringify(group)),
+					id: BABYLON.Tools.RandomId(),
+					name: this.om.prefabManager.getUniqueGroupName(group.name.replace(/_\d+$/, '')),
+					objectIds: group.objectIds.map(id => idMap[id]),
+					parentId: groupIdMap[group.parentId] || arrayGroup.id
+				};
+				if (group.memberKeys) {
+					copy.memberKeys = {};
+					Object.entries(group.memberKeys).forEach(([id, key]) => {
+						if (idMap[id]) copy.memberKeys[idMap[id]] = key;
+					});
+				}
+				groupIdMap[group.id] = copy.id;
+				this.om.groups.push(copy);
+			});
+		});
+		
+		this.om.undoRedo.recordSnapshot('groups', oldGroups, `Created group ${arrayGroup.name}`);
+		return arrayGroup.id;
+	}
+	
+	// --- Copy Transforms ---
+	
+	getSources () {
+		return this.om.selectedMeshes.map(mesh => {
+			const data = this.om.placedObjects.find(o => o.id === mesh.metadata.id);
+			if (!data) return null;
+			
+			// World matrix, so multi-selections parented to the proxy work too
+			mesh.computeWorldMatrix(true);
+			return { mesh, data, world: mesh.getWorldMatrix().clone() };
+		}).filter(Boolean);
+	}
+	
+	/**
+	 * Returns one world-space matrix per copy. A source's copy is source.world * matrix.
+	 */
+	computeCopyMatrices (sources, settings) {
+		if (sources.length === 0) return [];
+		
+		const count = Math.max(1, Math.floor(settings.count) || 1);
+		const bounds = this.getBounds(sources);
+		const center = bounds.min.add(bounds.max).scale(0.5);
+		const matrices = [];
+		
+		if (settings.mode === 'radial') {
+			// Pivot: the 3D cursor if one is placed, otherwise the selection center
+			const pivot = this.om.pivotManager.cursorPosition || center;
+			const axis = { x: BABYLON.Axis.X, y: BABYLON.Axis.Y, z: BABYLON.Axis.Z }[settings.axis] || BABYLON.Axis.Y;
+			const sweep = BABYLON.Tools.ToRadians(settings.sweep);
+			// A full circle would put the last copy on top of the first one
+			const isFullCircle = Math.abs(Math.abs(settings.sweep) - 360) < 0.001;
+			const step = sweep / (isFullCircle ? count : Math.max(1, count - 1));
+			
+			for (let i = 1; i < count; i++) {
+				const rotation = BABYLON.Matrix.RotationAxis(axis, step * i);
+				if (settings.rotateCopies) {
+					matrices.push(BABYLON.Matrix.Translation(-pivot.x, -pivot.y, -pivot.z)
+						.multiply(rotation)
+						.multiply(BABYLON.Matrix.Translation(pivot.x, pivot.y, pivot.z)));
+				} else {
+					// Only the position moves around the pivot
+					const moved = BABYLON.Vector3.TransformCoordinates(center.subtract(pivot), rotation).add(pivot);
+					matrices.push(BABYLON.Matrix.Translation(moved.x - center.x, moved.y - center.y, moved.z - center.z));
+				}
+			}
+		} else if (settings.mode === 'path') {
+			const samples = this.samplePath(settings.pathPoints || [], count);
+			// The bottom center of the selection is placed on the path
+			const base = new BABYLON.Vector3(center.x, bounds.min.y, center.z);
+			
+			samples.forEach(sample => {
+				const yaw = settings.alignToPath ? Math.atan2(sample.tangent.x, sample.tangent.z) : 0;
+				matrices.push(BABYLON.Matrix.Translation(-base.x, -base.y, -base.z)
+					.multiply(BABYLON.Matrix.RotationY(yaw))
+					.multiply(BABYLON.Matrix.Translation(sample.point.x, sample.point.y, sample.point.z)));
+			});
+		} else {
+			const offset = settings.offset || BABYLON.Vector3.Zero();
+			const rotation = settings.rotation || BABYLON.Vector3.Zero();
+			const scale = settings.scale || BABYLON.Vector3.One();
+			
+			// Each step rotates and scales around the selection center, then moves by the offset
+			for (let i = 1; i < count; i++) {
+				const stepRotation = BABYLON.Quaternion.RotationYawPitchRoll(
+					BABYLON.Tools.ToRadians(rotation.y * i),
+					BABYLON.Tools.ToRadians(rotation.x * i),
+					BABYLON.Tools.ToRadians(rotation.z * i)
+				);
+				const stepScale = BABYLON.Matrix.Scaling(Math.pow(scale.x, i), Math.pow(scale.y, i), Math.pow(scale.z, i));
+				const target = center.add(offset.scale(i));
+				
+				matrices.push(BABYLON.Matrix.Translation(-center.x, -center.y, -center.z)
+					.multiply(stepScale)
+					.multiply(stepRotation.toRotationMatrix(new BABYLON.Matrix()))
+					.multiply(BABYLON.Matrix.Translation(target.x, target.y, target.z)));
+			}
+		}
+		
+		return matrices;
+	}
+	
+	/**
+	 * Spreads `count` samples evenly by length along a polyline, both ends included.
+	 * @returns {Array<{point: BABYLON.Vector3, tangent: BABYLON.Vector3}>}
+	 */
+	samplePath (points, count) {
+		if (points.length < 2) return [];
+		
+		const segments = [];
+		let totalLength = 0;
+		for (let i = 0; i < points.length - 1; i++) {
+			const length = BABYLON.Vector3.Distance(points[i], points[i + 1]);
+			if (length === 0) continue;
+			segments.push({ start: points[i], end: points[i + 1], length, offset: totalLength });
+			totalLength += length;
+		}
+		if (segments.length === 0) return [];
+		
+		const samples = [];
+		for (let i = 0; i < count; i++) {
+			const distance = count === 1 ? totalLength / 2 : totalLength * i / (count - 1);
+			const segment = segments.find(s => distance <= s.offset + s.length) || segments[segments.length - 1];
+			const t = Math.min(1, (distance - segment.offset) / segment.length);
+			
+			samples.push({
+				point: BABYLON.Vector3.Lerp(segment.start, segment.end, t),
+				tangent: segment.end.subtract(segment.start).normalize()
+			});
+		}
+		return samples;
+	}
+	
+	getBounds (sources) {
+		let min = new BABYLON.Vector3(Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE);
+		let max = new BABYLON.Vector3(-Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE);
+		sources.forEach(s => {
+			const bounds = s.mesh.getHierarchyBoundingVectors(true);
+			min = BABYLON.Vector3.Minimize(min, bounds.min);
+			max = BABYLON.Vector3.Maximize(max, bounds.max);
+		});
+		return { min, max };
+	}
+	
+	decompose (matrix) {
+		const position = new BABYLON.Vector3();
+		const rotation = new BABYLON.Quaternion();
+		const scaling = new BABYLON.Vector3();
+		matrix.decompose(scaling, rotation, position);
+		return { position, rotation, scaling };
+	}
+	
+	// Next free "<asset>_<n>" name, like addAsset. Lights keep their own base name.
+	getUniqueName (data, pendingData) {
+		const baseName = data.assetName || data.name.replace(/_\d+$/, '');
+		let maxIndex = 0;
+		[...this.om.placedObjects, ...pendingData].forEach(o => {
+			if (!o.name || !o.name.startsWith(`${baseName}_`)) return;
+			const suffix = parseInt(o.name.substring(baseName.length + 1));
+			if (!isNaN(suffix) && suffix > maxIndex) maxIndex = suffix;
+		});
+		return `${baseName}_${maxIndex + 1}`;
+	}
+	
+	// --- Preview ---
+	
+	createPreviewMesh (data) {
+		let root;
+		if (data.type === 'light' || data.type === 'camera') {
+			// Lights and cameras are previewed as a small marker instead of a second light/camera
+			root = BABYLON.MeshBuilder.CreateSphere('array_preview_light', { diameter: 0.4 }, this.scene);
+			const mat = new BABYLON.StandardMaterial('array_preview_light_mat', this.scene);
+			mat.emissiveColor = new BABYLON.Color3(1, 0.9, 0.4);
+			mat.disableLighting = true;
+			root.material = mat;
+		} else {
+			root = this.om.assetManager.instantiate(data.assetName);
+			if (!root) return null;
+			root.name = 'array_preview';
+		}
+		
+		// Same appearance as the placement ghost
+		const descendants = root.getChildMeshes(false);
+		descendants.push(root);
+		descendants.forEach(m => {
+			m.isPickable = false;
+			m.checkCollisions = false;
+			m.visibility = 0.5;
+			m.receiveShadows = false;
+			if (!m.metadata) m.metadata = {};
+			m.metadata.isGhost = true;
+		});
+		
+		if (!root.rotationQuaternion) root.rotationQuaternion = new BABYLON.Quaternion();
+		return root;
+	}
+	
+	disposePreview () {
+		this.previewCopies.forEach(copy => copy.forEach(mesh => {
+			if (!mesh) return;
+			// FIX: Keep shared materials of asset instances, only the light markers own theirs
+			mesh.dispose(false, mesh.name === 'array_preview_light');
+		}));
+		this.previewCopies = [];
+		this.previewSources = [];
+	}
+}
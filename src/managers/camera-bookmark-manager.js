@@ -0,0 +1,120 @@
+import * as BABYLON from '@babylonjs/core';
+
+// Named editor camera positions saved in the map: { id, name, alpha, beta, radius, target }.
+// The first nine can be recalled with the number keys, so the list order matters.
+export const BOOKMARK_HOTKEY_COUNT = 9;
+
+export class CameraBookmarkManager {
+	constructor (objectManager) {
+		this.om = objectManager;
+		
+		objectManager.undoRedo.registerSnapshot('cameraBookmarks', {
+			label: 'Changed camera bookmarks',
+			clone: () => this.cloneBookmarks(),
+			restore: (bookmarks) => this.setBookmarks(bookmarks)
+		});
+	}
+	
+	// Stores the view under the pointer (the editor view while previewing a scene camera)
+	createBookmark (name) {
+		const oldBookmarks = this.cloneBookmarks();
+		const bookmark = {
+			id: BABYLON.Tools.RandomId(),
+			name: name || `View_${this.om.cameraBookmarks.length + 1}`,
+			...this.captureState()
+		};
+		
+		this.om.cameraBookmarks.push(bookmark);
+		this.om.undoRedo.recordSnapshot('cameraBookmarks', oldBookmarks, `Saved camera bookmark ${bookmark.name}`);
+		this.notifyChange();
+		
+		return bookmark;
+	}
+	
+	// Overwrites a bookmark with the current view
+	updateBookmark (bookmarkId) {
+		const bookmark = this.getBookmark(bookmarkId);
+		if (!bookmark) return;
+		
+		const oldBookmarks = this.cloneBookmarks();
+		Object.assign(bookmark, this.captureState());
+		this.om.undoRedo.recordSnapshot('cameraBookmarks', oldBookmarks, `Updated camera bookmark ${bookmark.name}`);
+		this.notifyChange();
+	}
+	
+	renameBookmark (bookmarkId, newName) {
+		const bookmark = this.getBookmark(bookmarkId);
+		if (bookmark) {
+			const oldBookmarks = this.cloneBookmarks();
+			const oldName = bookmark.name;
+			bookmark.name = newName;
+			this.om.undoRedo.recordSnapshot('cameraBookmarks', oldBookmarks, `Renamed camera bookmark ${oldName} to ${newName}`);
+			this.notifyChange();
+		}
+	}
+	
+	deleteBookmark (bookmarkId) {
+		const oldBookmarks = this.cloneBookmarks();
+		const bookmark = this.getBookmark(bookmarkId);
+		this.om.cameraBookmarks = this.om.cameraBookmarks.filter(b => b.id !== bookmarkId);
+		this.om.undoRedo.recordSnapshot('cameraBookmarks', oldBookmarks, `Deleted camera bookmark ${bookmark ? bookmark.name : ''}`);
+		this.notifyChange();
+	}
+	
+	/**
+	 * Animates the view under the pointer to a bookmark (same transition as Reset Camera)
+	 * @param {string} bookmarkId
+	 * @returns {Object|null} The recalled bookmark
+	 */
+	recallBookmark (bookmarkId) {
+		const bookmark = this.getBookmark(bookmarkId);
+		if (!bookmark) return null;
+		
+		const builderScene = this.om.builderScene;
+		this.om.cameraManager.setView(null);
+		builderScene.animateCamera(builderScene.getFocusCamera(), {
+			target: BABYLON.Vector3.FromArray(bookmark.target),
+			radius: bookmark.radius,
+			alpha: bookmark.alpha,
+			beta: bookmark.beta
+		});
+		
+		return bookmark;
+	}
+	
+	// Number key shortcuts (index 0 is key 1)
+	recallBookmarkAt (index) {
+		const bookmark = this.om.cameraBookmarks[index];
+		return bookmark && index < BOOKMARK_HOTKEY_COUNT ? this.recallBookmark(bookmark.id) : null;
+	}
+	
+	getBookmark (bookmarkId) {
+		return this.om.cameraBookmarks.find(b => b.id === bookmarkId);
+	}
+	
+	captureState () {
+		const camera = this.om.builderScene.getFocusCamera();
+		return {
+			alpha: camera.alpha,
+			beta: camera.beta,
+			radius: camera.radius,
+			target: camera.target.asArray()
+		};
+	}
+	
+	// --- History ---
+	
+	cloneBookmarks () {
+		return JSON.parse(JSON.stringify(this.om.cameraBookmarks));
+	}
+	
+	// Replaces the bookmarks without history, e.g. from a loaded map
+	setBookmarks (bookmarks) {
+		this.om.cameraBookmarks = JSON.parse(JSON.stringify(bookmarks || []));
+		this.notifyChange();
+	}
+	
+	notifyChange () {
+		if (this.om.onCameraBookmarksChange) this.om.onCameraBookmarksChange();
+	}
+}
@@ -0,0 +1,217 @@
+import * as BABYLON from '@babylonjs/core';
+
+// Camera markers and frustums live on their own layer, so they show up in the
+// editor view but not when looking through a scene camera.
+const CAMERA_GIZMO_LAYER = 0x10000000;
+
+// Everything the editor views render (Babylon's default mask plus the camera gizmos)
+export const EDITOR_LAYER_MASK = 0x0FFFFFFF | CAMERA_GIZMO_LAYER;
+
+// Length of the frustum lines drawn in the viewport
+const FRUSTUM_DEPTH = 3;
+
+export const DEFAULT_CAMERA_FOV = 60;
+
+export class CameraManager {
+	constructor (objectManager) {
+		this.om = objectManager;
+		this.scene = objectManager.scene;
+		this.builderScene = objectManager.builderScene;
+		
+		this.editorCamera = null;
+		this.viewCameraId = null; // Scene camera the viewport looks through (null = EditorCamera)
+		this.sceneCameras = new Map(); // Map<CameraID, { camera, lines }>
+		
+		this.onViewChange = null;
+		
+		this.createEditorCamera();
+		
+		// Frustums follow the viewport aspect ratio
+		this.scene.getEngine().onResizeObservable.add(() => {
+			this.sceneCameras.forEach((entry, id) => this.updateFrustum(id));
+		});
+	}
+	
+	// The editor's own orbit camera. It is not a placed object, so it is never saved or deleted.
+	createEditorCamera () {
+		const camera = new BABYLON.ArcRotateCamera('EditorCamera', -Math.PI / 2, Math.PI / 3, 20, BABYLON.Vector3.Zero(), this.scene);
+		this.configureEditorInput(camera);
+		camera.layerMask = EDITOR_LAYER_MASK;
+		
+		this.editorCamera = camera;
+		this.builderScene.camera = camera;
+		this.scene.activeCamera = camera;
+	}
+	
+	// Shared by the EditorCamera and the ortho view cameras. Orbit and pan are done
+	// by hand with Alt/Ctrl (see BuilderScene.handlePointerMove); the wheel zooms.
+	configureEditorInput (camera) {
+		camera.wheelPrecision = 50;
+		camera.lowerRadiusLimit = 2;
+		camera.upperRadiusLimit = 200;
+		
+		// --- Camera Input Configuration ---
+		// Attach control immediately so scroll wheel works all the time
+		camera.attachControl(this.builderScene.canvas, true);
+		camera.inputs.remove(camera.inputs.attached.keyboard);
+		
+		// 0 disables panning completely (Standard Input)
+		camera.panningSensibility = 0;
+		
+		// Infinity makes the camera infinitely hard to rotate (effectively locking it)
+		camera.angularSensibilityX = Infinity;
+		camera.angularSensibilityY = Infinity;
+	}
+	
+	/**
+	 * Creates a scene camera, its viewport marker and its frustum lines
+	 * @param {string} id - Object id of the camera
+	 * @param {BABYLON.Vector3} position - World position
+	 * @param {string} name - Name of the camera
+	 * @param {number} fov - Vertical field of view in degrees
+	 * @returns {object} { mesh, camera }
+	 */
+	createCamera (id, position, name, fov = DEFAULT_CAMERA_FOV) {
+		const mat = new BABYLON.StandardMaterial(name + '_mat', this.scene);
+		mat.emissiveColor = new BABYLON.Color3(0.4, 0.8, 1);
+		mat.disableLighting = true;
+		
+		// Visual: Body + lens pointing along Z (the camera's view direction)
+		const mesh = BABYLON.MeshBuilder.CreateBox(name + '_gizmo', { width: 0.4, height: 0.3, depth: 0.5 }, this.scene);
+		const lens = BABYLON.MeshBuilder.CreateCylinder('lens', { diameterTop: 0.3, diameterBottom: 0.1, height: 0.25 }, this.scene);
+		lens.rotation.x = Math.PI / 2;
+		lens.position.z = 0.35;
+		lens.parent = mesh;
+		
+		[mesh, lens].forEach(m => {
+			m.material = mat;
+			m.isPickable = this.viewCameraId === null;
+			m.layerMask = CAMERA_GIZMO_LAYER;
+		});
+		mesh.position = position.clone();
+		mesh.rotationQuaternion = BABYLON.Quaternion.Identity();
+		
+		const camera = new BABYLON.UniversalCamera(name, position.clone(), this.scene);
+		camera.rotationQuaternion = BABYLON.Quaternion.Identity();
+		camera.fov = BABYLON.Tools.ToRadians(fov);
+		camera.minZ = 0.1;
+		camera.inputs.clear();
+		
+		const lines = new BABYLON.LinesMesh(name + '_frustum', this.scene);
+		lines.color = new BABYLON.Color3(0.4, 0.8, 1);
+		lines.isPickable = false;
+		lines.layerMask = CAMERA_GIZMO_LAYER;
+		
+		// Camera and frustum are not parented to the marker so its scaling can't distort the view
+		// and the frustum stays out of the object bounds (alignment, snapping, selection).
+		mesh.onAfterWorldMatrixUpdateObservable.add(() => {
+			mesh.getWorldMatrix().decompose(undefined, camera.rotationQuaternion, camera.position);
+			lines.position.copyFrom(camera.position);
+			if (!lines.rotationQuaternion) lines.rotationQuaternion = new BABYLON.Quaternion();
+			lines.rotationQuaternion.copyFrom(camera.rotationQuaternion);
+		});
+		mesh.onEnabledStateChangedObservable.add((isEnabled) => lines.setEnabled(isEnabled));
+		mesh.onDisposeObservable.add(() => {
+			// Undo/Redo may already have recreated the camera under the same id
+			if (this.sceneCameras.has(id) && this.sceneCameras.get(id).camera === camera) {
+				this.sceneCameras.delete(id);
+				if (this.viewCameraId === id) this.setView(null);
+			}
+			camera.dispose();
+			lines.dispose();
+		});
+		
+		this.sceneCameras.set(id, { camera, lines });
+		this.updateFrustum(id);
+		
+		return { mesh, camera };
+	}
+	
+	// Rebuilds the frustum lines from the camera FOV and the viewport aspect ratio
+	updateFrustum (id) {
+		const entry = this.sceneCameras.get(id);
+		if (!entry) return;
+		
+		const aspect = this.scene.getEngine().getAspectRatio(this.editorCamera);
+		const halfHeight = FRUSTUM_DEPTH * Math.tan(entry.camera.fov / 2);
+		const halfWidth = halfHeight * aspect;
+		
+		const corners = [
+			new BABYLON.Vector3(-halfWidth, halfHeight, FRUSTUM_DEPTH),
+			new BABYLON.Vector3(halfWidth, halfHeight, FRUSTUM_DEPTH),
+			new BABYLON.Vector3(halfWidth, -halfHeight, FRUSTUM_DEPTH),
+			new BABYLON.Vector3(-halfWidth, -halfHeight, FRUSTUM_DEPTH)
+		];
+		const origin = BABYLON.Vector3.Zero();
+		const lines = [
+			...corners.map(c => [origin, c]),
+			[...corners, corners[0]],
+			// Small triangle above the far plane marks "up"
+			[
+				new BABYLON.Vector3(-halfWidth * 0.3, halfHeight * 1.1, FRUSTUM_DEPTH),
+				new BABYLON.Vector3(0, halfHeight * 1.4, FRUSTUM_DEPTH),
+				new BABYLON.Vector3(halfWidth * 0.3, halfHeight * 1.1, FRUSTUM_DEPTH),
+				new BABYLON.Vector3(-halfWidth * 0.3, halfHeight * 1.1, FRUSTUM_DEPTH)
+			]
+		];
+		
+		const vertexData = new BABYLON.VertexData();
+		const positions = [];
+		const indices = [];
+		lines.forEach(points => {
+			const start = positions.length / 3;
+			points.forEach((p, i) => {
+				positions.push(p.x, p.y, p.z);
+				if (i > 0) indices.push(start + i - 1, start + i);
+			});
+		});
+		vertexData.positions = positions;
+		vertexData.indices = indices;
+		vertexData.applyToMesh(entry.lines, true);
+	}
+	
+	setFov (id, fov) {
+		const entry = this.sceneCameras.get(id);
+		if (!entry) return;
+		
+		entry.camera.fov = BABYLON.Tools.ToRadians(fov);
+		this.updateFrustum(id);
+	}
+	
+	// --- View Switching ---
+	
+	/**
+	 * Looks through a scene camera, or back through the editor views.
+	 * The editor cameras keep their state and get their input back afterwards.
+	 * @param {string|null} id - Camera object id, null for the editor views
+	 */
+	setView (id) {
+		const newId = id && this.sceneCameras.has(id) ? id : null;
+		
+		this.viewCameraId = newId;
+		// ViewportManager is created after this manager; it picks up the view when it is
+		if (this.om.viewportManager) this.om.viewportManager.update();
+		
+		// Markers are not drawn in a camera view, so they must not be clickable either
+		this.sceneCameras.forEach((e, cameraId) => {
+			const marker = this.om.findMeshById(cameraId);
+			if (!marker) return;
+			[marker, ...marker.getChildMeshes(false)].forEach(m => { m.isPickable = newId === null; });
+		});
+		
+		if (this.onViewChange) this.onViewChange(newId);
+	}
+	
+	isViewingSceneCamera () {
+		return this.viewCameraId !== null;
+	}
+	
+	getViewCamera () {
+		return this.viewCameraId ? this.sceneCameras.get(this.viewCameraId).camera : null;
+	}
+	
+	// Scene cameras for the view switcher
+	getCameraObjects () {
+		return this.om.placedObjects.filter(o => o && o.type === 'camera');
+	}
+}
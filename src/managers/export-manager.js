@@ -0,0 +1,158 @@
+import * as BABYLON from '@babylonjs/core';
+import { GLTF2Export } from '@babylonjs/serializers/glTF';
+
+export class ExportManager {
+	constructor (objectManager) {
+		this.om = objectManager;
+		this.scene = objectManager.scene;
+	}
+	
+	/**
+	 * Bakes every placed object into a single self-contained GLB and downloads it.
+	 * Groups become named nodes, lights use KHR_lights_punctual (hemispheric lights
+	 * are written to node extras), and asset instances keep sharing one glTF mesh.
+	 * @param {string} fileName - File name without extension
+	 * @param {Object} options - { includeHidden: boolean }
+	 */
+	async exportGLB (fileName, options = {}) {
+		const includeHidden = !!options.includeHidden;
+		
+		// Unparent multi-selections from the proxy so world transforms are exported
+		const selectedIds = this.om.selectedMeshes.map(m => m.metadata.id);
+		this.om.selectObject(null, false);
+		
+		const exportNodes = new Set();
+		const extrasByMetadata = new Map();
+		const tempNodes = [];
+		const reparented = [];
+		
+		const markExtras = (node, extras) => {
+			if (!node.metadata) node.metadata = {};
+			extrasByMetadata.set(node.metadata, extras);
+		};
+		
+		try {
+			// 1. Group Nodes
+			const groupNodes = new Map();
+			this.om.groups.forEach(group => {
+				const node = new BABYLON.TransformNode(group.name, this.scene);
+				markExtras(node, { groupId: group.id });
+				groupNodes.set(group.id, node);
+				exportNodes.add(node);
+				tempNodes.push(node);
+			});
+			
+			const getParentNode = (objectId) => {
+				const group = this.om.getGroupOfObject(objectId);
+				return group ? groupNodes.get(group.id) : null;
+			};
+			
+			// 2. Placed Objects
+			this.om.placedObjects.forEach(obj => {
+				if (obj.isVisible === false && !includeHidden) return;
+				
+				const mesh = this.om.findMeshById(obj.id);
+				if (!mesh) return;
+				
+				// Scene cameras are editor viewpoints, they are not part of the exported scene
+				if (obj.type === 'camera') return;
+				
+				const parentNode = getParentNode(obj.id);
+				
+				if (obj.type === 'light') {
+					const { node, extras } = this.createExportLight(obj, mesh);
+					markExtras(node, extras);
+					if (parentNode) node.parent = parentNode;
+					exportNodes.add(node);
+					tempNodes.push(node);
+					return;
+				}
+				
+				// Mesh hierarchy (instances stay InstancedMesh and share the source glTF mesh)
+				const indicator = this.om.snapManager.anchorIndicator;
+				exportNodes.add(mesh);
+				mesh.getDescendants(false, n => n !== indicator).forEach(n => exportNodes.add(n));
+				
+				markExtras(mesh, {
+					id: obj.id,
+					assetName: obj.assetName,
+					visible: obj.isVisible !== false,
+					locked: !!obj.isLocked
+				});
+				
+				if (parentNode) {
+					mesh.setParent(parentNode);
+					reparented.push(mesh);
+				}
+			});
+			
+			// 3. Serialize
+			const glb = await GLTF2Export.GLBAsync(this.scene, fileName, {
+				shouldExportNode: (node) => exportNodes.has(node),
+				metadataSelector: (metadata) => extrasByMetadata.get(metadata),
+				// Keep identity group nodes, they carry the group names
+				removeNoopRootNodes: false
+			});
+			
+			glb.downloadFiles();
+		} finally {
+			// 4. Restore Scene
+			reparented.forEach(mesh => mesh.setParent(null));
+			tempNodes.forEach(node => node.dispose());
+			
+			if (selectedIds.length > 0) {
+				this.om.selectObjectsByIds(selectedIds);
+			}
+		}
+	}
+	
+	/**
+	 * Creates a disabled, unparented copy of a light in world space for export.
+	 * The editor lights hang off their gizmo meshes, which are not exported.
+	 * @returns {{node: BABYLON.Node, extras: Object}}
+	 */
+	createExportLight (obj, lightMesh) {
+		lightMesh.computeWorldMatrix(true);
+		const position = lightMesh.getAbsolutePosition().clone();
+		const sourceLight = lightMesh.getChildren().find(c => c instanceof BABYLON.Light);
+		
+		const extras = {
+			id: obj.id,
+			visible: obj.isVisible !== false,
+			castShadows: !!obj.castShadows
+		};
+		
+		let node;
+		if (obj.kind === 'point') {
+			node = new BABYLON.PointLight(obj.name, position, this.scene);
+		} else if (obj.kind === 'directional') {
+			const dir = obj.direction ? BABYLON.Vector3.FromArray(obj.direction) : lightMesh.forward;
+			node = new BABYLON.DirectionalLight(obj.name, dir.normalizeToNew(), this.scene);
+			node.position = position;
+		} else {
+			// glTF has no ambient/hemispheric light type, keep the settings in extras
+			node = new BABYLON.TransformNode(obj.name, this.scene);
+			node.position = position;
+			extras.light = {
+				type: 'hemispheric',
+				color: obj.color,
+				groundColor: obj.groundColor,
+				intensity: obj.intensity,
+				direction: obj.direction
+			};
+		}
+		
+		if (node instanceof BABYLON.Light) {
+			if (sourceLight) {
+				node.diffuse = sourceLight.diffuse.clone();
+				node.specular = sourceLight.specular.clone();
+				node.intensity = sourceLight.intensity;
+			}
+			node.falloffType = BABYLON.Light.FALLOFF_GLTF;
+			// Do not light the editor scene while the export runs
+			node.setEnabled(false);
+		}
+		
+		return { node, extras };
+	}
+}
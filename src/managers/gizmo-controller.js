@@ -13,6 +13,12 @@ export class GizmoController {
 		this.planeGizmoMesh = null;
 		this.isShiftDown = false;
 		
+		// Grid Snapping (position to gridSize, rotation to rotStep, scaling to scaleStep)
+		this.isGridSnapEnabled = false;
+		
+		// Transform Space for the move and rotate gizmos ('local' or 'world')
+		this.space = 'local';
+		
 		this.setupGizmo();
 	}
 	
@@ -54,37 +60,51 @@ export class GizmoController {
 					};
 				}).filter(d => d !== null);
 				
-				// Start Snapping Logic
+				// Start Snapping Logic (on whatever the gizmo is attached to)
 				if ((type === 'positionGizmo' || type === 'planeGizmo') && this.om.snapManager) {
-					if (this.om.selectedMeshes.length === 1) {
-						this.om.snapManager.startSnapping(this.om.selectedMeshes[0]);
-					} else if (this.om.selectionProxy) {
+					if (this.om.selectionProxy) {
 						this.om.snapManager.startSnapping(this.om.selectionProxy);
+					} else if (this.om.selectedMeshes.length === 1) {
+						this.om.snapManager.startSnapping(this.om.selectedMeshes[0]);
 					}
 				}
+				
+				if (this.om.pivotManager.isIndividualOrigins()) {
+					this.om.pivotManager.beginIndividualTransform();
+				}
 			});
 			
 			// Snapping during drag (Position only)
 			if (type === 'positionGizmo' || type === 'planeGizmo') {
 				if (onDrag) {
 					onDrag.add(() => {
-						if (this.om.selectedMeshes.length === 1) {
-							// Single selection snap
-							this.om.snapManager.snapMesh(this.om.selectedMeshes[0]);
-						} else if (this.om.selectionProxy) {
+						if (this.om.selectionProxy) {
 							// Group selection snap (snap the proxy)
 							this.om.snapManager.snapMesh(this.om.selectionProxy);
+						} else if (this.om.selectedMeshes.length === 1) {
+							// Single selection snap
+							this.om.snapManager.snapMesh(this.om.selectedMeshes[0]);
 						}
 					});
 				}
 			}
 			
+			// Individual origins: objects follow the proxy's change (after snapping)
+			if (onDrag) {
+				onDrag.add(() => {
+					if (this.om.pivotManager.individualStart) {
+						this.om.pivotManager.applyIndividualTransform();
+					}
+				});
+			}
+			
 			onDragEnd.add(() => {
 				if (!this.dragStartData) return;
 				
 				if (this.om.snapManager) {
 					this.om.snapManager.endSnapping();
 				}
+				this.om.pivotManager.endIndividualTransform();
 				
 				const changes = [];
 				
@@ -140,6 +160,11 @@ export class GizmoController {
 				}
 				
 				this.dragStartData = null;
+				
+				// Non-default pivots rebuild the proxy so it starts unrotated and unscaled again
+				if (this.om.selectionProxy && this.om.pivotManager.pivotMode !== 'center') {
+					this.om.updateSelectionProxy();
+				}
 			});
 		};
 		
@@ -204,6 +229,16 @@ export class GizmoController {
 		this.updateGizmoSettings();
 	}
 	
+	setSpace (space) {
+		this.space = space === 'world' ? 'world' : 'local';
+		this.updateGizmoSettings();
+	}
+	
+	setGridSnap (enabled) {
+		this.isGridSnapEnabled = enabled;
+		this.updateGizmoSettings();
+	}
+	
 	setMode (mode) {
 		this.mode = mode;
 		this.updateGizmoSettings();
@@ -214,6 +249,22 @@ export class GizmoController {
 		this.gizmoManager.rotationGizmoEnabled = (this.mode === 'rotation');
 		this.gizmoManager.scaleGizmoEnabled = (this.mode === 'scaling');
 		
+		const gizmos = this.gizmoManager.gizmos;
+		
+		// World space keeps the move/rotate handles axis aligned (scaling is always local)
+		const isLocal = this.space === 'local';
+		if (gizmos.positionGizmo) gizmos.positionGizmo.updateGizmoRotationToMatchAttachedMesh = isLocal;
+		if (gizmos.rotationGizmo) gizmos.rotationGizmo.updateGizmoRotationToMatchAttachedMesh = isLocal;
+		
+		// Rotation and scaling use the gizmos' own snap increments.
+		// Position is snapped to absolute grid lines by SnapManager.snapMesh during the drag.
+		if (gizmos.rotationGizmo) {
+			gizmos.rotationGizmo.snapDistance = this.isGridSnapEnabled ? BABYLON.Tools.ToRadians(this.om.rotStep || 0) : 0;
+		}
+		if (gizmos.scaleGizmo) {
+			gizmos.scaleGizmo.snapDistance = this.isGridSnapEnabled ? (this.om.scaleStep || 0) : 0;
+		}
+		
 		// Sync custom gizmo visibility/attachment
 		if (this.mode === 'position') {
 			// If gizmo manager has something attached, attach our plane gizmo too
@@ -228,6 +279,11 @@ export class GizmoController {
 		}
 	}
 	
+	// True while the pointer is over any gizmo handle (including the plane gizmo)
+	get isHovered () {
+		return this.gizmoManager.isHovered || !!(this.planeGizmo && this.planeGizmo.isHovered);
+	}
+	
 	attachToMesh (mesh) {
 		this.gizmoManager.attachToMesh(mesh);
 		// Sync custom gizmo
@@ -1,29 +1,48 @@
 import * as BABYLON from '@babylonjs/core';
 
+// Groups nest: a group lists its own objects in objectIds and points at its parent
+// group through parentId (null at the top level). An object is in at most one group.
 export class GroupManager {
 	constructor (objectManager) {
 		this.om = objectManager;
+		
+		// Undo/Redo swaps in whole copies of the group list
+		objectManager.undoRedo.registerSnapshot('groups', {
+			label: 'Changed groups',
+			clone: () => this.cloneGroups(),
+			restore: (groups) => this.setGroups(groups)
+		});
 	}
 	
 	createGroup (name, objectIds) {
 		if (!objectIds || objectIds.length === 0) return;
 		
-		// 1. Remove these objects from any existing groups (One level only)
+		const oldGroups = this.cloneGroups();
+		
+		// 1. Objects that all come from the same group get a sub-group of it
+		const parentIds = new Set(objectIds.map(id => {
+			const group = this.getGroupOfObject(id);
+			return group ? group.id : null;
+		}));
+		const parentId = parentIds.size === 1 ? [...parentIds][0] : null;
+		
+		// 2. Remove these objects from their current groups
 		this.om.groups.forEach(g => {
 			g.objectIds = g.objectIds.filter(id => !objectIds.includes(id));
 		});
-		// Clean up empty groups
-		this.om.groups = this.om.groups.filter(g => g.objectIds.length > 0);
 		
-		// 2. Create new group
+		// 3. Create new group
 		const groupId = BABYLON.Tools.RandomId();
 		const newGroup = {
 			id: groupId,
 			name: name || `Group_${this.om.groups.length + 1}`,
-			objectIds: [...objectIds]
+			objectIds: [...objectIds],
+			parentId: parentId
 		};
 		
 		this.om.groups.push(newGroup);
+		this.removeEmptyGroups();
+		this.om.undoRedo.recordSnapshot('groups', oldGroups, `Created group ${newGroup.name}`);
 		
 		if (this.om.onListChange) this.om.onListChange();
 		
@@ -32,15 +51,27 @@ export class GroupManager {
 	}
 	
 	deleteGroup (groupId) {
-		// Just removes the group definition, objects remain (ungroup)
+		// Just removes the group definition, objects remain (ungroup).
+		// Its objects and sub-groups move up one level.
+		const oldGroups = this.cloneGroups();
+		const group = this.getGroup(groupId);
+		if (group) {
+			const parent = this.getGroup(group.parentId);
+			if (parent) parent.objectIds.push(...group.objectIds);
+			this.getChildGroups(groupId).forEach(child => child.parentId = parent ? parent.id : null);
+		}
 		this.om.groups = this.om.groups.filter(g => g.id !== groupId);
+		this.om.undoRedo.recordSnapshot('groups', oldGroups, `Deleted group ${group ? group.name : ''}`);
 		if (this.om.onListChange) this.om.onListChange();
 	}
 	
 	renameGroup (groupId, newName) {
 		const group = this.om.groups.find(g => g.id === groupId);
 		if (group) {
+			const oldGroups = this.cloneGroups();
+			const oldName = group.name;
 			group.name = newName;
+			this.om.undoRedo.recordSnapshot('groups', oldGroups, `Renamed group ${oldName} to ${newName}`);
 			if (this.om.onListChange) this.om.onListChange();
 		}
 	}
@@ -53,13 +84,17 @@ export class GroupManager {
 	cleanupDeletedObjects (deletedIds) {
 		this.om.groups.forEach(g => {
 			g.objectIds = g.objectIds.filter(id => !deletedIds.includes(id));
+			// Prefab instances also map their objects to prefab members
+			if (g.memberKeys) deletedIds.forEach(id => delete g.memberKeys[id]);
 		});
 		// Cleanup empty groups
-		this.om.groups = this.om.groups.filter(g => g.objectIds.length > 0);
+		this.removeEmptyGroups();
 	}
 	
 	// Move object to a specific group (Drag & Drop support)
 	moveObjectToGroup (objectId, targetGroupId) {
+		const oldGroups = this.cloneGroups();
+		
 		// 1. Remove from all groups first
 		this.om.groups.forEach(g => {
 			g.objectIds = g.objectIds.filter(id => id !== objectId);
@@ -74,19 +109,115 @@ export class GroupManager {
 		}
 		
 		// 3. Cleanup empty groups (except the target, though it shouldn't be empty now)
-		this.om.groups = this.om.groups.filter(g => g.objectIds.length > 0 || g.id === targetGroupId);
+		this.removeEmptyGroups(targetGroupId);
+		this.om.undoRedo.recordSnapshot('groups', oldGroups, `Moved ${this.getObjectName(objectId)} to ${targetGroup ? targetGroup.name : 'group'}`);
 		
 		if (this.om.onListChange) this.om.onListChange();
 	}
 	
 	// Remove object from any group (Drag to root support)
 	ungroupObject (objectId) {
+		const oldGroups = this.cloneGroups();
 		this.om.groups.forEach(g => {
 			g.objectIds = g.objectIds.filter(id => id !== objectId);
 		});
 		// Cleanup empty groups
-		this.om.groups = this.om.groups.filter(g => g.objectIds.length > 0);
+		this.removeEmptyGroups();
+		this.om.undoRedo.recordSnapshot('groups', oldGroups, `Ungrouped ${this.getObjectName(objectId)}`);
 		
 		if (this.om.onListChange) this.om.onListChange();
 	}
+	
+	/**
+	 * Nests a group inside another one (Drag & Drop support).
+	 * @param {string} groupId - Group to move
+	 * @param {string|null} targetGroupId - New parent, null for the top level
+	 * @returns {boolean} False if the move would put a group inside itself
+	 */
+	moveGroupToGroup (groupId, targetGroupId) {
+		const group = this.getGroup(groupId);
+		const target = targetGroupId ? this.getGroup(targetGroupId) : null;
+		if (!group || (targetGroupId && !target)) return false;
+		if (targetGroupId === groupId || (target && this.isDescendantOf(target.id, groupId))) return false;
+		if ((group.parentId || null) === (targetGroupId || null)) return true;
+		
+		const oldGroups = this.cloneGroups();
+		group.parentId = target ? target.id : null;
+		
+		// The old parent may be left without objects or sub-groups
+		this.removeEmptyGroups();
+		this.om.undoRedo.recordSnapshot('groups', oldGroups, target ? `Moved ${group.name} to ${target.name}` : `Moved ${group.name} to top level`);
+		
+		if (this.om.onListChange) this.om.onListChange();
+		return true;
+	}
+	
+	// --- Hierarchy ---
+	
+	getGroup (groupId) {
+		return this.om.groups.find(g => g.id === groupId) || null;
+	}
+	
+	getChildGroups (groupId) {
+		return this.om.groups.filter(g => (g.parentId || null) === groupId);
+	}
+	
+	// Top level groups (groups whose parent no longer exists count as top level)
+	getRootGroups () {
+		return this.om.groups.filter(g => !g.parentId || !this.getGroup(g.parentId));
+	}
+	
+	// Sub-groups at any depth
+	getDescendantGroups (groupId) {
+		const result = [];
+		const visit = (id) => {
+			this.getChildGroups(id).forEach(child => {
+				if (result.includes(child)) return;
+				result.push(child);
+				visit(child.id);
+			});
+		};
+		visit(groupId);
+		return result;
+	}
+	
+	// Objects of the group and all its sub-groups
+	getAllObjectIds (groupId) {
+		const group = this.getGroup(groupId);
+		if (!group) return [];
+		return [group, ...this.getDescendantGroups(groupId)].flatMap(g => g.objectIds);
+	}
+	
+	isDescendantOf (groupId, ancestorId) {
+		return this.getDescendantGroups(ancestorId).some(g => g.id === groupId);
+	}
+	
+	// Removes groups without objects and sub-groups; parents emptied that way go too
+	removeEmptyGroups (keepGroupId = null) {
+		let removed = true;
+		while (removed) {
+			const before = this.om.groups.length;
+			this.om.groups = this.om.groups.filter(g =>
+				g.id === keepGroupId || g.objectIds.length > 0 || this.getChildGroups(g.id).length > 0
+			);
+			removed = this.om.groups.length < before;
+		}
+	}
+	
+	// --- History ---
+	
+	cloneGroups () {
+		return JSON.parse(JSON.stringify(this.om.groups));
+	}
+	
+	getObjectName (objectId) {
+		const obj = this.om.placedObjects.find(o => o.id === objectId);
+		return obj ? obj.name : 'object';
+	}
+	
+	// Direct setter without history (used by Undo/Redo)
+	setGroups (groups) {
+		this.om.groups = JSON.parse(JSON.stringify(groups));
+		if (this.om.onListChange) this.om.onListChange();
+	}
 }
@@ -10,6 +10,8 @@ export class OperationManager {
 		
 		const deletedData = [];
 		const deletedIds = [];
+		const oldGroups = this.om.groupManager.cloneGroups();
+		const oldSets = this.om.selectionSetManager.cloneSets();
 		
 		// Create a copy of the array to iterate safely
 		const meshesToDelete = [...this.om.selectedMeshes];
@@ -31,6 +33,7 @@ export class OperationManager {
 		
 		// Delegate group cleanup to GroupManager
 		this.om.groupManager.cleanupDeletedObjects(deletedIds);
+		this.om.selectionSetManager.cleanupDeletedObjects(deletedIds);
 		
 		// CRITICAL FIX: Clean up selectedMeshes to remove disposed objects
 		// If we don't do this, selectedMeshes contains disposed meshes which causes crashes in UI
@@ -40,7 +43,13 @@ export class OperationManager {
 		this.om.updateSelectionProxy();
 		
 		if (deletedData.length > 0) {
-			this.om.undoRedo.add({ type: 'DELETE', data: deletedData });
+			// Group and selection set membership is part of the entry so undo puts objects back
+			this.om.undoRedo.add({
+				type: 'DELETE',
+				data: deletedData,
+				groups: { oldGroups: oldGroups, newGroups: this.om.groupManager.cloneGroups() },
+				selectionSets: { oldSets: oldSets, newSets: this.om.selectionSetManager.cloneSets() }
+			});
 		}
 		
 		// Update UI with remaining selection (if any locked objects remain)
@@ -62,9 +71,6 @@ export class OperationManager {
 		if (this.om.selectedMeshes.length === 0) return;
 		
 		const newObjectsData = [];
-		const newMeshes = [];
-		
-		this.om.selectedMeshes.forEach(m => this.om.setSelectionHighlight(m, false));
 		
 		this.om.selectedMeshes.forEach(originalMesh => {
 			const originalData = this.om.placedObjects.find(o => o.id === originalMesh.metadata.id);
@@ -77,63 +83,140 @@ export class OperationManager {
 			const offset = new BABYLON.Vector3(0.5, 0, 0.5);
 			const newPos = originalMesh.absolutePosition.clone().add(offset);
 			
-			let newRoot;
-			
-			if (originalData.type === 'light') {
-				const light = new BABYLON.PointLight(newName, newPos, this.om.scene);
-				light.intensity = 0.5;
-				light.metadata = { id: newId, isObject: true, type: 'light' };
-				
-				const sphere = BABYLON.MeshBuilder.CreateSphere(newName + '_gizmo', { diameter: 0.5 }, this.om.scene);
-				sphere.position = light.position;
-				sphere.material = new BABYLON.StandardMaterial('lm', this.om.scene);
-				sphere.material.emissiveColor = new BABYLON.Color3(1, 1, 0);
-				sphere.setParent(light);
-				sphere.isPickable = true;
-				newRoot = light;
-			} else {
-				newRoot = originalMesh.instantiateHierarchy(null, { doNotInstantiate: true });
-				newRoot.name = newName;
-				newRoot.position = newPos;
-				newRoot.rotationQuaternion = originalMesh.absoluteRotationQuaternion.clone();
-				newRoot.scaling = originalMesh.absoluteScaling.clone();
-				
-				newRoot.metadata = { id: newId, isObject: true, file: originalData.file };
-				
-				const descendants = newRoot.getChildMeshes(false);
-				if (newRoot instanceof BABYLON.Mesh) descendants.push(newRoot);
-				
-				descendants.forEach(m => {
-					// Register with all active shadow generators
-					this.om.builderScene.registerShadowCaster(m);
-					
-					m.receiveShadows = true;
-					m.isPickable = true;
-					
-				});
-			}
-			
+			// Copy the saved data and rebuild through restoreObject, so duplicates keep
+			// their assetName (or light kind/colors) exactly like a loaded map would.
+			// Absolute transforms are used because multi-selections are parented to the proxy.
 			const newData = {
+				...JSON.parse(JSON.stringify(originalData)),
 				id: newId,
 				name: newName,
-				type: originalData.type || 'mesh',
-				file: originalData.file,
 				isLocked: false,
-				color: originalData.color, // Preserves null if original was null
-				position: newRoot.position.asArray(),
-				rotation: newRoot.rotationQuaternion ? newRoot.rotationQuaternion.toEulerAngles().asArray() : newRoot.rotation.asArray(),
-				scaling: newRoot.scaling.asArray()
+				position: newPos.asArray(),
+				rotation: originalMesh.absoluteRotationQuaternion.toEulerAngles().asArray(),
+				scaling: originalMesh.absoluteScaling.asArray()
 			};
 			
-			this.om.placedObjects.push(newData);
+			this.om.restoreObject(newData);
 			newObjectsData.push(newData);
-			newMeshes.push(newRoot);
 		});
 		
-		this.om.selectObject(null, false);
-		newMeshes.forEach(m => this.om.selectObject(m, true));
+		if (newObjectsData.length === 0) return;
+		
+		this.om.selectObjectsByIds(newObjectsData.map(d => d.id));
 		
 		this.om.undoRedo.add({ type: 'ADD', data: newObjectsData });
 		if (this.om.onListChange) this.om.onListChange();
 	}
+	
+	/**
+	 * Swaps the store asset of mesh objects while keeping their id, transform, group
+	 * and selection set membership, lock and visibility.
+	 * @param {Array<string>} ids - Objects to replace (lights and objects of newAssetName are skipped)
+	 * @param {string} newAssetName - Store asset to use instead
+	 * @param {boolean} fitToBounds - Scale so the new asset fits the old one's bounds (keeps proportions)
+	 * @returns {number} Number of replaced objects
+	 */
+	replaceAsset (ids, newAssetName, fitToBounds = false) {
+		if (!this.om.assetManager.hasAsset(newAssetName)) return 0;
+		
+		const targets = ids
+			.map(id => this.om.placedObjects.find(o => o.id === id))
+			.filter(o => o && o.type !== 'light' && o.assetName && o.assetName !== newAssetName);
+		if (targets.length === 0) return 0;
+		
+		// Meshes are rebuilt, so release the selection (and its proxy) first
+		const selectedIds = this.om.selectedMeshes.map(m => m.metadata.id);
+		this.om.selectObject(null, false);
+		
+		const sizes = {};
+		const getSize = (assetName) => {
+			if (!sizes[assetName]) sizes[assetName] = this.getAssetSize(assetName);
+			return sizes[assetName];
+		};
+		
+		const changes = [];
+		targets.forEach(objData => {
+			const mesh = this.om.findMeshById(objData.id);
+			if (!mesh) return;
+			
+			// Current transforms from the mesh, like duplicateSelection
+			mesh.computeWorldMatrix(true);
+			const oldData = {
+				...JSON.parse(JSON.stringify(objData)),
+				position: mesh.absolutePosition.asArray(),
+				rotation: (mesh.rotationQuaternion ? mesh.rotationQuaternion.toEulerAngles() : mesh.rotation).asArray(),
+				scaling: mesh.scaling.asArray()
+			};
+			const newData = { ...JSON.parse(JSON.stringify(oldData)), assetName: newAssetName };
+			
+			if (fitToBounds) {
+				const oldSize = getSize(oldData.assetName);
+				const newSize = getSize(newAssetName);
+				const ratios = ['x', 'y', 'z']
+					.filter(axis => oldSize && newSize && oldSize[axis] > 0.0001 && newSize[axis] > 0.0001)
+					.map(axis => oldSize[axis] / newSize[axis]);
+				if (ratios.length > 0) {
+					const ratio = Math.min(...ratios);
+					newData.scaling = oldData.scaling.map(s => s * ratio);
+				}
+			}
+			
+			this.rebuildObject(newData);
+			changes.push({ id: objData.id, oldData: oldData, newData: newData });
+		});
+		
+		if (changes.length > 0) {
+			this.om.undoRedo.add({
+				type: 'REPLACE',
+				label: `Replaced ${this.om.undoRedo.describeObjects(changes.map(c => c.oldData.name))} with ${newAssetName}`,
+				data: changes
+			});
+		}
+		
+		this.om.selectObjectsByIds(selectedIds);
+		if (this.om.onListChange) this.om.onListChange();
+		
+		return changes.length;
+	}
+	
+	/**
+	 * Recreates an object's mesh from saved data without recording history.
+	 * The object keeps its place in placedObjects so the tree order does not change.
+	 * Used by replaceAsset and Undo/Redo.
+	 */
+	rebuildObject (data) {
+		const index = this.om.placedObjects.findIndex(o => o.id === data.id);
+		if (index === -1) return;
+		
+		if (this.om.selectedMeshes.some(m => m.metadata && m.metadata.id === data.id)) {
+			this.om.selectObject(null, false);
+		}
+		
+		this.om.removeObjectById(data.id, false);
+		this.om.restoreObject(JSON.parse(JSON.stringify(data)));
+		
+		// restoreObject appends; move the entry back
+		const last = this.om.placedObjects[this.om.placedObjects.length - 1];
+		if (last && last.id === data.id) {
+			this.om.placedObjects.pop();
+			this.om.placedObjects.splice(index, 0, last);
+		}
+	}
+	
+	// Size of a store asset's bounds at identity transform
+	getAssetSize (assetName) {
+		const root = this.om.assetManager.instantiate(assetName);
+		if (!root) return null;
+		
+		root.computeWorldMatrix(true);
+		const bounds = root.getHierarchyBoundingVectors();
+		// FIX: Keep materials, they are shared with the store template
+		root.dispose(false, false);
+		return bounds.max.subtract(bounds.min);
+	}
+	
+	// Ids of every placed instance of a store asset
+	getInstanceIds (assetName) {
+		return this.om.placedObjects.filter(o => o.assetName === assetName).map(o => o.id);
+	}
 }
@@ -0,0 +1,175 @@
+// Order of groups and objects in the tree view.
+// 'manual' - The order the user arranged by drag and drop (saved in the map as outlinerOrder)
+// 'name'   - Alphabetical
+// 'asset'  - By store asset (lights by kind), then name
+// 'type'   - Objects before lights before cameras, then name
+// 'recent' - Most recently added first
+// Groups are listed before objects in every mode except 'manual'.
+export const SORT_MODES = ['manual', 'name', 'asset', 'type', 'recent'];
+
+export class OutlinerManager {
+	constructor (objectManager) {
+		this.om = objectManager;
+		
+		objectManager.undoRedo.registerSnapshot('outlinerOrder', {
+			label: 'Reordered outliner',
+			clone: () => this.cloneOrder(),
+			restore: (order) => this.setOrder(order)
+		});
+	}
+	
+	/**
+	 * Children of a group (null for the top level) in display order.
+	 * @returns {Array<{id: string, type: string, item: Object}>} type is 'group' or 'object'
+	 */
+	getEntries (groupId, mode) {
+		const gm = this.om.groupManager;
+		
+		let groups;
+		let objects;
+		if (groupId) {
+			const group = gm.getGroup(groupId);
+			groups = gm.getChildGroups(groupId);
+			objects = group ? group.objectIds.map(id => this.om.placedObjects.find(o => o && o.id === id)).filter(Boolean) : [];
+		} else {
+			const groupedIds = new Set(this.om.groups.flatMap(g => g.objectIds));
+			groups = gm.getRootGroups();
+			objects = this.om.placedObjects.filter(o => o && !groupedIds.has(o.id));
+		}
+		
+		const entries = [
+			...groups.map(g => ({ id: g.id, type: 'group', item: g })),
+			...objects.map(o => ({ id: o.id, type: 'object', item: o }))
+		];
+		return this.sortEntries(entries, mode);
+	}
+	
+	sortEntries (entries, mode) {
+		const byName = (a, b) => a.item.name.localeCompare(b.item.name);
+		const groupsFirst = (a, b) => (a.type === 'group' ? 0 : 1) - (b.type === 'group' ? 0 : 1);
+		// Position in the arrays things are appended to, i.e. when they were added
+		const added = new Map();
+		this.om.groups.forEach((g, index) => added.set(g.id, index));
+		this.om.placedObjects.forEach((o, index) => { if (o) added.set(o.id, index); });
+		const addedIndex = (entry) => added.get(entry.id);
+		
+		const sorted = [...entries];
+		switch (mode) {
+			case 'manual': {
+				// Items never arranged by hand follow in the order they were added
+				const ranks = new Map(this.om.outlinerOrder.map((id, index) => [id, index]));
+				const rank = (entry) => ranks.has(entry.id) ? ranks.get(entry.id) : Number.MAX_VALUE;
+				sorted.sort((a, b) => rank(a) - rank(b) || groupsFirst(a, b) || addedIndex(a) - addedIndex(b));
+				break;
+			}
+			case 'asset': {
+				const assetKey = (entry) => entry.type === 'group' ? '' : (entry.item.assetName || `${entry.item.type} ${entry.item.kind || ''}`);
+				sorted.sort((a, b) => groupsFirst(a, b) || assetKey(a).localeCompare(assetKey(b)) || byName(a, b));
+				break;
+			}
+			case 'type': {
+				const typeRank = (entry) => entry.type === 'group' ? 0 : ({ light: 2, camera: 3 }[entry.item.type] || 1);
+				sorted.sort((a, b) => typeRank(a) - typeRank(b) || byName(a, b));
+				break;
+			}
+			case 'recent':
+				sorted.sort((a, b) => groupsFirst(a, b) || addedIndex(b) - addedIndex(a));
+				break;
+			default:
+				sorted.sort((a, b) => groupsFirst(a, b) || byName(a, b));
+		}
+		
+		return sorted;
+	}
+	
+	// Every group and object id, depth first, as the tree shows them in the given mode
+	flatten (mode) {
+		const ids = [];
+		const visit = (groupId) => {
+			this.getEntries(groupId, mode).forEach(entry => {
+				ids.push(entry.id);
+				if (entry.type === 'group') visit(entry.id);
+			});
+		};
+		visit(null);
+		return ids;
+	}
+	
+	/**
+	 * Moves an object or group next to another tree item (Drag & Drop support).
+	 * The item joins the target's group if needed. In a sorted mode the displayed
+	 * order becomes the manual order first, so the result matches what the user saw.
+	 * @param {string} itemId - Dragged object or group
+	 * @param {string} targetId - Object or group it was dropped on
+	 * @param {boolean} placeAfter - Drop below the target instead of above
+	 * @param {string} mode - Sort mode the tree currently shows
+	 * @returns {boolean} False if the move is not possible (group into itself)
+	 */
+	moveItem (itemId, targetId, placeAfter, mode) {
+		if (itemId === targetId) return false;
+		
+		const gm = this.om.groupManager;
+		const movedGroup = gm.getGroup(itemId);
+		const targetGroup = gm.getGroup(targetId);
+		
+		// Group the target is listed in (null for the top level)
+		let containerId = null;
+		if (targetGroup) {
+			containerId = gm.getGroup(targetGroup.parentId) ? targetGroup.parentId : null;
+		} else {
+			const group = gm.getGroupOfObject(targetId);
+			containerId = group ? group.id : null;
+		}
+		
+		const oldOrder = this.cloneOrder();
+		const label = movedGroup ? movedGroup.name : gm.getObjectName(itemId);
+		
+		this.om.undoRedo.begin(`Reordered ${label}`);
+		try {
+			if (movedGroup) {
+				if (!gm.moveGroupToGroup(itemId, containerId)) {
+					this.om.undoRedo.cancel();
+					return false;
+				}
+			} else {
+				const currentGroup = gm.getGroupOfObject(itemId);
+				if ((currentGroup ? currentGroup.id : null) !== containerId) {
+					if (containerId) gm.moveObjectToGroup(itemId, containerId);
+					else gm.ungroupObject(itemId);
+				}
+			}
+			
+			const order = this.flatten(mode).filter(id => id !== itemId);
+			const targetIndex = order.indexOf(targetId);
+			const index = targetIndex === -1 ? order.length : targetIndex + (placeAfter ? 1 : 0);
+			order.splice(index, 0, itemId);
+			
+			this.om.outlinerOrder = order;
+			this.om.undoRedo.recordSnapshot('outlinerOrder', oldOrder);
+		} finally {
+			this.om.undoRedo.commit();
+		}
+		
+		if (this.om.onListChange) this.om.onListChange();
+		return true;
+	}
+	
+	// Manual order without ids of deleted objects and groups (for saving)
+	getSavedOrder () {
+		return this.om.outlinerOrder.filter(id =>
+			this.om.groups.some(g => g.id === id) || this.om.placedObjects.some(o => o && o.id === id)
+		);
+	}
+	
+	// --- History ---
+	
+	cloneOrder () {
+		return [...this.om.outlinerOrder];
+	}
+	
+	// Without history; anything but an array falls back to the automatic order
+	setOrder (order) {
+		this.om.outlinerOrder = Array.isArray(order) ? [...order] : [];
+		if (this.om.onListChange) this.om.onListChange();
+	}
+}
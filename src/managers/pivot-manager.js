@@ -0,0 +1,169 @@
+import * as BABYLON from '@babylonjs/core';
+
+// Where multi-selections (and anchor/cursor pivots of single objects) rotate and scale around.
+// 'center'  - Combined bounding box center (default)
+// 'origins' - Each object around its own origin
+// 'anchor'  - The snap anchor object
+// 'cursor'  - The 3D cursor placed by the user
+export const PIVOT_MODES = ['center', 'origins', 'anchor', 'cursor'];
+
+export class PivotManager {
+	constructor (objectManager) {
+		this.om = objectManager;
+		this.scene = objectManager.scene;
+		
+		this.pivotMode = 'center';
+		
+		// 3D Cursor
+		this.cursorPosition = null;
+		this.cursorMesh = null;
+		
+		// Individual origins drag state
+		this.individualStart = null;
+	}
+	
+	setPivotMode (mode) {
+		if (!PIVOT_MODES.includes(mode)) return;
+		this.pivotMode = mode;
+		this.om.updateSelectionProxy();
+	}
+	
+	// Rebuild the proxy when the pivot it depends on changes
+	refresh () {
+		if (this.pivotMode === 'anchor' || this.pivotMode === 'cursor') {
+			this.om.updateSelectionProxy();
+		}
+	}
+	
+	/**
+	 * Returns the pivot point for the current mode, or null to use the bounds center.
+	 * Falls back to the center if the anchor or cursor is not set.
+	 */
+	getPivotPoint () {
+		if (this.pivotMode === 'anchor' && this.om.snapManager.anchorMesh) {
+			const anchor = this.om.snapManager.anchorMesh;
+			anchor.computeWorldMatrix(true);
+			return anchor.absolutePosition.clone();
+		}
+		if (this.pivotMode === 'cursor' && this.cursorPosition) {
+			return this.cursorPosition.clone();
+		}
+		return null;
+	}
+	
+	// A single object only needs a proxy when it turns around a point other than its origin
+	needsProxyForSingle (mesh) {
+		if (this.pivotMode === 'anchor') {
+			return !!this.om.snapManager.anchorMesh && this.om.snapManager.anchorMesh !== mesh;
+		}
+		return this.pivotMode === 'cursor' && !!this.cursorPosition;
+	}
+	
+	// In 'origins' mode the objects are not parented to the proxy; the proxy's
+	// transform change is applied to each object around its own origin instead.
+	isIndividualOrigins () {
+		return this.pivotMode === 'origins' && this.om.selectedMeshes.length > 1;
+	}
+	
+	// Snapshot proxy and object transforms before an individual-origins transform
+	beginIndividualTransform () {
+		const proxy = this.om.selectionProxy;
+		if (!proxy) return;
+		
+		proxy.computeWorldMatrix(true);
+		this.individualStart = {
+			position: proxy.position.clone(),
+			rotation: (proxy.rotationQuaternion || BABYLON.Quaternion.FromEulerVector(proxy.rotation)).clone(),
+			scaling: proxy.scaling.clone(),
+			objects: this.om.selectedMeshes.map(mesh => {
+				mesh.computeWorldMatrix(true);
+				return {
+					mesh: mesh,
+					position: mesh.absolutePosition.clone(),
+					rotation: mesh.absoluteRotationQuaternion.clone(),
+					scaling: mesh.scaling.clone()
+				};
+			})
+		};
+	}
+	
+	// Applies the proxy's change since beginIndividualTransform to every object
+	applyIndividualTransform () {
+		const proxy = this.om.selectionProxy;
+		const start = this.individualStart;
+		if (!proxy || !start) return;
+		
+		const currentRotation = proxy.rotationQuaternion || BABYLON.Quaternion.FromEulerVector(proxy.rotation);
+		const deltaPosition = proxy.position.subtract(start.position);
+		const deltaRotation = currentRotation.multiply(BABYLON.Quaternion.Inverse(start.rotation));
+		const scaleRatio = new BABYLON.Vector3(
+			start.scaling.x !== 0 ? proxy.scaling.x / start.scaling.x : 1,
+			start.scaling.y !== 0 ? proxy.scaling.y / start.scaling.y : 1,
+			start.scaling.z !== 0 ? proxy.scaling.z / start.scaling.z : 1
+		);
+		
+		start.objects.forEach(item => {
+			const data = this.om.placedObjects.find(o => o.id === item.mesh.metadata.id);
+			if (data && data.isLocked) return;
+			
+			item.mesh.setAbsolutePosition(item.position.add(deltaPosition));
+			item.mesh.rotationQuaternion = deltaRotation.multiply(item.rotation);
+			item.mesh.scaling = item.scaling.multiply(scaleRatio);
+			item.mesh.computeWorldMatrix(true);
+		});
+	}
+	
+	endIndividualTransform () {
+		this.individualStart = null;
+	}
+	
+	// --- 3D Cursor ---
+	
+	placeCursor (position) {
+		this.cursorPosition = position.clone();
+		
+		if (!this.cursorMesh) {
+			this.cursorMesh = BABYLON.MeshBuilder.CreateTorus('pivotCursor', { diameter: 0.6, thickness: 0.05, tessellation: 32 }, this.scene);
+			this.cursorMesh.isPickable = false;
+			
+			const mat = new BABYLON.StandardMaterial('pivotCursorMat', this.scene);
+			mat.emissiveColor = new BABYLON.Color3(1, 0.3, 0.3);
+			mat.disableLighting = true;
+			this.cursorMesh.material = mat;
+			// Draw on top so the cursor stays visible inside objects
+			this.cursorMesh.renderingGroupId = 1;
+			
+			const center = BABYLON.MeshBuilder.CreateSphere('pivotCursorCenter', { diameter: 0.1 }, this.scene);
+			center.isPickable = false;
+			center.material = mat;
+			center.renderingGroupId = 1;
+			center.parent = this.cursorMesh;
+		}
+		
+		this.cursorMesh.position.copyFrom(this.cursorPosition);
+		this.refresh();
+	}
+	
+	cursorToSelection () {
+		if (this.om.selectedMeshes.length === 0) return;
+		
+		let min = new BABYLON.Vector3(Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE);
+		let max = new BABYLON.Vector3(-Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE);
+		this.om.selectedMeshes.forEach(m => {
+			const bounds = m.getHierarchyBoundingVectors(true);
+			min = BABYLON.Vector3.Minimize(min, bounds.min);
+			max = BABYLON.Vector3.Maximize(max, bounds.max);
+		});
+		
+		this.placeCursor(min.add(max).scale(0.5));
+	}
+	
+	clearCursor () {
+		if (this.cursorMesh) {
+			this.cursorMesh.dispose(false, true);
+			this.cursorMesh = null;
+		}
+		this.cursorPosition = null;
+		this.refresh();
+	}
+}
@@ -0,0 +1,638 @@
+import * as BABYLON from '@babylonjs/core';
+
+// Prefabs share activeAssetName and the store list with store assets; their names carry this prefix
+export const PREFAB_PREFIX = 'prefab:';
+
+// Values closer than this are treated as unchanged (decomposition noise)
+const MATCH_EPSILON = 0.0001;
+const ORIGIN_EPSILON = 0.001;
+
+// Named composites saved from a group.
+// Prefab:   { id, name, members: [{ key, data }] }. `data` is an object snapshot whose
+//           transforms are relative to the prefab origin (bottom center of the source group).
+// Instance: a group with `prefabId` and `memberKeys` ({ objectId: member key }).
+// Members are the objects of the group and all its sub-groups. The prefab stores them as a
+// flat list, so sub-groups are not part of the definition: new instances and members added
+// by a sync are placed directly in the instance group, existing sub-groups stay as they are.
+// Applying an instance updates the prefab and every other instance. A value an instance
+// changed itself (an override) is kept; members deleted from an instance stay deleted.
+export class PrefabManager {
+	constructor (objectManager) {
+		this.om = objectManager;
+		this.scene = objectManager.scene;
+		
+		// Shared by the light markers of prefab ghosts
+		this.markerMaterial = null;
+		
+		objectManager.undoRedo.registerSnapshot('prefabs', {
+			label: 'Changed prefabs',
+			clone: () => this.clonePrefabs(),
+			restore: (prefabs) => this.setPrefabs(prefabs)
+		});
+	}
+	
+	// --- Lookup ---
+	
+	isPrefabName (name) {
+		return typeof name === 'string' && name.startsWith(PREFAB_PREFIX);
+	}
+	
+	getStoreName (prefab) {
+		return `${PREFAB_PREFIX}${prefab.id}`;
+	}
+	
+	getPrefab (prefabId) {
+		return this.om.prefabs.find(p => p.id === prefabId) || null;
+	}
+	
+	getPrefabByStoreName (name) {
+		if (!this.isPrefabName(name)) return null;
+		return this.getPrefab(name.substring(PREFAB_PREFIX.length));
+	}
+	
+	getInstances (prefabId) {
+		return this.om.groups.filter(g => g.prefabId === prefabId);
+	}
+	
+	getMember (prefab, key) {
+		return prefab.members.find(m => m.key === key) || null;
+	}
+	
+	// Objects of an instance, including those in its sub-groups
+	getMemberIds (group) {
+		return this.om.groupManager.getAllObjectIds(group.id);
+	}
+	
+	// --- Commands ---
+	
+	/**
+	 * Saves a group as a new prefab. The group becomes its first linked instance.
+	 * Objects in sub-groups are included (flattened, see above).
+	 * @param {string} groupId - Group to save
+	 * @param {string} name - Prefab name (defaults to the group name)
+	 * @returns {Object|null} The new prefab
+	 */
+	createPrefabFromGroup (groupId, name) {
+		const group = this.om.groups.find(g => g.id === groupId);
+		if (!group || group.prefabId) return null;
+		
+		this.om.selectObject(null, false);
+		const items = this.getItems(this.getMemberIds(group));
+		if (items.length === 0) return null;
+		
+		// Bottom center, so placed instances stand on the surface under the ghost
+		const bounds = this.getBounds(items);
+		const origin = BABYLON.Matrix.Translation(
+			(bounds.min.x + bounds.max.x) / 2,
+			bounds.min.y,
+			(bounds.min.z + bounds.max.z) / 2
+		);
+		const inverseOrigin = BABYLON.Matrix.Invert(origin);
+		
+		const prefab = { id: BABYLON.Tools.RandomId(), name: name || group.name, members: [] };
+		const memberKeys = {};
+		items.forEach(item => {
+			const key = BABYLON.Tools.RandomId();
+			memberKeys[item.data.id] = key;
+			prefab.members.push({ key: key, data: this.toMemberData(item.data, item.world.multiply(inverseOrigin)) });
+		});
+		
+		const oldPrefabs = this.clonePrefabs();
+		const oldGroups = this.om.groupManager.cloneGroups();
+		
+		this.om.undoRedo.begin(`Saved ${group.name} as prefab ${prefab.name}`);
+		try {
+			this.om.prefabs.push(prefab);
+			this.om.undoRedo.recordSnapshot('prefabs', oldPrefabs);
+			
+			group.prefabId = prefab.id;
+			group.memberKeys = memberKeys;
+			this.om.undoRedo.recordSnapshot('groups', oldGroups);
+		} finally {
+			this.om.undoRedo.commit();
+		}
+		
+		this.om.selectObjectsByIds(this.getMemberIds(group));
+		if (this.om.onListChange) this.om.onListChange();
+		if (this.om.onStoreChange) this.om.onStoreChange();
+		return prefab;
+	}
+	
+	/**
+	 * Places a new instance of a prefab, using the ghost's rotation and scale like addAsset.
+	 * @param {string} storeName - `prefab:<id>`
+	 * @param {BABYLON.Vector3} explicitPosition - Origin of the instance (ghost position)
+	 * @returns {Object|null} The instance group
+	 */
+	placeInstance (storeName, explicitPosition = null) {
+		const prefab = this.getPrefabByStoreName(storeName);
+		if (!prefab || prefab.members.length === 0) return null;
+		
+		const rotation = new BABYLON.Quaternion();
+		const scaling = new BABYLON.Vector3(1, 1, 1);
+		const ghost = this.om.ghostMesh;
+		if (ghost && this.om.activeAssetName === storeName) {
+			this.om.updateGhostTransformFromSelection();
+			rotation.copyFrom(ghost.rotationQuaternion || BABYLON.Quaternion.FromEulerVector(ghost.rotation));
+			scaling.copyFrom(ghost.scaling);
+		}
+		
+		let position = explicitPosition ? explicitPosition.clone() : null;
+		if (!position) {
+			// Same fallback as addAsset: on top of a single selected object, otherwise the world origin
+			position = new BABYLON.Vector3(0, this.om.defaultYOffset, 0);
+			if (this.om.selectedMeshes.length === 1) {
+				const bounds = this.om.selectedMeshes[0].getHierarchyBoundingVectors();
+				position.set((bounds.min.x + bounds.max.x) / 2, bounds.max.y + this.om.defaultYOffset, (bounds.min.z + bounds.max.z) / 2);
+			}
+		}
+		
+		const origin = BABYLON.Matrix.Compose(scaling, rotation, position);
+		const group = {
+			id: BABYLON.Tools.RandomId(),
+			name: this.getUniqueGroupName(prefab.name),
+			objectIds: [],
+			parentId: null,
+			prefabId: prefab.id,
+			memberKeys: {}
+		};
+		
+		const newObjectsData = [];
+		prefab.members.forEach(member => {
+			const data = this.createMemberObject(member, origin, newObjectsData);
+			if (!data) return;
+			newObjectsData.push(data);
+			group.objectIds.push(data.id);
+			group.memberKeys[data.id] = member.key;
+		});
+		if (newObjectsData.length === 0) return null;
+		
+		const oldGroups = this.om.groupManager.cloneGroups();
+		
+		this.om.undoRedo.begin(`Placed prefab ${prefab.name}`);
+		try {
+			this.om.undoRedo.add({ type: 'ADD', data: newObjectsData });
+			this.om.groups.push(group);
+			this.om.undoRedo.recordSnapshot('groups', oldGroups);
+		} finally {
+			this.om.undoRedo.commit();
+		}
+		
+		this.om.selectObjectsByIds(group.objectIds);
+		if (this.om.onListChange) this.om.onListChange();
+		return group;
+	}
+	
+	/**
+	 * Makes an instance's current state the prefab definition and updates every other instance.
+	 * Objects dropped into the instance group become new members, objects removed from it
+	 * are dropped from the prefab (and from the other instances).
+	 * @returns {number} Number of other instances that changed
+	 */
+	applyInstance (groupId) {
+		const group = this.om.groups.find(g => g.id === groupId);
+		const prefab = group ? this.getPrefab(group.prefabId) : null;
+		if (!prefab) return 0;
+		
+		// Objects may be rebuilt, so release the selection (and its proxy) first
+		const selectedIds = this.om.selectedMeshes.map(m => m.metadata.id);
+		this.om.selectObject(null, false);
+		
+		const origin = this.getInstanceOrigin(group, prefab);
+		if (!origin) return 0;
+		const inverseOrigin = BABYLON.Matrix.Invert(origin);
+		
+		const oldPrefabs = this.clonePrefabs();
+		const oldGroups = this.om.groupManager.cloneGroups();
+		const oldSets = this.om.selectionSetManager.cloneSets();
+		const oldPrefab = JSON.parse(JSON.stringify(prefab));
+		
+		// Origins of the other instances, measured before any of their members change
+		const others = this.getInstances(prefab.id)
+			.filter(g => g !== group)
+			.map(g => ({ group: g, origin: this.getInstanceOrigin(g, oldPrefab) }))
+			.filter(o => o.origin);
+		
+		const memberKeys = {};
+		prefab.members = this.getItems(this.getMemberIds(group)).map(item => {
+			const key = (group.memberKeys && group.memberKeys[item.data.id]) || BABYLON.Tools.RandomId();
+			memberKeys[item.data.id] = key;
+			return { key: key, data: this.toMemberData(item.data, item.world.multiply(inverseOrigin)) };
+		});
+		group.memberKeys = memberKeys;
+		
+		const changes = { replaced: [], added: [], deleted: [] };
+		const changedGroups = others.filter(o => this.syncInstance(o.group, o.origin, oldPrefab, prefab, changes, false));
+		
+		this.om.undoRedo.begin(`Applied ${group.name} to prefab ${prefab.name}`);
+		try {
+			this.om.undoRedo.recordSnapshot('prefabs', oldPrefabs);
+			this.recordSyncChanges(changes, oldGroups, oldSets);
+		} finally {
+			this.om.undoRedo.commit();
+		}
+		
+		this.finishSync(selectedIds);
+		this.refreshGhost();
+		return changedGroups.length;
+	}
+	
+	// Discards an instance's overrides and restores the members deleted from it
+	revertInstance (groupId) {
+		const group = this.om.groups.find(g => g.id === groupId);
+		const prefab = group ? this.getPrefab(group.prefabId) : null;
+		if (!prefab) return;
+		
+		const selectedIds = this.om.selectedMeshes.map(m => m.metadata.id);
+		this.om.selectObject(null, false);
+		
+		const origin = this.getInstanceOrigin(group, prefab);
+		if (!origin) return;
+		
+		const oldGroups = this.om.groupManager.cloneGroups();
+		const oldSets = this.om.selectionSetManager.cloneSets();
+		const changes = { replaced: [], added: [], deleted: [] };
+		this.syncInstance(group, origin, null, prefab, changes, true);
+		
+		this.om.undoRedo.begin(`Reverted ${group.name} to prefab ${prefab.name}`);
+		try {
+			this.recordSyncChanges(changes, oldGroups, oldSets);
+		} finally {
+			this.om.undoRedo.commit();
+		}
+		
+		this.finishSync([...selectedIds, ...changes.added.map(d => d.id)]);
+	}
+	
+	// Turns an instance back into a plain group
+	unlinkInstance (groupId) {
+		const group = this.om.groups.find(g => g.id === groupId);
+		if (!group || !group.prefabId) return;
+		
+		const oldGroups = this.om.groupManager.cloneGroups();
+		delete group.prefabId;
+		delete group.memberKeys;
+		this.om.undoRedo.recordSnapshot('groups', oldGroups, `Unlinked ${group.name} from prefab`);
+		
+		if (this.om.onListChange) this.om.onListChange();
+	}
+	
+	renamePrefab (prefabId, newName) {
+		const prefab = this.getPrefab(prefabId);
+		if (!prefab || !newName || prefab.name === newName) return;
+		
+		const oldPrefabs = this.clonePrefabs();
+		const oldName = prefab.name;
+		prefab.name = newName;
+		this.om.undoRedo.recordSnapshot('prefabs', oldPrefabs, `Renamed prefab ${oldName} to ${newName}`);
+		
+		if (this.om.onStoreChange) this.om.onStoreChange();
+	}
+	
+	// Removes the definition; its instances stay in the scene as plain groups
+	deletePrefab (prefabId) {
+		const prefab = this.getPrefab(prefabId);
+		if (!prefab) return;
+		
+		if (this.om.activeAssetName === this.getStoreName(prefab)) this.om.setActiveAsset(null);
+		
+		const oldPrefabs = this.clonePrefabs();
+		const oldGroups = this.om.groupManager.cloneGroups();
+		
+		this.om.undoRedo.begin(`Deleted prefab ${prefab.name}`);
+		try {
+			this.getInstances(prefabId).forEach(g => {
+				delete g.prefabId;
+				delete g.memberKeys;
+			});
+			this.om.undoRedo.recordSnapshot('groups', oldGroups);
+			
+			this.om.prefabs = this.om.prefabs.filter(p => p.id !== prefabId);
+			this.om.undoRedo.recordSnapshot('prefabs', oldPrefabs);
+		} finally {
+			this.om.undoRedo.commit();
+		}
+		
+		if (this.om.onListChange) this.om.onListChange();
+		if (this.om.onStoreChange) this.om.onStoreChange();
+	}
+	
+	// --- Sync ---
+	
+	/**
+	 * Brings one instance in line with a new prefab definition, collecting the changes.
+	 * With `revert` every member takes the prefab values; otherwise values that differ
+	 * from oldPrefab are overrides and kept.
+	 * @returns {boolean} Whether the instance changed
+	 */
+	syncInstance (group, origin, oldPrefab, newPrefab, changes, revert) {
+		if (!group.memberKeys) group.memberKeys = {};
+		
+		const keyToId = {};
+		this.getMemberIds(group).forEach(id => {
+			const key = group.memberKeys[id];
+			if (key) keyToId[key] = id;
+		});
+		
+		const inverseOrigin = BABYLON.Matrix.Invert(origin);
+		const countBefore = changes.replaced.length + changes.added.length + changes.deleted.length;
+		
+		newPrefab.members.forEach(member => {
+			const oldMember = oldPrefab ? this.getMember(oldPrefab, member.key) : null;
+			const id = keyToId[member.key];
+			
+			if (!id) {
+				// Members the user deleted from this instance stay deleted
+				if (oldMember) return;
+				
+				const data = this.createMemberObject(member, origin, changes.added);
+				if (!data) return;
+				changes.added.push(data);
+				group.objectIds.push(data.id);
+				group.memberKeys[data.id] = member.key;
+				return;
+			}
+			
+			const [item] = this.getItems([id]);
+			if (!item) return;
+			
+			const current = this.toMemberData(item.data, item.world.multiply(inverseOrigin));
+			const merged = revert
+				? JSON.parse(JSON.stringify(member.data))
+				: this.mergeMemberData(current, oldMember ? oldMember.data : null, member.data);
+			if (this.dataMatches(current, merged)) return;
+			
+			const world = this.decompose(this.composeMatrix(merged).multiply(origin));
+			const newData = {
+				...merged,
+				id: id,
+				name: item.data.name,
+				position: world.position.asArray(),
+				rotation: world.rotation.toEulerAngles().asArray(),
+				scaling: world.scaling.asArray()
+			};
+			
+			// Current transforms from the mesh, like replaceAsset
+			const oldWorld = this.decompose(item.world);
+			const oldData = {
+				...JSON.parse(JSON.stringify(item.data)),
+				position: oldWorld.position.asArray(),
+				rotation: oldWorld.rotation.toEulerAngles().asArray(),
+				scaling: oldWorld.scaling.asArray()
+			};
+			
+			this.om.operationManager.rebuildObject(newData);
+			changes.replaced.push({ id: id, oldData: oldData, newData: newData });
+		});
+		
+		// Members removed from the prefab
+		if (oldPrefab) {
+			oldPrefab.members.forEach(oldMember => {
+				if (this.getMember(newPrefab, oldMember.key)) return;
+				
+				const data = this.om.placedObjects.find(o => o.id === keyToId[oldMember.key]);
+				if (!data) return;
+				changes.deleted.push(data);
+				this.om.removeObjectById(data.id, false);
+			});
+		}
+		
+		return changes.replaced.length + changes.added.length + changes.deleted.length > countBefore;
+	}
+	
+	// Field by field: keep the instance's value where it overrides the old prefab, otherwise take the new one
+	mergeMemberData (current, oldData, newData) {
+		const merged = JSON.parse(JSON.stringify(current));
+		const fields = new Set([...Object.keys(current), ...Object.keys(newData)]);
+		
+		fields.forEach(field => {
+			if (field === 'name') return;
+			
+			const isOverride = oldData && !this.valuesMatch(current[field], oldData[field]);
+			if (isOverride) return;
+			
+			if (newData[field] === undefined) delete merged[field];
+			else merged[field] = JSON.parse(JSON.stringify(newData[field]));
+		});
+		
+		return merged;
+	}
+	
+	// Records everything syncInstance collected (call inside a transaction)
+	recordSyncChanges (changes, oldGroups, oldSets) {
+		if (changes.replaced.length > 0) {
+			this.om.undoRedo.add({ type: 'REPLACE', data: changes.replaced });
+		}
+		if (changes.added.length > 0) {
+			this.om.undoRedo.add({ type: 'ADD', data: changes.added });
+		}
+		if (changes.deleted.length > 0) {
+			const deletedIds = changes.deleted.map(d => d.id);
+			this.om.groupManager.cleanupDeletedObjects(deletedIds);
+			this.om.selectionSetManager.cleanupDeletedObjects(deletedIds);
+			
+			// Groups are recorded below, together with the new members
+			this.om.undoRedo.add({
+				type: 'DELETE',
+				data: changes.deleted,
+				selectionSets: { oldSets: oldSets, newSets: this.om.selectionSetManager.cloneSets() }
+			});
+		}
+		
+		this.om.undoRedo.recordSnapshot('groups', oldGroups);
+	}
+	
+	finishSync (selectedIds) {
+		this.om.selectObjectsByIds(selectedIds.filter(id => this.om.placedObjects.some(o => o.id === id)));
+		if (this.om.onListChange) this.om.onListChange();
+	}
+	
+	// --- Transforms ---
+	
+	getItems (ids) {
+		return ids.map(id => {
+			const data = this.om.placedObjects.find(o => o.id === id);
+			const mesh = this.om.findMeshById(id);
+			if (!data || !mesh) return null;
+			
+			// World matrix, so objects parented to the selection proxy work too
+			mesh.computeWorldMatrix(true);
+			return { data, mesh, world: mesh.getWorldMatrix().clone() };
+		}).filter(Boolean);
+	}
+	
+	/**
+	 * World matrix of an instance's prefab origin.
+	 * Every member gives a candidate (inverse local matrix times world matrix). Members
+	 * moved on their own disagree with the rest, so the candidate most members share wins.
+	 */
+	getInstanceOrigin (group, prefab) {
+		const candidates = [];
+		this.getItems(this.getMemberIds(group)).forEach(item => {
+			const member = this.getMember(prefab, group.memberKeys ? group.memberKeys[item.data.id] : null);
+			if (!member) return;
+			candidates.push(BABYLON.Matrix.Invert(this.composeMatrix(member.data)).multiply(item.world));
+		});
+		
+		let best = null;
+		let bestVotes = 0;
+		candidates.forEach(candidate => {
+			const votes = candidates.filter(other => this.matricesMatch(candidate, other)).length;
+			if (votes > bestVotes) {
+				best = candidate;
+				bestVotes = votes;
+			}
+		});
+		
+		return best;
+	}
+	
+	// Object snapshot without its id, with transforms from the given (relative) matrix
+	toMemberData (data, matrix) {
+		const { position, rotation, scaling } = this.decompose(matrix);
+		const memberData = {
+			...JSON.parse(JSON.stringify(data)),
+			position: position.asArray(),
+			rotation: rotation.toEulerAngles().asArray(),
+			scaling: scaling.asArray()
+		};
+		delete memberData.id;
+		return memberData;
+	}
+	
+	// Creates one member object of an instance through restoreObject, without recording history
+	createMemberObject (member, origin, pendingData) {
+		if (member.data.type !== 'light' && member.data.type !== 'camera' && !this.om.assetManager.hasAsset(member.data.assetName)) {
+			console.warn(`Skipping prefab member ${member.data.name}: Asset '${member.data.assetName}' not found in store.`);
+			return null;
+		}
+		
+		const { position, rotation, scaling } = this.decompose(this.composeMatrix(member.data).multiply(origin));
+		const data = {
+			...JSON.parse(JSON.stringify(member.data)),
+			id: BABYLON.Tools.RandomId(),
+			name: this.om.arrayManager.getUniqueName(member.data, pendingData),
+			position: position.asArray(),
+			rotation: rotation.toEulerAngles().asArray(),
+			scaling: scaling.asArray()
+		};
+		
+		this.om.restoreObject(data);
+		return data;
+	}
+	
+	composeMatrix (data) {
+		return BABYLON.Matrix.Compose(
+			BABYLON.Vector3.FromArray(data.scaling || [1, 1, 1]),
+			BABYLON.Quaternion.FromEulerVector(BABYLON.Vector3.FromArray(data.rotation || [0, 0, 0])),
+			BABYLON.Vector3.FromArray(data.position || [0, 0, 0])
+		);
+	}
+	
+	decompose (matrix) {
+		const position = new BABYLON.Vector3();
+		const rotation = new BABYLON.Quaternion();
+		const scaling = new BABYLON.Vector3();
+		matrix.decompose(scaling, rotation, position);
+		return { position, rotation, scaling };
+	}
+	
+	getBounds (items) {
+		let min = new BABYLON.Vector3(Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE);
+		let max = new BABYLON.Vector3(-Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE);
+		items.forEach(item => {
+			const bounds = item.mesh.getHierarchyBoundingVectors(true);
+			min = BABYLON.Vector3.Minimize(min, bounds.min);
+			max = BABYLON.Vector3.Maximize(max, bounds.max);
+		});
+		return { min, max };
+	}
+	
+	matricesMatch (a, b) {
+		return a.m.every((value, i) => Math.abs(value - b.m[i]) < ORIGIN_EPSILON);
+	}
+	
+	// Numeric arrays (transforms, directions) compare with a tolerance
+	valuesMatch (a, b) {
+		if (Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every(v => typeof v === 'number')) {
+			return a.every((value, i) => Math.abs(value - b[i]) < MATCH_EPSILON);
+		}
+		return JSON.stringify(a) === JSON.stringify(b);
+	}
+	
+	dataMatches (a, b) {
+		const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+		return [...fields].every(field => this.valuesMatch(a[field], b[field]));
+	}
+	
+	getUniqueGroupName (baseName) {
+		let index = 1;
+		while (this.om.groups.some(g => g.name === `${baseName}_${index}`)) {
+			index++;
+		}
+		return `${baseName}_${index}`;
+	}
+	
+	// --- Ghost ---
+	
+	// Placement ghost for a prefab: one child per member under a root at the prefab origin
+	createGhost (storeName) {
+		const prefab = this.getPrefabByStoreName(storeName);
+		if (!prefab) return null;
+		
+		const root = new BABYLON.TransformNode('ghost_asset', this.scene);
+		root.rotationQuaternion = new BABYLON.Quaternion();
+		
+		prefab.members.forEach(member => {
+			const part = (member.data.type === 'light' || member.data.type === 'camera')
+				? this.createLightMarker()
+				: this.om.assetManager.instantiate(member.data.assetName);
+			if (!part) return;
+			
+			const { position, rotation, scaling } = this.decompose(this.composeMatrix(member.data));
+			part.position = position;
+			part.rotationQuaternion = rotation;
+			part.scaling = scaling;
+			part.parent = root;
+		});
+		
+		return root;
+	}
+	
+	// Lights are shown as a small marker instead of a second light, like the array preview
+	createLightMarker () {
+		if (!this.markerMaterial) {
+			this.markerMaterial = new BABYLON.StandardMaterial('prefab_ghost_light_mat', this.scene);
+			this.markerMaterial.emissiveColor = new BABYLON.Color3(1, 0.9, 0.4);
+			this.markerMaterial.disableLighting = true;
+		}
+		
+		const marker = BABYLON.MeshBuilder.CreateSphere('prefab_ghost_light', { diameter: 0.4 }, this.scene);
+		marker.material = this.markerMaterial;
+		return marker;
+	}
+	
+	// --- History ---
+	
+	clonePrefabs () {
+		return JSON.parse(JSON.stringify(this.om.prefabs));
+	}
+	
+	// Replaces the definitions without history; the ghost and store list follow
+	setPrefabs (prefabs) {
+		this.om.prefabs = JSON.parse(JSON.stringify(prefabs || []));
+		
+		if (this.isPrefabName(this.om.activeAssetName) && !this.getPrefabByStoreName(this.om.activeAssetName)) {
+			this.om.setActiveAsset(null);
+		}
+		this.refreshGhost();
+		if (this.om.onStoreChange) this.om.onStoreChange();
+	}
+	
+	// Rebuilds the placement ghost after the active prefab's members changed
+	refreshGhost () {
+		if (this.getPrefabByStoreName(this.om.activeAssetName)) {
+			this.om.loadGhostAsset(this.om.activeAssetName);
+		}
+	}
+}
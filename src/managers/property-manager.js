@@ -1,5 +1,8 @@
 import * as BABYLON from '@babylonjs/core';
 
+// Properties edited through number spinners (see PropertyPanel)
+const SPINNER_PROPS = ['intensity', 'direction', 'fov'];
+
 export class PropertyManager {
 	constructor (objectManager) {
 		this.om = objectManager;
@@ -11,68 +14,21 @@ export class PropertyManager {
 		
 		const objData = this.om.placedObjects.find(o => o.id === id);
 		
-		if (prop === 'isLocked') {
-			objData.isLocked = value;
-			this.om.updateSelectionProxy();
-			if (this.om.onListChange) this.om.onListChange(); // Lock icon update
-			return;
-		}
-		
-		if (prop === 'color') {
-			// Check if it's a light
-			if (objData.type === 'light') {
-				const light = mesh.getChildren().find(c => c instanceof BABYLON.Light);
-				if (light) light.diffuse = BABYLON.Color3.FromHexString(value || '#ffffff');
-				objData.color = value;
-			}
-			return;
-		}
-		
-		// NEW: Light Properties
-		if (prop === 'specularColor') {
-			const light = mesh.getChildren().find(c => c instanceof BABYLON.Light);
-			if (light) light.specular = BABYLON.Color3.FromHexString(value || '#000000');
-			objData.specularColor = value;
-			return;
-		}
-		
-		if (prop === 'groundColor') {
-			const light = mesh.getChildren().find(c => c instanceof BABYLON.HemisphericLight);
-			if (light) light.groundColor = BABYLON.Color3.FromHexString(value || '#000000');
-			objData.groundColor = value;
-			return;
-		}
-		
-		// Light Properties
-		if (prop === 'intensity') {
-			const light = mesh.getChildren().find(c => c instanceof BABYLON.Light);
-			if (light) light.intensity = value;
-			objData.intensity = value;
-			return;
-		}
-		
-		if (prop === 'castShadows') {
-			if (value) {
-				this.om.builderScene.enableShadows(mesh);
-			} else {
-				this.om.builderScene.disableShadows(id);
-			}
-			objData.castShadows = value;
-			return;
-		}
-		
-		if (prop === 'direction') {
-			// value is {x, y, z}
-			const light = mesh.getChildren().find(c => c instanceof BABYLON.Light);
-			if (light && (light instanceof BABYLON.DirectionalLight || light instanceof BABYLON.HemisphericLight)) {
-				light.direction = new BABYLON.Vector3(value.x, value.y, value.z);
-				objData.direction = [value.x, value.y, value.z];
-				
-				// Update Gizmo Rotation to match
-				if (light instanceof BABYLON.DirectionalLight) {
-					mesh.lookAt(mesh.position.add(light.direction));
-				}
+		if (prop !== 'position' && prop !== 'rotation' && prop !== 'scaling') {
+			const oldValue = this.getPropertyValue(objData, prop);
+			this.setObjectProperty(id, prop, value);
+			const newValue = this.getPropertyValue(objData, prop);
+			
+			if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+				this.om.undoRedo.add({
+					type: 'PROPERTY',
+					// Numeric spinner edits of the same value merge into one step
+					coalesceKey: SPINNER_PROPS.includes(prop) ? `prop:${prop}:${id}` : null,
+					data: [{ id: id, prop: prop, oldValue: oldValue, newValue: newValue }]
+				});
 			}
+			
+			this.refreshAfterPropertyChange([prop]);
 			return;
 		}
 		
@@ -82,13 +38,6 @@ export class PropertyManager {
 			scaling: mesh.absoluteScaling.asArray()
 		};
 		
-		if (prop === 'name') {
-			mesh.name = value;
-			objData.name = value;
-			if (this.om.onListChange) this.om.onListChange();
-			return;
-		}
-		
 		if (prop === 'position') {
 			mesh.setAbsolutePosition(new BABYLON.Vector3(value.x, value.y, value.z));
 			objData.position = [value.x, value.y, value.z];
@@ -113,6 +62,7 @@ export class PropertyManager {
 		
 		this.om.undoRedo.add({
 			type: 'TRANSFORM',
+			coalesceKey: `edit:${prop}:${id}`,
 			data: [{
 				id: id,
 				oldData: oldData,
@@ -121,6 +71,103 @@ export class PropertyManager {
 		});
 	}
 	
+	// Returns a history-safe copy of a property value, in the form setObjectProperty accepts
+	getPropertyValue (objData, prop) {
+		if (!objData) return null;
+		
+		if (prop === 'direction') {
+			const d = objData.direction;
+			return d ? { x: d[0], y: d[1], z: d[2] } : null;
+		}
+		
+		return objData[prop] === undefined ? null : objData[prop];
+	}
+	
+	// Direct setter without history (used by Undo/Redo and internal batches)
+	// Callers refresh the list/proxy once via refreshAfterPropertyChange
+	setObjectProperty (id, prop, value) {
+		const mesh = this.om.findMeshById(id);
+		const objData = this.om.placedObjects.find(o => o.id === id);
+		if (!mesh || !objData) return;
+		
+		const light = mesh.getChildren().find(c => c instanceof BABYLON.Light);
+		
+		switch (prop) {
+			case 'name':
+				mesh.name = value;
+				objData.name = value;
+				break;
+			
+			case 'isLocked':
+				objData.isLocked = value;
+				break;
+			
+			case 'color':
+				if (objData.type === 'light' && light) {
+					light.diffuse = BABYLON.Color3.FromHexString(value || '#ffffff');
+				}
+				objData.color = value;
+				break;
+			
+			case 'specularColor':
+				if (light) light.specular = BABYLON.Color3.FromHexString(value || '#000000');
+				objData.specularColor = value;
+				break;
+			
+			case 'groundColor':
+				if (light instanceof BABYLON.HemisphericLight) light.groundColor = BABYLON.Color3.FromHexString(value || '#000000');
+				objData.groundColor = value;
+				break;
+			
+			case 'intensity':
+				if (light) light.intensity = value;
+				objData.intensity = value;
+				break;
+			
+			case 'castShadows':
+				if (value) {
+					this.om.builderScene.enableShadows(mesh);
+				} else {
+					this.om.builderScene.disableShadows(id);
+				}
+				objData.castShadows = value;
+				break;
+			
+			case 'direction':
+				// value is {x, y, z}
+				if (value && light && (light instanceof BABYLON.DirectionalLight || light instanceof BABYLON.HemisphericLight)) {
+					light.direction = new BABYLON.Vector3(value.x, value.y, value.z);
+					objData.direction = [value.x, value.y, value.z];
+					
+					// Update Gizmo Rotation to match
+					if (light instanceof BABYLON.DirectionalLight) {
+						mesh.lookAt(mesh.position.add(light.direction));
+					}
+				}
+				break;
+			
+			case 'fov':
+				// Vertical field of view of a scene camera, in degrees
+				this.om.cameraManager.setFov(id, value);
+				objData.fov = value;
+				break;
+			
+			case 'isVisible':
+				this.setObjectVisibility(id, value);
+				break;
+		}
+	}
+	
+	refreshAfterPropertyChange (props) {
+		if (props.includes('isLocked')) {
+			this.om.updateSelectionProxy();
+		}
+		// Lock icon, visibility icon and names are shown in the tree
+		if (props.some(p => p === 'isLocked' || p === 'isVisible' || p === 'name')) {
+			if (this.om.onListChange) this.om.onListChange();
+		}
+	}
+	
 	// Direct setter without history (used by Undo/Redo and internal batches)
 	setObjectVisibility (id, isVisible) {
 		const mesh = this.om.findMeshById(id);
@@ -187,26 +234,44 @@ export class PropertyManager {
 		}
 	}
 	
+	// Batch lock for groups, one undo entry
+	updateLockBatch (ids, isLocked) {
+		const changes = [];
+		
+		ids.forEach(id => {
+			const objData = this.om.placedObjects.find(o => o.id === id);
+			if (!objData || !!objData.isLocked === isLocked) return;
+			
+			changes.push({ id: id, prop: 'isLocked', oldValue: !!objData.isLocked, newValue: isLocked });
+			this.setObjectProperty(id, 'isLocked', isLocked);
+		});
+		
+		if (changes.length > 0) {
+			this.om.undoRedo.add({ type: 'PROPERTY', data: changes });
+		}
+		
+		this.refreshAfterPropertyChange(['isLocked']);
+	}
+	
 	updateMultipleObjectsProperty (prop, value) {
-		if (prop === 'isLocked') {
-			this.om.selectedMeshes.forEach(mesh => {
-				const objData = this.om.placedObjects.find(o => o.id === mesh.metadata.id);
-				if (objData) objData.isLocked = value;
-			});
-			this.om.updateSelectionProxy();
-			if (this.om.onListChange) this.om.onListChange();
-		} else if (prop === 'color') {
-			this.om.selectedMeshes.forEach(mesh => {
-				const objData = this.om.placedObjects.find(o => o.id === mesh.metadata.id);
-				if (objData) {
-					objData.color = value;
-					if (objData.type === 'light') {
-						const light = mesh.getChildren().find(c => c instanceof BABYLON.Light);
-						if (light) light.diffuse = BABYLON.Color3.FromHexString(value);
-					}
-				}
-			});
+		const changes = [];
+		
+		this.om.selectedMeshes.forEach(mesh => {
+			const objData = this.om.placedObjects.find(o => o.id === mesh.metadata.id);
+			if (!objData) return;
+			
+			const oldValue = this.getPropertyValue(objData, prop);
+			if (JSON.stringify(oldValue) === JSON.stringify(value)) return;
+			
+			this.setObjectProperty(objData.id, prop, value);
+			changes.push({ id: objData.id, prop: prop, oldValue: oldValue, newValue: this.getPropertyValue(objData, prop) });
+		});
+		
+		if (changes.length > 0) {
+			this.om.undoRedo.add({ type: 'PROPERTY', data: changes });
 		}
+		
+		this.refreshAfterPropertyChange([prop]);
 	}
 	
 	updateGroupTransform (prop, values) {
@@ -225,6 +290,9 @@ export class PropertyManager {
 			});
 		});
 		
+		const isIndividual = this.om.pivotManager.isIndividualOrigins();
+		if (isIndividual) this.om.pivotManager.beginIndividualTransform();
+		
 		if (prop === 'position') {
 			this.om.selectionProxy.position = new BABYLON.Vector3(values.x, values.y, values.z);
 		} else if (prop === 'rotation') {
@@ -239,6 +307,10 @@ export class PropertyManager {
 		}
 		
 		this.om.selectionProxy.computeWorldMatrix(true);
+		if (isIndividual) {
+			this.om.pivotManager.applyIndividualTransform();
+			this.om.pivotManager.endIndividualTransform();
+		}
 		this.om.selectedMeshes.forEach(m => m.computeWorldMatrix(true));
 		
 		changes.forEach(change => {
@@ -267,6 +339,7 @@ export class PropertyManager {
 		if (actualChanges.length > 0) {
 			this.om.undoRedo.add({
 				type: 'TRANSFORM',
+				coalesceKey: `edit:${prop}:${changes.map(c => c.id).sort().join(',')}`,
 				data: actualChanges
 			});
 		}
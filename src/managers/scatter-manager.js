@@ -0,0 +1,355 @@
+import * as BABYLON from '@babylonjs/core';
+
+// New objects per dab at most; a dab runs inside a single pointer move
+const MAX_DAB_INSTANCES = 50;
+
+// Paints instances of store assets onto the ground or any object surface.
+// A stroke (pointer down, drag, pointer up) is one undo step. Painted objects go into
+// a group marked with isScatter; the erase brush only removes objects of such groups.
+export class ScatterManager {
+	constructor (objectManager) {
+		this.om = objectManager;
+		this.scene = objectManager.scene;
+		
+		this.settings = {
+			assetNames: [],
+			radius: 3,
+			density: 0.5, // Objects per square unit inside the brush
+			spacing: 0.5, // Minimum distance between painted objects
+			yawMin: 0,
+			yawMax: 360,
+			scaleMin: 0.8,
+			scaleMax: 1.2,
+			alignToNormal: false,
+			erase: false
+		};
+		
+		this.isActive = false;
+		this.brushMesh = null;
+		this.stroke = null; // { lastDabPoint, added, erased, positions, oldGroups, oldSets }
+		this.groupId = null; // Group that receives the strokes of this brush session
+	}
+	
+	setActive (enabled) {
+		this.isActive = enabled;
+		if (enabled) {
+			// A new session paints into a new group
+			this.groupId = null;
+		} else {
+			this.endStroke();
+			this.hideBrush();
+		}
+	}
+	
+	setSettings (settings) {
+		const assetsChanged = settings.assetNames &&
+			settings.assetNames.join(',') !== this.settings.assetNames.join(',');
+		this.settings = { ...this.settings, ...settings };
+		if (assetsChanged) this.groupId = null;
+		
+		if (this.brushMesh) this.brushMesh.scaling.setAll(this.settings.radius);
+		this.updateBrushColor();
+	}
+	
+	// --- Brush Cursor ---
+	
+	updateBrush (pick) {
+		if (!pick || !pick.hit) {
+			this.hideBrush();
+			return;
+		}
+		
+		if (!this.brushMesh) {
+			// Unit ring, scaled to the radius
+			this.brushMesh = BABYLON.MeshBuilder.CreateTorus('scatterBrush', { diameter: 2, thickness: 0.03, tessellation: 48 }, this.scene);
+			this.brushMesh.isPickable = false;
+			this.brushMesh.metadata = { isGhost: true };
+			
+			const mat = new BABYLON.StandardMaterial('scatterBrushMat', this.scene);
+			mat.disableLighting = true;
+			this.brushMesh.material = mat;
+			this.brushMesh.renderingGroupId = 1;
+			this.brushMesh.scaling.setAll(this.settings.radius);
+			this.updateBrushColor();
+		}
+		
+		const normal = this.getSurfaceNormal(pick);
+		this.brushMesh.position.copyFrom(pick.pickedPoint.add(normal.scale(0.02)));
+		if (!this.brushMesh.rotationQuaternion) this.brushMesh.rotationQuaternion = new BABYLON.Quaternion();
+		BABYLON.Quaternion.FromUnitVectorsToRef(BABYLON.Vector3.Up(), normal, this.brushMesh.rotationQuaternion);
+		this.brushMesh.setEnabled(true);
+	}
+	
+	updateBrushColor () {
+		if (!this.brushMesh) return;
+		this.brushMesh.material.emissiveColor = this.settings.erase
+			? new BABYLON.Color3(0.9, 0.3, 0.25)
+			: new BABYLON.Color3(0.3, 0.9, 0.4);
+	}
+	
+	hideBrush () {
+		if (this.brushMesh) this.brushMesh.setEnabled(false);
+	}
+	
+	// --- Strokes ---
+	
+	beginStroke (pick) {
+		if (!pick || !pick.hit) return;
+		if (!this.settings.erase && this.settings.assetNames.length === 0) return;
+		
+		this.stroke = {
+			lastDabPoint: null,
+			added: [],
+			erased: [],
+			// Positions the spacing is checked against: existing objects of the brush assets
+			positions: this.om.placedObjects
+				.filter(o => o.assetName && this.settings.assetNames.includes(o.assetName))
+				.map(o => BABYLON.Vector3.FromArray(o.position)),
+			oldGroups: this.om.groupManager.cloneGroups(),
+			oldSets: this.om.selectionSetManager.cloneSets()
+		};
+		
+		this.continueStroke(pick);
+	}
+	
+	continueStroke (pick) {
+		if (!this.stroke || !pick || !pick.hit) return;
+		
+		// Dabs are spaced at half the radius along the stroke
+		const point = pick.pickedPoint;
+		const last = this.stroke.lastDabPoint;
+		if (last && BABYLON.Vector3.Distance(last, point) < this.settings.radius * 0.5) return;
+		this.stroke.lastDabPoint = point.clone();
+		
+		if (this.settings.erase) {
+			this.eraseDab(point);
+		} else {
+			this.paintDab(point, this.getSurfaceNormal(pick));
+		}
+	}
+	
+	endStroke () {
+		const stroke = this.stroke;
+		if (!stroke) return;
+		this.stroke = null;
+		
+		if (stroke.added.length > 0) this.recordPaintedObjects(stroke);
+		if (stroke.erased.length > 0) this.recordErasedObjects(stroke);
+	}
+	
+	paintDab (center, normal) {
+		const { radius, density, spacing } = this.settings;
+		const positions = this.stroke.positions;
+		
+		// Fill the brush up to the density, counting what is already there. The fraction
+		// is rounded at random, so small brushes with a low density still paint now and then.
+		const expected = density * Math.PI * radius * radius;
+		const target = Math.floor(expected) + (Math.random() < expected % 1 ? 1 : 0);
+		const existing = positions.filter(p => BABYLON.Vector3.Distance(p, center) <= radius).length;
+		let needed = Math.min(MAX_DAB_INSTANCES, target - existing);
+		
+		// Two axes on the surface plane for sampling the disc
+		const tangent = BABYLON.Vector3.Cross(normal, Math.abs(normal.y) < 0.99 ? BABYLON.Vector3.Up() : BABYLON.Vector3.Right()).normalize();
+		const bitangent = BABYLON.Vector3.Cross(normal, tangent).normalize();
+		
+		const maxAttempts = needed * 3;
+		for (let attempt = 0; attempt < maxAttempts && needed > 0; attempt++) {
+			// Uniform random point in the disc
+			const r = radius * Math.sqrt(Math.random());
+			const angle = Math.random() * Math.PI * 2;
+			const offset = tangent.scale(Math.cos(angle) * r).add(bitangent.scale(Math.sin(angle) * r));
+			
+			const hit = this.pickSurface(center.add(offset), normal, radius);
+			if (!hit) continue;
+			if (positions.some(p => BABYLON.Vector3.Distance(p, hit.point) < spacing)) continue;
+			
+			const data = this.placeInstance(hit.point, hit.normal);
+			if (!data) continue;
+			
+			this.stroke.added.push(data);
+			positions.push(hit.point);
+			needed--;
+		}
+	}
+	
+	eraseDab (center) {
+		const { radius, assetNames } = this.settings;
+		const paintedIds = new Set();
+		this.om.groups.forEach(g => {
+			if (g.isScatter) g.objectIds.forEach(id => paintedIds.add(id));
+		});
+		
+		const toErase = this.om.placedObjects.filter(o => {
+			if (!paintedIds.has(o.id) || o.isLocked || o.isVisible === false) return false;
+			// With assets chosen only those are erased
+			if (assetNames.length > 0 && !assetNames.includes(o.assetName)) return false;
+			return BABYLON.Vector3.Distance(BABYLON.Vector3.FromArray(o.position), center) <= radius;
+		});
+		
+		toErase.forEach(o => {
+			this.stroke.erased.push(o);
+			this.om.removeObjectById(o.id, false);
+		});
+	}
+	
+	/**
+	 * Casts a ray back onto the surface from above a sample point.
+	 * Painted objects are ignored so instances do not stack on each other.
+	 * @returns {{point: BABYLON.Vector3, normal: BABYLON.Vector3}|null}
+	 */
+	pickSurface (samplePoint, normal, radius) {
+		const origin = samplePoint.add(normal.scale(radius));
+		const ray = new BABYLON.Ray(origin, normal.negate(), radius * 2);
+		const paintedIds = new Set(this.stroke.added.map(d => d.id));
+		
+		const pick = this.scene.pickWithRay(ray, (mesh) => {
+			if (!mesh.isPickable || !mesh.isEnabled()) return false;
+			if (mesh.metadata && mesh.metadata.isGhost) return false;
+			
+			let root = mesh;
+			while (root.parent && (!root.metadata || !root.metadata.isObject)) root = root.parent;
+			if (!root.metadata || !root.metadata.isObject) return true;
+			if (root.metadata.type === 'light' || root.metadata.type === 'camera') return false;
+			
+			const data = this.om.placedObjects.find(o => o.id === root.metadata.id);
+			return !paintedIds.has(root.metadata.id) && !(data && this.settings.assetNames.includes(data.assetName));
+		});
+		
+		if (!pick || !pick.hit) return null;
+		return { point: pick.pickedPoint, normal: this.getSurfaceNormal(pick) };
+	}
+	
+	getSurfaceNormal (pick) {
+		const normal = pick.getNormal(true, true);
+		return normal ? normal.normalize() : BABYLON.Vector3.Up();
+	}
+	
+	// Creates one object like addAsset does, without selecting it or recording history
+	placeInstance (point, normal) {
+		const { assetNames, yawMin, yawMax, scaleMin, scaleMax, alignToNormal } = this.settings;
+		const assetName = assetNames[Math.floor(Math.random() * assetNames.length)];
+		
+		const root = this.om.assetManager.instantiate(assetName);
+		if (!root) return null;
+		
+		const yaw = BABYLON.Tools.ToRadians(yawMin + Math.random() * (yawMax - yawMin));
+		const scale = scaleMin + Math.random() * (scaleMax - scaleMin);
+		const up = alignToNormal ? normal : BABYLON.Vector3.Up();
+		
+		// Rest the bottom of the object on the surface
+		root.computeWorldMatrix(true);
+		const bounds = root.getHierarchyBoundingVectors();
+		const heightOffset = -bounds.min.y * scale;
+		
+		let rotation = BABYLON.Quaternion.RotationAxis(BABYLON.Axis.Y, yaw);
+		if (alignToNormal) {
+			const align = new BABYLON.Quaternion();
+			BABYLON.Quaternion.FromUnitVectorsToRef(BABYLON.Vector3.Up(), normal, align);
+			rotation = align.multiply(rotation);
+		}
+		
+		root.rotationQuaternion = rotation;
+		root.scaling.setAll(scale);
+		root.position = point.add(up.scale(heightOffset + this.om.defaultYOffset));
+		
+		const id = BABYLON.Tools.RandomId();
+		root.name = this.getUniqueName(assetName);
+		root.metadata = { id: id, isObject: true, assetName: assetName };
+		
+		const descendants = root.getChildMeshes(false);
+		descendants.push(root);
+		descendants.forEach(m => {
+			if (m instanceof BABYLON.InstancedMesh) {
+				this.om.builderScene.registerShadowCaster(m.sourceMesh);
+			} else {
+				this.om.builderScene.registerShadowCaster(m);
+			}
+			m.receiveShadows = true;
+			m.isPickable = true;
+		});
+		
+		const objData = {
+			id: id,
+			name: root.name,
+			assetName: assetName,
+			type: 'mesh',
+			isLocked: false,
+			isVisible: true,
+			color: null,
+			position: root.position.asArray(),
+			rotation: rotation.toEulerAngles().asArray(),
+			scaling: root.scaling.asArray()
+		};
+		
+		this.om.placedObjects.push(objData);
+		return objData;
+	}
+	
+	getUniqueName (assetName) {
+		let maxIndex = 0;
+		this.om.placedObjects.forEach(o => {
+			if (!o.name || !o.name.startsWith(`${assetName}_`)) return;
+			const suffix = parseInt(o.name.substring(assetName.length + 1));
+			if (!isNaN(suffix) && suffix > maxIndex) maxIndex = suffix;
+		});
+		return `${assetName}_${maxIndex + 1}`;
+	}
+	
+	// --- History ---
+	
+	// One entry for the objects of a stroke and their group
+	recordPaintedObjects (stroke) {
+		const ids = stroke.added.map(d => d.id);
+		
+		let group = this.om.groups.find(g => g.id === this.groupId);
+		if (!group) {
+			const assetNames = [...new Set(stroke.added.map(d => d.assetName))];
+			const baseName = `${assetNames.length === 1 ? assetNames[0] : 'mixed'}_scatter`;
+			let index = 1;
+			while (this.om.groups.some(g => g.name === `${baseName}_${index}`)) index++;
+			
+			group = { id: BABYLON.Tools.RandomId(), name: `${baseName}_${index}`, objectIds: [], parentId: null, isScatter: true };
+			this.om.groups.push(group);
+			this.groupId = group.id;
+		}
+		group.objectIds.push(...ids);
+		
+		this.om.undoRedo.begin(`Painted ${this.om.undoRedo.describeObjects(stroke.added.map(d => d.name))}`);
+		try {
+			this.om.undoRedo.add({ type: 'ADD', data: stroke.added });
+			this.om.undoRedo.recordSnapshot('groups', stroke.oldGroups, `Added painted objects to ${group.name}`);
+		} finally {
+			this.om.undoRedo.commit();
+		}
+		
+		if (this.om.onListChange) this.om.onListChange();
+	}
+	
+	// Same entry as deleteSelected, so undo brings back group and set membership
+	recordErasedObjects (stroke) {
+		const erasedIds = stroke.erased.map(o => o.id);
+		this.om.groupManager.cleanupDeletedObjects(erasedIds);
+		this.om.selectionSetManager.cleanupDeletedObjects(erasedIds);
+		
+		this.om.undoRedo.add({
+			type: 'DELETE',
+			label: `Erased ${this.om.undoRedo.describeObjects(stroke.erased.map(o => o.name))}`,
+			data: stroke.erased,
+			groups: { oldGroups: stroke.oldGroups, newGroups: this.om.groupManager.cloneGroups() },
+			selectionSets: { oldSets: stroke.oldSets, newSets: this.om.selectionSetManager.cloneSets() }
+		});
+		
+		// Erased objects may have been selected; their meshes are already disposed
+		const remaining = this.om.selectedMeshes.filter(m => m.metadata && !erasedIds.includes(m.metadata.id));
+		if (remaining.length !== this.om.selectedMeshes.length) {
+			this.om.selectedMeshes = remaining;
+			this.om.updateSelectionProxy();
+			if (this.om.onSelectionChange) {
+				const selectedData = remaining.map(m => this.om.placedObjects.find(o => o.id === m.metadata.id));
+				this.om.onSelectionChange(selectedData.length > 0 ? selectedData : null);
+			}
+		}
+		
+		if (this.om.onListChange) this.om.onListChange();
+	}
+}
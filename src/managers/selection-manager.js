@@ -0,0 +1,217 @@
+import * as BABYLON from '@babylonjs/core';
+
+export class SelectionManager {
+	constructor (objectManager) {
+		this.om = objectManager;
+		this.scene = objectManager.scene;
+	}
+	
+	/**
+	 * Replaces the selection in one step (one proxy rebuild, one change event).
+	 * @param {Array<BABYLON.AbstractMesh>} meshes - Root meshes of placed objects
+	 */
+	setSelection (meshes) {
+		const unique = [...new Set(meshes.filter(Boolean))];
+		
+		this.om.selectedMeshes.forEach(m => this.om.setSelectionHighlight(m, false));
+		this.om.selectedMeshes = unique;
+		this.om.selectedMeshes.forEach(m => this.om.setSelectionHighlight(m, true));
+		
+		this.om.updateSelectionProxy();
+		this.om.updateGhostTransformFromSelection();
+		
+		if (this.om.onSelectionChange) {
+			if (this.om.selectedMeshes.length > 0) {
+				const selectedData = this.om.selectedMeshes.map(m => this.om.placedObjects.find(o => o.id === m.metadata.id));
+				this.om.onSelectionChange(selectedData);
+			} else {
+				this.om.onSelectionChange(null);
+			}
+		}
+	}
+	
+	/**
+	 * Selects objects whose projected bounds lie completely inside a screen rectangle.
+	 * Hidden objects are never picked. Locked objects are only picked when `allowLocked`
+	 * is set, mirroring Shift+click on a locked object.
+	 * @param {{x1: number, y1: number, x2: number, y2: number}} rect - Canvas CSS pixels
+	 * @param {string} mode - 'replace' | 'add' | 'subtract' | 'toggle'
+	 * @param {boolean} allowLocked - Include locked objects
+	 */
+	selectInRect (rect, mode = 'replace', allowLocked = false) {
+		const minX = Math.min(rect.x1, rect.x2);
+		const maxX = Math.max(rect.x1, rect.x2);
+		const minY = Math.min(rect.y1, rect.y2);
+		const maxY = Math.max(rect.y1, rect.y2);
+		
+		const inside = [];
+		this.om.placedObjects.forEach(obj => {
+			if (obj.isVisible === false) return;
+			if (obj.isLocked && !allowLocked) return;
+			
+			const mesh = this.om.findMeshById(obj.id);
+			if (!mesh || !mesh.isEnabled()) return;
+			
+			const bounds = this.getScreenBounds(mesh);
+			if (!bounds) return;
+			
+			if (bounds.minX >= minX && bounds.maxX <= maxX && bounds.minY >= minY && bounds.maxY <= maxY) {
+				inside.push(mesh);
+			}
+		});
+		
+		const current = this.om.selectedMeshes;
+		let result;
+		
+		switch (mode) {
+			case 'add':
+				result = [...current, ...inside];
+				break;
+			case 'subtract':
+				result = current.filter(m => !inside.includes(m));
+				break;
+			case 'toggle':
+				result = [
+					...current.filter(m => !inside.includes(m)),
+					...inside.filter(m => !current.includes(m))
+				];
+				break;
+			default:
+				result = inside;
+		}
+		
+		this.setSelection(result);
+	}
+	
+	/**
+	 * Projects the world bounding box of an object hierarchy to canvas CSS pixels.
+	 * @returns {{minX, maxX, minY, maxY}|null} Null if any corner is behind the camera
+	 */
+	getScreenBounds (mesh) {
+		// The camera of the pane the marquee was drawn in
+		const camera = this.scene.cameraToUseForPointers || this.scene.activeCamera;
+		const canvas = this.scene.getEngine().getRenderingCanvas();
+		if (!camera || !canvas) return null;
+		
+		// Multi-selections are parented to the proxy; the world bounds are still correct
+		mesh.computeWorldMatrix(true);
+		const { min, max } = mesh.getHierarchyBoundingVectors(true);
+		
+		// Babylon viewports start at the bottom, Vector3.Project expects the offset from the top
+		const vp = camera.viewport;
+		const viewport = new BABYLON.Viewport(
+			vp.x * canvas.clientWidth,
+			(1 - vp.y - vp.height) * canvas.clientHeight,
+			vp.width * canvas.clientWidth,
+			vp.height * canvas.clientHeight
+		);
+		const transform = camera.getTransformationMatrix();
+		
+		const corners = [
+			new BABYLON.Vector3(min.x, min.y, min.z),
+			new BABYLON.Vector3(max.x, min.y, min.z),
+			new BABYLON.Vector3(min.x, max.y, min.z),
+			new BABYLON.Vector3(max.x, max.y, min.z),
+			new BABYLON.Vector3(min.x, min.y, max.z),
+			new BABYLON.Vector3(max.x, min.y, max.z),
+			new BABYLON.Vector3(min.x, max.y, max.z),
+			new BABYLON.Vector3(max.x, max.y, max.z)
+		];
+		
+		const result = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+		for (const corner of corners) {
+			const p = BABYLON.Vector3.Project(corner, BABYLON.Matrix.IdentityReadOnly, transform, viewport);
+			if (p.z < 0 || p.z > 1) return null;
+			
+			result.minX = Math.min(result.minX, p.x);
+			result.maxX = Math.max(result.maxX, p.x);
+			result.minY = Math.min(result.minY, p.y);
+			result.maxY = Math.max(result.maxY, p.y);
+		}
+		
+		return result;
+	}
+	
+	/**
+	 * Selects objects matching a rule. Builds the id list and hands it to selectObjectsByIds.
+	 * @param {string} rule - 'sameAsset' | 'lights' | 'sameGroup' | 'invert' | 'visible' | 'insideBounds'
+	 * @returns {number} Number of selected objects
+	 */
+	selectByRule (rule) {
+		const objects = this.om.placedObjects;
+		const selectedIds = this.om.selectedMeshes.map(m => m.metadata.id);
+		let ids = [];
+		
+		switch (rule) {
+			case 'sameAsset': {
+				// Active asset in the store wins, otherwise the assets of the current selection
+				const assetNames = new Set();
+				if (this.om.activeAssetName) {
+					assetNames.add(this.om.activeAssetName);
+				} else {
+					objects.forEach(o => {
+						if (selectedIds.includes(o.id) && o.assetName) assetNames.add(o.assetName);
+					});
+				}
+				ids = objects.filter(o => o.assetName && assetNames.has(o.assetName)).map(o => o.id);
+				break;
+			}
+			case 'lights':
+				// Hidden objects are skipped like in the marquee, so Delete can't remove what is not shown
+				ids = objects.filter(o => o.type === 'light' && o.isVisible !== false).map(o => o.id);
+				break;
+			case 'sameGroup': {
+				// The group each object is directly in, with all its sub-groups (like clicking
+				// the group in the tree). Parent groups are not included.
+				const groupIds = new Set();
+				selectedIds.forEach(id => {
+					const group = this.om.getGroupOfObject(id);
+					if (group) this.om.groupManager.getAllObjectIds(group.id).forEach(gid => groupIds.add(gid));
+				});
+				ids = [...groupIds];
+				break;
+			}
+			case 'invert':
+				// Hidden objects stay unselected, as with 'lights'
+				ids = objects.filter(o => !selectedIds.includes(o.id) && o.isVisible !== false).map(o => o.id);
+				break;
+			case 'visible':
+				ids = objects.filter(o => o.isVisible !== false).map(o => o.id);
+				break;
+			case 'insideBounds':
+				ids = this.getObjectsInsideSelectionBounds();
+				break;
+			default:
+				console.warn(`Unknown selection rule: ${rule}`);
+				return this.om.selectedMeshes.length;
+		}
+		
+		this.om.selectObjectsByIds(ids);
+		return this.om.selectedMeshes.length;
+	}
+	
+	// Ids of objects whose bounds lie completely inside the combined bounds of the selection
+	getObjectsInsideSelectionBounds () {
+		if (this.om.selectedMeshes.length === 0) return [];
+		
+		let min = new BABYLON.Vector3(Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE);
+		let max = new BABYLON.Vector3(-Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE);
+		this.om.selectedMeshes.forEach(m => {
+			const bounds = m.getHierarchyBoundingVectors(true);
+			min = BABYLON.Vector3.Minimize(min, bounds.min);
+			max = BABYLON.Vector3.Maximize(max, bounds.max);
+		});
+		
+		// Tolerance for touching faces
+		const epsilon = 0.001;
+		return this.om.placedObjects.filter(obj => {
+			const mesh = this.om.findMeshById(obj.id);
+			if (!mesh || !mesh.getHierarchyBoundingVectors) return false;
+			
+			const bounds = mesh.getHierarchyBoundingVectors(true);
+			return bounds.min.x >= min.x - epsilon && bounds.max.x <= max.x + epsilon &&
+				bounds.min.y >= min.y - epsilon && bounds.max.y <= max.y + epsilon &&
+				bounds.min.z >= min.z - epsilon && bounds.max.z <= max.z + epsilon;
+		}).map(obj => obj.id);
+	}
+}
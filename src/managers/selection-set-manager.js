@@ -0,0 +1,124 @@
+import * as BABYLON from '@babylonjs/core';
+
+// Named selection sets. Unlike groups they do not change the tree structure and an
+// object can belong to any number of sets.
+export class SelectionSetManager {
+	constructor (objectManager) {
+		this.om = objectManager;
+		
+		objectManager.undoRedo.registerSnapshot('selectionSets', {
+			label: 'Changed selection sets',
+			clone: () => this.cloneSets(),
+			restore: (sets) => this.setSets(sets)
+		});
+	}
+	
+	createSet (name, objectIds) {
+		if (!objectIds || objectIds.length === 0) return null;
+		
+		const oldSets = this.cloneSets();
+		const newSet = {
+			id: BABYLON.Tools.RandomId(),
+			name: name || `Set_${this.om.selectionSets.length + 1}`,
+			objectIds: [...new Set(objectIds)]
+		};
+		
+		this.om.selectionSets.push(newSet);
+		this.om.undoRedo.recordSnapshot('selectionSets', oldSets, `Created selection set ${newSet.name}`);
+		this.notifyChange();
+		
+		return newSet;
+	}
+	
+	deleteSet (setId) {
+		const oldSets = this.cloneSets();
+		const set = this.getSet(setId);
+		this.om.selectionSets = this.om.selectionSets.filter(s => s.id !== setId);
+		this.om.undoRedo.recordSnapshot('selectionSets', oldSets, `Deleted selection set ${set ? set.name : ''}`);
+		this.notifyChange();
+	}
+	
+	renameSet (setId, newName) {
+		const set = this.getSet(setId);
+		if (set) {
+			const oldSets = this.cloneSets();
+			const oldName = set.name;
+			set.name = newName;
+			this.om.undoRedo.recordSnapshot('selectionSets', oldSets, `Renamed selection set ${oldName} to ${newName}`);
+			this.notifyChange();
+		}
+	}
+	
+	addToSet (setId, objectIds) {
+		const set = this.getSet(setId);
+		if (!set) return;
+		
+		const oldSets = this.cloneSets();
+		objectIds.forEach(id => {
+			if (!set.objectIds.includes(id)) set.objectIds.push(id);
+		});
+		this.om.undoRedo.recordSnapshot('selectionSets', oldSets, `Added ${this.om.undoRedo.describeObjects(this.om.undoRedo.getObjectNames(objectIds))} to ${set.name}`);
+		this.notifyChange();
+	}
+	
+	removeFromSet (setId, objectIds) {
+		const set = this.getSet(setId);
+		if (!set) return;
+		
+		const oldSets = this.cloneSets();
+		set.objectIds = set.objectIds.filter(id => !objectIds.includes(id));
+		// Cleanup empty set
+		if (set.objectIds.length === 0) {
+			this.om.selectionSets = this.om.selectionSets.filter(s => s.id !== setId);
+		}
+		this.om.undoRedo.recordSnapshot('selectionSets', oldSets, `Removed ${this.om.undoRedo.describeObjects(this.om.undoRedo.getObjectNames(objectIds))} from ${set.name}`);
+		this.notifyChange();
+	}
+	
+	/**
+	 * Selects the objects of a set
+	 * @param {string} setId
+	 * @param {boolean} isAdditive - Keep the current selection and add the set to it
+	 */
+	selectSet (setId, isAdditive) {
+		const set = this.getSet(setId);
+		if (!set) return;
+		
+		let ids = set.objectIds;
+		if (isAdditive) {
+			const currentIds = this.om.selectedMeshes.map(m => m.metadata.id);
+			ids = [...new Set([...currentIds, ...ids])];
+		}
+		this.om.selectObjectsByIds(ids);
+	}
+	
+	getSet (setId) {
+		return this.om.selectionSets.find(s => s.id === setId);
+	}
+	
+	// Called when objects are deleted from the scene to cleanup references
+	cleanupDeletedObjects (deletedIds) {
+		this.om.selectionSets.forEach(s => {
+			s.objectIds = s.objectIds.filter(id => !deletedIds.includes(id));
+		});
+		// Cleanup empty sets
+		this.om.selectionSets = this.om.selectionSets.filter(s => s.objectIds.length > 0);
+		this.notifyChange();
+	}
+	
+	// --- History ---
+	
+	cloneSets () {
+		return JSON.parse(JSON.stringify(this.om.selectionSets));
+	}
+	
+	// Replaces all sets without history (snapshot undo and map loading)
+	setSets (sets) {
+		this.om.selectionSets = JSON.parse(JSON.stringify(sets || []));
+		this.notifyChange();
+	}
+	
+	notifyChange () {
+		if (this.om.onSelectionSetsChange) this.om.onSelectionSetsChange();
+	}
+}
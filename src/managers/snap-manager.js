@@ -15,6 +15,7 @@ export class SnapManager {
         // Drag State for "Break Force" logic
         this.isDragging = false;
         this.rawPosition = null; // The theoretical position of the mesh without snapping
+        this.startPosition = null; // Where the drag started (axes that did not move are not grid snapped)
         this.lastSnappedPosition = null; // The actual visual position of the mesh (snapped)
     }
     
@@ -189,6 +190,7 @@ export class SnapManager {
         mesh.computeWorldMatrix(true);
         
         // Store the starting position (world)
+        this.startPosition = mesh.absolutePosition.clone();
         this.rawPosition = mesh.absolutePosition.clone();
         // Store where the mesh is visually right now (world)
         this.lastSnappedPosition = mesh.absolutePosition.clone();
@@ -200,6 +202,7 @@ export class SnapManager {
     endSnapping() {
         this.isDragging = false;
         this.rawPosition = null;
+        this.startPosition = null;
         this.lastSnappedPosition = null;
     }
     
@@ -209,11 +212,13 @@ export class SnapManager {
      * @param {BABYLON.Mesh} mesh - The mesh being dragged.
      */
     snapMesh(mesh) {
-        // Only snap if we have an anchor and are dragging
-        if (!this.anchorMesh || !this.isDragging || !this.rawPosition) return;
+        // Only snap if we have an anchor or grid snapping, and are dragging
+        const isGridSnap = this.om.gizmoController.isGridSnapEnabled;
+        if ((!this.anchorMesh && !isGridSnap) || !this.isDragging || !this.rawPosition) return;
         
-        // Don't snap to self
-        if (mesh === this.anchorMesh) return;
+        // Don't snap to self (grid snapping still applies)
+        const useAnchor = this.anchorMesh && mesh !== this.anchorMesh;
+        if (!useAnchor && !isGridSnap) return;
         
         // FIX: Force world matrix update to ensure absolutePosition reflects Gizmo changes
         // Without this, absolutePosition returns the cached value (lastSnappedPosition),
@@ -237,25 +242,50 @@ export class SnapManager {
         const localMax = bounds.max.subtract(currentPos);
         const movingBoundsLocal = { min: localMin, max: localMax };
         
-        const snapOffset = this.calculateSnapOffset(
+        const snapOffset = useAnchor ? this.calculateSnapOffset(
           this.rawPosition, // Use raw position for calculation
           movingBoundsLocal,
           mesh.rotationQuaternion || BABYLON.Quaternion.FromEulerVector(mesh.rotation),
           mesh.scaling,
           [this.anchorMesh]
-        );
+        ) : null;
         
         if (snapOffset) {
-            // Snap Target Found
+            // Snap Target Found (anchor snapping wins over the grid)
             const targetPos = this.rawPosition.add(new BABYLON.Vector3(snapOffset.x, snapOffset.y, snapOffset.z));
             
             // Apply Snap
             mesh.setAbsolutePosition(targetPos);
             this.lastSnappedPosition.copyFrom(targetPos);
+        } else if (isGridSnap) {
+            // Grid Snap - Round the raw position on the axes the gizmo has moved
+            const targetPos = this.snapToGrid(this.rawPosition, this.startPosition, this.om.gridSize);
+            mesh.setAbsolutePosition(targetPos);
+            this.lastSnappedPosition.copyFrom(targetPos);
         } else {
             // No Snap - Revert to Raw
             mesh.setAbsolutePosition(this.rawPosition);
             this.lastSnappedPosition.copyFrom(this.rawPosition);
         }
     }
+    
+    /**
+     * Rounds a position to the nearest grid line. Axes that are still at their
+     * start value are left alone so an axis drag does not pull the other axes.
+     * @param {BABYLON.Vector3} position
+     * @param {BABYLON.Vector3} startPosition
+     * @param {number} gridSize
+     * @returns {BABYLON.Vector3}
+     */
+    snapToGrid(position, startPosition, gridSize) {
+        const result = position.clone();
+        if (!gridSize || gridSize <= 0) return result;
+        
+        const epsilon = 0.0001;
+        ['x', 'y', 'z'].forEach(axis => {
+            if (startPosition && Math.abs(position[axis] - startPosition[axis]) < epsilon) return;
+            result[axis] = Math.round(position[axis] / gridSize) * gridSize;
+        });
+        return result;
+    }
 }
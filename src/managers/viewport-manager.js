@@ -0,0 +1,320 @@
+import * as BABYLON from '@babylonjs/core';
+import { EDITOR_LAYER_MASK } from './camera-manager';
+
+// Vertical grid backdrops (see BuilderScene.createGrid), each drawn only in its ortho view
+export const FRONT_GRID_LAYER = 0x20000000;
+export const SIDE_GRID_LAYER = 0x40000000;
+
+// Editor views. 'perspective' is the EditorCamera, all others are orthographic.
+// 'user' is an orthographic copy of the perspective view that can still be orbited;
+// top, front and side look along a world axis and can only be panned and zoomed.
+const VIEWS = {
+	perspective: { label: 'Perspective' },
+	user: { label: 'User (Ortho)' },
+	top: { label: 'Top', alpha: -Math.PI / 2, beta: 0.0001, workPlaneNormal: [0, 1, 0] },
+	front: { label: 'Front', alpha: -Math.PI / 2, beta: Math.PI / 2, workPlaneNormal: [0, 0, 1], gridLayer: FRONT_GRID_LAYER },
+	side: { label: 'Side', alpha: 0, beta: Math.PI / 2, workPlaneNormal: [1, 0, 0], gridLayer: SIDE_GRID_LAYER }
+};
+
+export const VIEW_NAMES = Object.keys(VIEWS);
+
+// Quad layout panes; Babylon viewports are normalized and start at the bottom left.
+// The last pane shows whichever 3D view (perspective or user) is current.
+const QUAD_PANES = [
+	{ view: 'top', viewport: [0, 0.5, 0.5, 0.5] },
+	{ view: 'front', viewport: [0.5, 0.5, 0.5, 0.5] },
+	{ view: 'side', viewport: [0, 0, 0.5, 0.5] },
+	{ view: null, viewport: [0.5, 0, 0.5, 0.5] }
+];
+
+export class ViewportManager {
+	constructor (objectManager) {
+		this.om = objectManager;
+		this.scene = objectManager.scene;
+		this.cameraManager = objectManager.cameraManager;
+		
+		this.layout = 'single'; // 'single' | 'quad'
+		this.view = 'perspective'; // View shown in the single layout
+		this.view3D = 'perspective'; // 'perspective' | 'user', shown in the quad layout's 3D pane
+		
+		this.panes = []; // [{ view, camera, viewport }]
+		this.inputPane = null; // Pane under the pointer; gets camera input, picking and gizmos
+		this.isInputLocked = false;
+		
+		this.onChange = null;
+		
+		const editorCamera = this.cameraManager.editorCamera;
+		this.cameras = { perspective: editorCamera };
+		VIEW_NAMES.filter(name => name !== 'perspective').forEach(name => {
+			this.cameras[name] = this.createOrthoCamera(name);
+		});
+		
+		// Ortho extents follow the zoom (radius) and the pane aspect ratio
+		this.scene.onBeforeCameraRenderObservable.add((camera) => this.updateOrthoBounds(camera));
+		
+		// The gizmo layer only renders for one camera; in the quad layout point it at
+		// every pane right before that pane's layer render (inserted first for that reason),
+		// then back at the input pane for picking until the next frame
+		this.scene.onAfterRenderCameraObservable.add((camera) => {
+			if (this.panes.length > 1) this.setGizmoCamera(camera);
+		}, undefined, true);
+		this.scene.onAfterRenderObservable.add(() => {
+			if (this.panes.length > 1) this.setGizmoCamera(this.inputCamera);
+		});
+		
+		this.update();
+	}
+	
+	createOrthoCamera (name) {
+		const def = VIEWS[name];
+		const editorCamera = this.cameraManager.editorCamera;
+		
+		const camera = new BABYLON.ArcRotateCamera(`${name}ViewCamera`, def.alpha ?? editorCamera.alpha, def.beta ?? editorCamera.beta, 30, BABYLON.Vector3.Zero(), this.scene);
+		this.cameraManager.configureEditorInput(camera);
+		camera.mode = BABYLON.Camera.ORTHOGRAPHIC_CAMERA;
+		camera.lowerBetaLimit = 0.0001;
+		camera.upperBetaLimit = Math.PI - 0.0001;
+		
+		// Nothing between the eye and the target should be clipped away when zoomed in
+		camera.minZ = -1000;
+		camera.maxZ = 1000;
+		camera.layerMask = EDITOR_LAYER_MASK | (def.gridLayer || 0);
+		
+		return camera;
+	}
+	
+	// Ortho half height matches what the perspective camera shows at the same radius
+	updateOrthoBounds (camera) {
+		if (camera.mode !== BABYLON.Camera.ORTHOGRAPHIC_CAMERA || !this.isViewCamera(camera)) return;
+		
+		const halfHeight = camera.radius * Math.tan(this.cameraManager.editorCamera.fov / 2);
+		const halfWidth = halfHeight * this.scene.getEngine().getAspectRatio(camera);
+		camera.orthoTop = halfHeight;
+		camera.orthoBottom = -halfHeight;
+		camera.orthoLeft = -halfWidth;
+		camera.orthoRight = halfWidth;
+	}
+	
+	// --- Views & Layout ---
+	
+	/**
+	 * Shows a view. Axis views fill the viewport; perspective and user views
+	 * switch the 3D pane when the quad layout is shown.
+	 * @param {string} name - One of VIEW_NAMES
+	 */
+	setView (name) {
+		if (!VIEWS[name]) return;
+		
+		if (name === 'perspective' || name === 'user') {
+			if (name !== this.view3D) this.copyCameraState(this.cameras[this.view3D], this.cameras[name]);
+			this.view3D = name;
+		} else {
+			this.layout = 'single';
+		}
+		
+		this.view = name;
+		this.update();
+	}
+	
+	// Perspective <-> User (Ortho)
+	toggleOrtho () {
+		this.setView(this.view3D === 'perspective' ? 'user' : 'perspective');
+	}
+	
+	setLayout (layout) {
+		const newLayout = layout === 'quad' ? 'quad' : 'single';
+		// Leaving the quad layout maximizes the pane under the pointer
+		if (this.layout === 'quad' && newLayout === 'single' && this.inputPane && this.inputPane.view) {
+			this.view = this.inputPane.view;
+		}
+		this.layout = newLayout;
+		this.update();
+	}
+	
+	toggleQuadLayout () {
+		this.setLayout(this.layout === 'quad' ? 'single' : 'quad');
+	}
+	
+	getState () {
+		return { layout: this.layout, view: this.view, view3D: this.view3D };
+	}
+	
+	// Direct setter (used to render thumbnails through the full-size perspective view)
+	setState (state) {
+		this.layout = state.layout;
+		this.view = state.view;
+		this.view3D = state.view3D;
+		this.update();
+	}
+	
+	copyCameraState (from, to) {
+		this.scene.stopAnimation(from);
+		to.alpha = from.alpha;
+		to.beta = from.beta;
+		to.radius = from.radius;
+		to.setTarget(from.target.clone());
+	}
+	
+	// Applies layout, view, scene camera preview and walk mode to the scene cameras
+	update () {
+		// Walk mode and scene camera previews fill the canvas. WalkManager is created after this manager.
+		const walkCamera = this.om.walkManager ? this.om.walkManager.camera : null;
+		const fullCamera = walkCamera || this.cameraManager.getViewCamera();
+		
+		if (fullCamera) {
+			this.panes = [{ view: null, camera: fullCamera, viewport: [0, 0, 1, 1] }];
+		} else if (this.layout === 'quad') {
+			this.panes = QUAD_PANES.map(p => {
+				const view = p.view || this.view3D;
+				return { view, camera: this.cameras[view], viewport: p.viewport };
+			});
+		} else {
+			this.panes = [{ view: this.view, camera: this.cameras[this.view], viewport: [0, 0, 1, 1] }];
+		}
+		
+		this.panes.forEach(pane => {
+			pane.camera.viewport = new BABYLON.Viewport(...pane.viewport);
+		});
+		
+		this.scene.activeCameras = this.panes.length > 1 ? this.panes.map(p => p.camera) : [];
+		this.scene.activeCamera = this.panes[this.panes.length - 1].camera;
+		if (this.panes.length === 1) this.setGizmoCamera(null);
+		
+		// Keep input on the same camera if it is still shown, else the 3D pane
+		const current = this.inputPane && this.panes.find(p => p.camera === this.inputPane.camera);
+		this.setInputPane(current || this.panes[this.panes.length - 1]);
+		
+		if (this.onChange) this.onChange();
+	}
+	
+	// --- Input Routing ---
+	
+	/**
+	 * Pane at a canvas position (CSS pixels from the top left)
+	 * @returns {Object|null}
+	 */
+	getPaneAt (x, y) {
+		const canvas = this.scene.getEngine().getRenderingCanvas();
+		const width = canvas.clientWidth;
+		const height = canvas.clientHeight;
+		
+		return this.panes.find(pane => {
+			const [vx, vy, vw, vh] = pane.viewport;
+			const left = vx * width;
+			const top = (1 - vy - vh) * height;
+			return x >= left && x <= left + vw * width && y >= top && y <= top + vh * height;
+		}) || null;
+	}
+	
+	// Camera input, pointer picking and the gizmos follow the pane under the pointer
+	setInputPane (pane) {
+		if (!pane || pane === this.inputPane) return;
+		
+		const previous = this.inputPane;
+		this.inputPane = pane;
+		
+		Object.values(this.cameras).forEach(camera => {
+			if (camera !== pane.camera) camera.detachControl();
+		});
+		this.applyInputLock();
+		
+		this.scene.cameraToUseForPointers = pane.camera;
+		if (this.panes.length > 1) this.setGizmoCamera(pane.camera);
+		
+		if (this.onChange && previous && previous.camera !== pane.camera) this.onChange();
+	}
+	
+	setInputLocked (isLocked) {
+		this.isInputLocked = isLocked;
+		this.applyInputLock();
+	}
+	
+	applyInputLock () {
+		const camera = this.inputPane && this.inputPane.camera;
+		if (!camera || !this.isViewCamera(camera)) return;
+		
+		if (this.isInputLocked) {
+			camera.detachControl();
+		} else {
+			camera.attachControl(this.scene.getEngine().getRenderingCanvas(), true);
+		}
+	}
+	
+	setGizmoCamera (camera) {
+		const gizmoManager = this.om.gizmoManager;
+		if (!gizmoManager) return;
+		
+		[gizmoManager.utilityLayer, gizmoManager.keepDepthUtilityLayer].forEach(layer => {
+			layer.setRenderCamera(camera);
+			// Gizmo picking uses the layer scene's camera, which is otherwise only updated on render
+			if (camera) {
+				layer.utilityLayerScene.cameraToUseForPointers = camera;
+				layer.utilityLayerScene.activeCamera = camera;
+			}
+		});
+	}
+	
+	// --- Queries ---
+	
+	// Camera of the pane under the pointer (the scene or walk camera while one fills the canvas)
+	get inputCamera () {
+		return this.inputPane ? this.inputPane.camera : this.scene.activeCamera;
+	}
+	
+	isViewCamera (camera) {
+		return Object.values(this.cameras).includes(camera);
+	}
+	
+	// Perspective and user views orbit; axis views and scene cameras don't
+	canOrbit (camera) {
+		return camera === this.cameras.perspective || camera === this.cameras.user;
+	}
+	
+	isAxisView (camera) {
+		return camera === this.cameras.top || camera === this.cameras.front || camera === this.cameras.side;
+	}
+	
+	getViewLabel (view) {
+		return VIEWS[view] ? VIEWS[view].label : '';
+	}
+	
+	/**
+	 * Orbit radius at which a sphere just fits into a camera's pane
+	 * @param {BABYLON.ArcRotateCamera} camera
+	 * @param {number} sphereRadius
+	 * @returns {number}
+	 */
+	getFitRadius (camera, sphereRadius) {
+		const isOrtho = camera.mode === BABYLON.Camera.ORTHOGRAPHIC_CAMERA;
+		// Ortho extents come from the EditorCamera fov (see updateOrthoBounds)
+		const fov = isOrtho ? this.cameraManager.editorCamera.fov : camera.fov;
+		// Vertical fov; panes narrower than tall are limited by their width instead
+		const aspect = this.scene.getEngine().getAspectRatio(camera);
+		const tanHalf = Math.tan(fov / 2) * Math.min(1, aspect);
+		
+		if (isOrtho) return sphereRadius / tanHalf;
+		return sphereRadius / Math.sin(Math.atan(tanHalf));
+	}
+	
+	/**
+	 * Plane the pointer works on when it is not over an object: the ground,
+	 * or the plane through the origin facing a front or side view.
+	 * @returns {BABYLON.Plane}
+	 */
+	getWorkPlane (camera = this.inputCamera) {
+		const view = Object.keys(this.cameras).find(name => this.cameras[name] === camera);
+		const normal = (view && VIEWS[view].workPlaneNormal) || [0, 1, 0];
+		return BABYLON.Plane.FromPositionAndNormal(BABYLON.Vector3.Zero(), BABYLON.Vector3.FromArray(normal));
+	}
+	
+	/**
+	 * Point on the work plane under a canvas position
+	 * @returns {BABYLON.Vector3|null} Null if the view looks along the plane
+	 */
+	pickWorkPlane (x, y, camera = this.inputCamera) {
+		const ray = this.scene.createPickingRay(x, y, BABYLON.Matrix.Identity(), camera);
+		const distance = ray.intersectsPlane(this.getWorkPlane(camera));
+		if (distance === null || distance === undefined) return null;
+		return ray.origin.add(ray.direction.scale(distance));
+	}
+}
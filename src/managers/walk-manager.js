@@ -0,0 +1,206 @@
+import * as BABYLON from '@babylonjs/core';
+
+// Babylon applies camera gravity once per frame, so this is 9.81 m/s² at 60 fps
+const WALK_GRAVITY = new BABYLON.Vector3(0, -9.81 / 60, 0);
+
+// Walkers who fall off the map are put back where they started
+const FALL_LIMIT = -50;
+
+// Walk keys: WASD and the arrow keys
+const KEYS_FORWARD = [87, 38];
+const KEYS_BACK = [83, 40];
+const KEYS_LEFT = [65, 37];
+const KEYS_RIGHT = [68, 39];
+
+export const DEFAULT_EYE_HEIGHT = 1.7;
+export const DEFAULT_WALK_SPEED = 3; // Meters per second
+
+// First-person walkthrough at player scale. A collision-checked UniversalCamera
+// temporarily replaces the editor views; the EditorCamera is restored when it ends.
+export class WalkManager {
+	constructor (objectManager) {
+		this.om = objectManager;
+		this.scene = objectManager.scene;
+		this.builderScene = objectManager.builderScene;
+		
+		this.eyeHeight = DEFAULT_EYE_HEIGHT;
+		this.speed = DEFAULT_WALK_SPEED;
+		
+		this.camera = null; // WalkCamera while walking
+		this.startPosition = null;
+		this.savedEditorState = null;
+		this.savedGravity = null;
+		this.collisionStates = []; // [{ mesh, checkCollisions }] to restore afterwards
+		this.fallObserver = null;
+		
+		this.onChange = null;
+		
+		// While walking only the walk camera gets keys: editor shortcuts are stopped before
+		// they reach the window listeners, and Escape ends the walk
+		this.onWindowKeyDown = (e) => {
+			if (e.key === 'Escape') {
+				e.stopImmediatePropagation();
+				this.stop();
+			} else if (e.target !== this.builderScene.canvas && !['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+				e.stopImmediatePropagation();
+			}
+		};
+		// Keys on the canvas have reached Babylon's input already
+		this.onCanvasKeyDown = (e) => e.stopPropagation();
+		// Mouse look uses pointer lock; the browser releases it on Escape
+		this.onCanvasPointerDown = () => {
+			const engine = this.scene.getEngine();
+			if (!engine.isPointerLock) engine.enterPointerlock();
+		};
+	}
+	
+	get isWalking () {
+		return this.camera !== null;
+	}
+	
+	toggle () {
+		if (this.isWalking) this.stop();
+		else this.start();
+	}
+	
+	/**
+	 * Starts walking from the ground (or object) under the editor view's target,
+	 * looking the way the editor view does
+	 */
+	start () {
+		if (this.isWalking) return;
+		
+		const builderScene = this.builderScene;
+		const editorCamera = this.om.cameraManager.editorCamera;
+		
+		// Ghost, gizmos and selection are off while walking
+		this.om.setActiveAsset(null);
+		this.om.selectObject(null, false);
+		builderScene.setBoxSelectMode(false);
+		if (builderScene.marquee) builderScene.cancelMarquee();
+		if (builderScene.pointPick) builderScene.cancelPointPick();
+		this.om.cameraManager.setView(null);
+		
+		this.scene.stopAnimation(editorCamera);
+		this.savedEditorState = {
+			alpha: editorCamera.alpha,
+			beta: editorCamera.beta,
+			radius: editorCamera.radius,
+			target: editorCamera.target.clone()
+		};
+		
+		this.enableCollisions();
+		this.savedGravity = this.scene.gravity.clone();
+		this.scene.gravity = WALK_GRAVITY.clone();
+		
+		this.startPosition = this.findStartPosition();
+		this.camera = this.createWalkCamera(this.startPosition);
+		// Horizontal direction the editor view looks in
+		const forward = new BABYLON.Vector3(-Math.cos(editorCamera.alpha), 0, -Math.sin(editorCamera.alpha));
+		this.camera.setTarget(this.startPosition.add(forward));
+		
+		this.fallObserver = this.scene.onBeforeRenderObservable.add(() => {
+			if (this.camera.position.y < FALL_LIMIT) this.camera.position.copyFrom(this.startPosition);
+		});
+		
+		const canvas = builderScene.canvas;
+		window.addEventListener('keydown', this.onWindowKeyDown, true);
+		canvas.addEventListener('keydown', this.onCanvasKeyDown);
+		canvas.addEventListener('pointerdown', this.onCanvasPointerDown);
+		canvas.focus();
+		
+		this.om.viewportManager.update();
+		if (this.onChange) this.onChange(true);
+	}
+	
+	// Back to the editor views, with the EditorCamera where it was before walking
+	stop () {
+		if (!this.isWalking) return;
+		
+		const canvas = this.builderScene.canvas;
+		window.removeEventListener('keydown', this.onWindowKeyDown, true);
+		canvas.removeEventListener('keydown', this.onCanvasKeyDown);
+		canvas.removeEventListener('pointerdown', this.onCanvasPointerDown);
+		if (this.scene.getEngine().isPointerLock) this.scene.getEngine().exitPointerlock();
+		
+		this.scene.onBeforeRenderObservable.remove(this.fallObserver);
+		this.fallObserver = null;
+		
+		this.camera.dispose();
+		this.camera = null;
+		
+		this.scene.gravity = this.savedGravity;
+		this.restoreCollisions();
+		
+		const editorCamera = this.om.cameraManager.editorCamera;
+		const state = this.savedEditorState;
+		this.scene.stopAnimation(editorCamera);
+		editorCamera.alpha = state.alpha;
+		editorCamera.beta = state.beta;
+		editorCamera.radius = state.radius;
+		editorCamera.setTarget(state.target);
+		this.savedEditorState = null;
+		
+		this.om.viewportManager.update();
+		if (this.onChange) this.onChange(false);
+	}
+	
+	createWalkCamera (position) {
+		const camera = new BABYLON.UniversalCamera('WalkCamera', position.clone(), this.scene);
+		camera.fov = this.om.cameraManager.editorCamera.fov;
+		camera.minZ = 0.05;
+		
+		camera.keysUp = KEYS_FORWARD;
+		camera.keysDown = KEYS_BACK;
+		camera.keysLeft = KEYS_LEFT;
+		camera.keysRight = KEYS_RIGHT;
+		camera.keysUpward = [];
+		camera.keysDownward = [];
+		// FreeCamera input moves speed * sqrt(10) / (1 - inertia) units per second
+		camera.speed = this.speed * (1 - camera.inertia) / Math.sqrt(10);
+		
+		// The collision ellipsoid hangs below the eye, so its bottom touches the floor
+		camera.applyGravity = true;
+		camera.checkCollisions = true;
+		camera.ellipsoid = new BABYLON.Vector3(0.3, this.eyeHeight / 2, 0.3);
+		
+		camera.attachControl(this.builderScene.canvas, true);
+		return camera;
+	}
+	
+	// Eye position above the highest surface under the editor view's target
+	findStartPosition () {
+		const editorCamera = this.om.cameraManager.editorCamera;
+		const target = editorCamera.target;
+		const top = Math.max(editorCamera.position.y, target.y) + this.eyeHeight;
+		
+		const ray = new BABYLON.Ray(new BABYLON.Vector3(target.x, top, target.z), BABYLON.Vector3.Down(), top - FALL_LIMIT);
+		const pick = this.scene.pickWithRay(ray, (mesh) => mesh.checkCollisions && mesh.isEnabled());
+		const floor = pick.hit ? pick.pickedPoint.y : 0;
+		
+		// A little above the floor so the walker does not start inside it
+		return new BABYLON.Vector3(target.x, floor + this.eyeHeight + 0.05, target.z);
+	}
+	
+	// --- Collisions ---
+	
+	// The ground and the full hierarchies of placed assets (lights and cameras are editor markers)
+	enableCollisions () {
+		const meshes = [this.builderScene.groundMesh];
+		this.om.placedObjects.forEach(obj => {
+			if (!obj || obj.type === 'light' || obj.type === 'camera') return;
+			const root = this.om.findMeshById(obj.id);
+			if (root) meshes.push(root, ...root.getChildMeshes(false));
+		});
+		
+		this.collisionStates = meshes.filter(Boolean).map(mesh => ({ mesh, checkCollisions: mesh.checkCollisions }));
+		this.collisionStates.forEach(s => { s.mesh.checkCollisions = true; });
+	}
+	
+	restoreCollisions () {
+		this.collisionStates.forEach(s => {
+			if (!s.mesh.isDisposed()) s.mesh.checkCollisions = s.checkCollisions;
+		});
+		this.collisionStates = [];
+	}
+}
@@ -0,0 +1,67 @@
+// Client for the map library endpoints served by the dev server (see webpack.config.js).
+// Maps are stored as maps/<name>.json with an optional maps/<name>.png thumbnail.
+
+async function request(url, options = {}) {
+	const response = await fetch(url, options);
+	if (!response.ok) {
+		const message = await response.text();
+		const error = new Error(message || `Request failed (${response.status})`);
+		error.status = response.status;
+		throw error;
+	}
+	return response;
+}
+
+function postJSON(url, body) {
+	return request(url, {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify(body)
+	});
+}
+
+/**
+ * Lists the maps in the library, most recently modified first
+ * @returns {Promise<Array<{name: string, modified: string, size: number, hasThumbnail: boolean}>>}
+ */
+export async function listMaps() {
+	const response = await request('/maps/list');
+	return response.json();
+}
+
+export async function loadMap(name) {
+	const response = await request(`/maps/load?name=${encodeURIComponent(name)}`);
+	return response.json();
+}
+
+/**
+ * Writes a map to the library.
+ * Rejects with error.status === 409 if the name is taken and overwrite is false.
+ * @param {string} name - Map name (also the file name)
+ * @param {Object} data - Map data from ObjectManager.getMapData()
+ * @param {string|null} thumbnail - PNG data URL
+ * @param {boolean} overwrite - Replace an existing map with the same name
+ */
+export async function saveMap(name, data, thumbnail, overwrite) {
+	const response = await postJSON('/maps/save', { name, data, thumbnail, overwrite: !!overwrite });
+	return response.json();
+}
+
+export async function renameMap(name, newName) {
+	await postJSON('/maps/rename', { name, newName });
+}
+
+export async function deleteMap(name) {
+	await postJSON('/maps/delete', { name });
+}
+
+// The modified date busts the browser cache after a map is saved again
+export function getMapThumbnailUrl(map) {
+	return `/maps/thumbnail?name=${encodeURIComponent(map.name)}&v=${encodeURIComponent(map.modified)}`;
+}
+
+export function isValidMapName(name) {
+	return /^[\w\- .]+$/.test(name) && !name.startsWith('.');
+}
@@ -0,0 +1,222 @@
+// Map schema versioning.
+// Every map written by ObjectManager.getMapData() carries a `version` stamp.
+// On load, migrateMapData() upgrades older maps one version at a time until they
+// match MAP_VERSION, so saved JSON files keep working as the format changes.
+//
+// To change the format: bump MAP_VERSION and append a migration whose `from`
+// is the previous version. Never edit a migration that has already shipped.
+
+export const MAP_VERSION = 10;
+
+// Maps saved before the version stamp existed are treated as version 1
+const LEGACY_VERSION = 1;
+
+// Same location the loader uses for generated thumbnails
+const THUMBNAIL_ROOT = 'assets/cache/';
+
+const MIGRATIONS = [
+	{
+		id: 'add-groups-and-flags',
+		from: 1,
+		to: 2,
+		migrate: (data) => {
+			if (!Array.isArray(data.assets)) data.assets = [];
+			if (!Array.isArray(data.groups)) data.groups = [];
+			
+			data.assets.forEach(obj => {
+				if (!obj.type) obj.type = 'mesh';
+				if (obj.isLocked === undefined) obj.isLocked = false;
+				if (obj.isVisible === undefined) obj.isVisible = true;
+			});
+		}
+	},
+	{
+		id: 'file-references-to-asset-store',
+		from: 2,
+		to: 3,
+		migrate: (data) => {
+			// Objects used to reference their GLB directly. Since v3 they point at an
+			// entry in the map's asset store instead.
+			if (!Array.isArray(data.assetStore)) data.assetStore = [];
+			
+			data.assets.forEach(obj => {
+				if (obj.type === 'light' || obj.assetName) return;
+				if (obj.file) {
+					obj.assetName = resolveStoreEntryForFile(data.assetStore, obj.file);
+					delete obj.file;
+				}
+			});
+		}
+	},
+	{
+		id: 'repair-duplicated-objects',
+		from: 3,
+		to: 4,
+		migrate: (data, report) => {
+			// OperationManager.duplicateSelection used to write `file` (usually undefined)
+			// instead of `assetName`, and duplicated lights without their `kind`.
+			data.assets.forEach(obj => {
+				if (obj.type === 'light') {
+					if (!obj.kind) {
+						obj.kind = 'point';
+						if (obj.intensity === undefined) obj.intensity = 0.5;
+						if (!obj.color) obj.color = '#ffffff';
+						if (!obj.specularColor) obj.specularColor = '#ffffff';
+						if (obj.castShadows === undefined) obj.castShadows = false;
+						obj.direction = null;
+					}
+					delete obj.file;
+					return;
+				}
+				
+				if (!obj.assetName) {
+					if (obj.file) {
+						obj.assetName = resolveStoreEntryForFile(data.assetStore, obj.file);
+					} else {
+						obj.assetName = guessAssetNameFromCopy(data.assetStore, obj.name);
+					}
+					
+					if (!obj.assetName) {
+						report.warnings.push(`Could not determine the asset of '${obj.name}'.`);
+					}
+				}
+				delete obj.file;
+			});
+		}
+	},
+	{
+		id: 'add-selection-sets',
+		from: 4,
+		to: 5,
+		migrate: (data) => {
+			// Named selection sets: { id, name, objectIds }
+			if (!Array.isArray(data.selectionSets)) data.selectionSets = [];
+		}
+	},
+	{
+		id: 'add-prefabs',
+		from: 5,
+		to: 6,
+		migrate: (data) => {
+			// Prefabs: { id, name, members: [{ key, data }] }; instances are groups with a prefabId
+			if (!Array.isArray(data.prefabs)) data.prefabs = [];
+		}
+	},
+	{
+		id: 'add-group-parents',
+		from: 6,
+		to: 7,
+		migrate: (data) => {
+			// Groups nest through parentId; older maps only had top level groups
+			data.groups.forEach(group => {
+				if (group.parentId === undefined) group.parentId = null;
+			});
+		}
+	},
+	{
+		id: 'add-outliner-order',
+		from: 7,
+		to: 8,
+		migrate: (data) => {
+			// Group and object ids in the order arranged by hand in the tree view
+			if (!Array.isArray(data.outlinerOrder)) data.outlinerOrder = [];
+		}
+	},
+	{
+		id: 'add-scene-cameras',
+		from: 8,
+		to: 9,
+		migrate: () => {
+			// Scene cameras are placed objects with type 'camera' and a vertical fov in degrees.
+			// Older maps have none; the version bump keeps older editors from loading them as meshes.
+		}
+	},
+	{
+		id: 'add-camera-bookmarks',
+		from: 9,
+		to: 10,
+		migrate: (data) => {
+			// Editor camera bookmarks: { id, name, alpha, beta, radius, target: [x, y, z] }
+			if (!Array.isArray(data.cameraBookmarks)) data.cameraBookmarks = [];
+		}
+	}
+];
+
+/**
+ * Upgrades map data to the current schema.
+ * The input is not modified; a migrated copy is returned.
+ * @param {Object} input - Parsed map JSON
+ * @returns {{data: Object, applied: Array<Object>, warnings: Array<string>}}
+ * @throws {Error} If the map was saved by a newer editor than this one
+ */
+export function migrateMapData(input) {
+	const data = JSON.parse(JSON.stringify(input || {}));
+	const report = { applied: [], warnings: [] };
+	
+	let version = typeof data.version === 'number' ? data.version : LEGACY_VERSION;
+	
+	if (version > MAP_VERSION) {
+		throw new Error(`This map was saved with format version ${version}, but this editor only supports up to version ${MAP_VERSION}. Please update the editor to open it.`);
+	}
+	
+	if (!Array.isArray(data.migrations)) data.migrations = [];
+	
+	while (version < MAP_VERSION) {
+		const migration = MIGRATIONS.find(m => m.from === version);
+		if (!migration) {
+			throw new Error(`No migration available from map version ${version}.`);
+		}
+		
+		migration.migrate(data, report);
+		
+		const entry = {
+			id: migration.id,
+			from: migration.from,
+			to: migration.to,
+			appliedAt: new Date().toISOString()
+		};
+		report.applied.push(entry);
+		data.migrations.push(entry);
+		
+		version = migration.to;
+	}
+	
+	data.version = version;
+	
+	return { data, applied: report.applied, warnings: report.warnings };
+}
+
+// Returns the store entry name for a GLB file, adding an entry if needed
+function resolveStoreEntryForFile(assetStore, file) {
+	const existing = assetStore.find(def => def.file === file);
+	if (existing) return existing.name;
+	
+	const baseName = file.split('/').pop().replace(/\.glb$/i, '');
+	let name = baseName;
+	let index = 2;
+	while (assetStore.some(def => def.name === name)) {
+		name = `${baseName}_${index++}`;
+	}
+	
+	assetStore.push({
+		name: name,
+		file: file,
+		thumbnail: THUMBNAIL_ROOT + file.replace(/\.glb$/i, '.png')
+	});
+	
+	return name;
+}
+
+// Old duplicates were named "<first name segment>_copy_<n>"; match that segment
+// against the store and only accept an unambiguous result.
+function guessAssetNameFromCopy(assetStore, objectName) {
+	if (!objectName) return null;
+	
+	const match = objectName.match(/^(.*)_copy_\d+$/);
+	if (!match) return null;
+	
+	const prefix = match[1];
+	const candidates = assetStore.filter(def => def.name === prefix || def.name.split('_')[0] === prefix);
+	
+	return candidates.length === 1 ? candidates[0].name : null;
+}
@@ -8,6 +8,20 @@ import { OperationManager } from './managers/operation-manager';
 import { SnapManager } from './managers/snap-manager';
 import { LightManager } from './managers/light-manager';
 import { AssetManager } from './managers/asset-manager';
+import { ExportManager } from './managers/export-manager';
+import { SelectionManager } from './managers/selection-manager';
+import { SelectionSetManager } from './managers/selection-set-manager';
+import { PivotManager } from './managers/pivot-manager';
+import { ArrayManager } from './managers/array-manager';
+import { ScatterManager } from './managers/scatter-manager';
+import { PrefabManager } from './managers/prefab-manager';
+import { OutlinerManager } from './managers/outliner-manager';
+import { CameraManager } from './managers/camera-manager';
+import { ViewportManager } from './managers/viewport-manager';
+import { CameraBookmarkManager } from './managers/camera-bookmark-manager';
+import { WalkManager } from './managers/walk-manager';
+import { MAP_VERSION, migrateMapData } from './map-migrations';
+import { addSnapshot, listSnapshots, getSnapshotData, pruneSnapshots } from './autosave-history';
 
 const LS_AUTOSAVE_KEY = 'builder_autosave_map';
 const LS_SELECTION_KEY = 'builder_selection_state';
@@ -20,7 +34,12 @@ export class ObjectManager {
 		// State
 		this.placedObjects = [];
 		this.groups = [];
+		this.selectionSets = []; // Named, non-exclusive lists of object ids
+		this.prefabs = []; // Composites saved from groups, placed like store assets
+		this.outlinerOrder = []; // Group and object ids in the order arranged in the tree
+		this.cameraBookmarks = []; // Named editor camera positions
 		this.selectedMeshes = [];
+		this.migrationLog = []; // Schema migrations applied to the current map
 		this.selectionProxy = null;
 		
 		// This now refers to the Asset Name in the store, not the file path
@@ -36,6 +55,9 @@ export class ObjectManager {
 		this._gridSize = 2.5;
 		this.defaultYOffset = 0;
 		this.autoSaveEnabled = true;
+		this.autoSaveMaxSnapshots = 20;
+		this.autoSaveMaxAgeDays = 7;
+		this.lastSnapshotJson = null; // Last map state written to the snapshot history
 		this.cursorIncrement = 0.05;
 		
 		this.posStep = 0.1;
@@ -47,16 +69,31 @@ export class ObjectManager {
 		this.onListChange = null;
 		this.onAssetSelectionChange = null;
 		this.onStoreChange = null;
+		this.onSelectionSetsChange = null;
+		this.onCameraBookmarksChange = null;
 		
 		// Managers
+		// Cameras first: the EditorCamera has to exist before gizmos and tools use the scene
+		this.cameraManager = new CameraManager(this);
 		this.undoRedo = new UndoRedoManager(this);
 		this.gizmoController = new GizmoController(this);
+		this.viewportManager = new ViewportManager(this);
+		this.cameraBookmarkManager = new CameraBookmarkManager(this);
+		this.walkManager = new WalkManager(this);
 		this.groupManager = new GroupManager(this);
 		this.alignmentManager = new AlignmentManager(this);
 		this.propertyManager = new PropertyManager(this);
 		this.operationManager = new OperationManager(this);
 		this.snapManager = new SnapManager(this);
 		this.lightManager = new LightManager(this);
+		this.exportManager = new ExportManager(this);
+		this.selectionManager = new SelectionManager(this);
+		this.selectionSetManager = new SelectionSetManager(this);
+		this.pivotManager = new PivotManager(this);
+		this.arrayManager = new ArrayManager(this);
+		this.scatterManager = new ScatterManager(this);
+		this.prefabManager = new PrefabManager(this);
+		this.outlinerManager = new OutlinerManager(this);
 		
 		// Initialize Asset Manager
 		this.assetManager = new AssetManager(this.scene);
@@ -72,12 +109,37 @@ export class ObjectManager {
 	get gizmoManager() { return this.gizmoController.gizmoManager; }
 	setGizmoMode(mode) { this.gizmoController.setMode(mode); }
 	updateGizmoSettings() { this.gizmoController.updateGizmoSettings(); }
+	setGridSnap(enabled) { this.gizmoController.setGridSnap(enabled); }
+	setGizmoSpace(space) { this.gizmoController.setSpace(space); }
+	setPivotMode(mode) { this.pivotManager.setPivotMode(mode); }
 	createGroup(name, objectIds) { this.groupManager.createGroup(name, objectIds); }
 	deleteGroup(groupId) { this.groupManager.deleteGroup(groupId); }
 	renameGroup(groupId, newName) { this.groupManager.renameGroup(groupId, newName); }
 	getGroupOfObject(objectId) { return this.groupManager.getGroupOfObject(objectId); }
+	moveGroupToGroup(groupId, targetGroupId) { return this.groupManager.moveGroupToGroup(groupId, targetGroupId); }
+	moveOutlinerItem(itemId, targetId, placeAfter, mode) { return this.outlinerManager.moveItem(itemId, targetId, placeAfter, mode); }
 	alignSelection(axis, mode) { this.alignmentManager.alignSelection(axis, mode); }
 	snapSelection(axis, margin) { this.alignmentManager.snapSelection(axis, margin); }
+	dropToSurface(alignToNormal) { return this.alignmentManager.dropToSurface(alignToNormal); }
+	distributeSelection(axis, mode) { return this.alignmentManager.distributeSelection(axis, mode); }
+	spaceAtInterval(axis, interval) { return this.alignmentManager.spaceAtInterval(axis, interval); }
+	distributeAlongLine(start, end) { return this.alignmentManager.distributeAlongLine(start, end); }
+	replaceAsset(ids, newAssetName, fitToBounds) { return this.operationManager.replaceAsset(ids, newAssetName, fitToBounds); }
+	createPrefabFromGroup(groupId, name) { return this.prefabManager.createPrefabFromGroup(groupId, name); }
+	applyPrefabInstance(groupId) { return this.prefabManager.applyInstance(groupId); }
+	revertPrefabInstance(groupId) { this.prefabManager.revertInstance(groupId); }
+	unlinkPrefabInstance(groupId) { this.prefabManager.unlinkInstance(groupId); }
+	renamePrefab(prefabId, newName) { this.prefabManager.renamePrefab(prefabId, newName); }
+	deletePrefab(prefabId) { this.prefabManager.deletePrefab(prefabId); }
+	setCameraView(id) { this.cameraManager.setView(id); }
+	setEditorView(name) { this.viewportManager.setView(name); }
+	toggleQuadLayout() { this.viewportManager.toggleQuadLayout(); }
+	createCameraBookmark(name) { return this.cameraBookmarkManager.createBookmark(name); }
+	updateCameraBookmark(bookmarkId) { this.cameraBookmarkManager.updateBookmark(bookmarkId); }
+	renameCameraBookmark(bookmarkId, newName) { this.cameraBookmarkManager.renameBookmark(bookmarkId, newName); }
+	deleteCameraBookmark(bookmarkId) { this.cameraBookmarkManager.deleteBookmark(bookmarkId); }
+	recallCameraBookmark(bookmarkId) { return this.cameraBookmarkManager.recallBookmark(bookmarkId); }
+	toggleWalkMode() { this.walkManager.toggle(); }
 	updateObjectProperty(id, prop, value) { this.propertyManager.updateObjectProperty(id, prop, value); }
 	updateMultipleObjectsProperty(prop, value) { this.propertyManager.updateMultipleObjectsProperty(prop, value); }
 	updateGroupTransform(prop, values) { this.propertyManager.updateGroupTransform(prop, values); }
@@ -89,20 +151,46 @@ export class ObjectManager {
 			this.propertyManager.updateVisibility(id, newState);
 		}
 	}
+	// Group toggles apply to the objects of all sub-groups too
 	toggleGroupVisibility(groupId) {
-		const group = this.groups.find(g => g.id === groupId);
-		if (group) {
-			const anyVisible = group.objectIds.some(id => {
+		const ids = this.groupManager.getAllObjectIds(groupId);
+		if (ids.length > 0) {
+			const anyVisible = ids.some(id => {
 				const obj = this.placedObjects.find(o => o.id === id);
 				return obj && (obj.isVisible !== false);
 			});
-			this.propertyManager.updateVisibilityBatch(group.objectIds, !anyVisible);
+			this.propertyManager.updateVisibilityBatch(ids, !anyVisible);
+		}
+	}
+	toggleGroupLock(groupId) {
+		const ids = this.groupManager.getAllObjectIds(groupId);
+		if (ids.length > 0) {
+			const anyUnlocked = ids.some(id => {
+				const obj = this.placedObjects.find(o => o.id === id);
+				return obj && !obj.isLocked;
+			});
+			this.propertyManager.updateLockBatch(ids, anyUnlocked);
 		}
 	}
 	deleteSelected() { this.operationManager.deleteSelected(); }
 	duplicateSelection() { this.operationManager.duplicateSelection(); }
-	setAnchor(mesh) { this.snapManager.setAnchor(mesh); }
-	releaseAnchor() { this.snapManager.clearAnchor(); }
+	setAnchor(mesh) {
+		this.snapManager.setAnchor(mesh);
+		this.pivotManager.refresh();
+	}
+	releaseAnchor() {
+		this.snapManager.clearAnchor();
+		this.pivotManager.refresh();
+	}
+	exportGLB(fileName, options) { return this.exportManager.exportGLB(fileName, options); }
+	selectInRect(rect, mode, allowLocked) { this.selectionManager.selectInRect(rect, mode, allowLocked); }
+	selectByRule(rule) { return this.selectionManager.selectByRule(rule); }
+	createSelectionSet(name, objectIds) { return this.selectionSetManager.createSet(name, objectIds); }
+	deleteSelectionSet(setId) { this.selectionSetManager.deleteSet(setId); }
+	renameSelectionSet(setId, newName) { this.selectionSetManager.renameSet(setId, newName); }
+	addToSelectionSet(setId, objectIds) { this.selectionSetManager.addToSet(setId, objectIds); }
+	removeFromSelectionSet(setId, objectIds) { this.selectionSetManager.removeFromSet(setId, objectIds); }
+	selectSelectionSet(setId, isAdditive) { this.selectionSetManager.selectSet(setId, isAdditive); }
 	
 	/**
 	 * Focuses the camera on an object by ID
@@ -115,36 +203,90 @@ export class ObjectManager {
 		}
 	}
 	
+	// Frames the selection, or the whole scene when nothing is selected
+	frameSelection() {
+		if (this.selectedMeshes.length === 0) return this.frameAll();
+		return this.builderScene.frameMeshes(this.selectedMeshes);
+	}
+	
+	// Frames all visible objects; an empty scene gets the default view
+	frameAll() {
+		const ids = this.placedObjects.filter(o => o && o.isVisible !== false).map(o => o.id);
+		if (this.builderScene.frameMeshes(ids.map(id => this.findMeshById(id)))) return true;
+		
+		this.builderScene.resetCamera();
+		return false;
+	}
+	
+	// Frames a group and its sub-groups
+	frameGroup(groupId) {
+		const ids = this.groupManager.getAllObjectIds(groupId);
+		return this.builderScene.frameMeshes(ids.map(id => this.findMeshById(id)));
+	}
+	
 	// --- Asset Store Logic ---
 	
 	async addAssetToStore(name, file, thumbnail) {
+		const isNew = !this.assetManager.hasAsset(name);
 		await this.assetManager.addToStore(name, file, thumbnail);
+		
+		if (isNew && this.assetManager.hasAsset(name)) {
+			this.undoRedo.add({ type: 'STORE_ADD', data: { name, file, thumbnail } });
+		}
 		if (this.onStoreChange) this.onStoreChange();
 	}
 	
 	removeAssetFromStore(assetName) {
+		const asset = this.assetManager.getAllAssets().find(a => a.name === assetName);
+		if (!asset) return;
+		
+		const oldGroups = this.groupManager.cloneGroups();
+		const oldSets = this.selectionSetManager.cloneSets();
+		
 		// 1. Remove all placed instances of this asset
-		const objectsToRemove = this.placedObjects
-			.filter(o => o.assetName === assetName)
-			.map(o => o.id);
+		const objectsToRemove = this.placedObjects.filter(o => o.assetName === assetName);
+		const removedIds = objectsToRemove.map(o => o.id);
 		
-		objectsToRemove.forEach(id => this.removeObjectById(id));
+		removedIds.forEach(id => this.removeObjectById(id));
+		this.groupManager.cleanupDeletedObjects(removedIds);
+		this.selectionSetManager.cleanupDeletedObjects(removedIds);
 		
 		// 2. Remove from Asset Manager
-		this.assetManager.removeAsset(assetName);
+		this.removeAssetDefinition(assetName);
 		
-		// 3. Update UI
+		// 3. Record (objects and groups are restored together with the asset on undo)
+		this.undoRedo.add({
+			type: 'STORE_REMOVE',
+			data: {
+				asset: asset,
+				objects: objectsToRemove,
+				groups: { oldGroups: oldGroups, newGroups: this.groupManager.cloneGroups() },
+				selectionSets: { oldSets: oldSets, newSets: this.selectionSetManager.cloneSets() }
+			}
+		});
+		
+		// 4. Update UI
+		if (this.onListChange) this.onListChange();
 		if (this.onStoreChange) this.onStoreChange();
 	}
 	
+	// Removes a store entry without touching placed objects or history
+	removeAssetDefinition(assetName) {
+		if (this.activeAssetName === assetName) this.setActiveAsset(null);
+		this.assetManager.removeAsset(assetName);
+	}
+	
 	clearAll() {
 		// Fix: Directly load an empty map structure.
 		// Previous implementation called clearScene() which captured the current store
 		// and re-loaded it, causing a race condition with assetManager.clear().
-		this.loadMapData({ assetStore: [], assets: [], groups: [] });
+		this.loadMapData({ version: MAP_VERSION, assetStore: [], assets: [], groups: [] });
 	}
 	
 	setActiveAsset(assetName) {
+		// No placing while walking
+		if (assetName && this.walkManager.isWalking) return;
+		
 		if (this.activeAssetName === assetName || assetName === null) {
 			this.activeAssetName = null;
 			this.clearGhost();
@@ -162,8 +304,10 @@ export class ObjectManager {
 	loadGhostAsset(assetName) {
 		this.clearGhost();
 		
-		// Get template from store
-		const newRoot = this.assetManager.instantiate(assetName);
+		// Get template from store (prefabs build a composite of their members)
+		const newRoot = this.prefabManager.isPrefabName(assetName)
+			? this.prefabManager.createGhost(assetName)
+			: this.assetManager.instantiate(assetName);
 		if (!newRoot) return;
 		
 		this.ghostMesh = newRoot;
@@ -330,8 +474,11 @@ export class ObjectManager {
 		});
 		
 		if (changes.length > 0) {
+			// Held arrow keys on the same selection merge into one step
 			this.undoRedo.add({
 				type: 'TRANSFORM',
+				label: `Nudged ${this.undoRedo.describeObjects(this.undoRedo.getObjectNames(changes.map(c => c.id)))}`,
+				coalesceKey: `nudge:${changes.map(c => c.id).sort().join(',')}`,
 				data: changes
 			});
 			
@@ -346,6 +493,11 @@ export class ObjectManager {
 	
 	// --- Add Asset ---
 	async addAsset(assetName, explicitPosition = null) {
+		if (this.prefabManager.isPrefabName(assetName)) {
+			this.prefabManager.placeInstance(assetName, explicitPosition);
+			return;
+		}
+		
 		try {
 			// Instantiate from store
 			const root = this.assetManager.instantiate(assetName);
@@ -547,21 +699,27 @@ export class ObjectManager {
 			// Let's select none to be safe.
 			this.selectObject(null, false);
 			
-			this.undoRedo.add({ type: 'ADD', data: addedObjectsData });
-			
-			// Create a new group for the grid
-			const objectIds = addedObjectsData.map(o => o.id);
-			const baseGroupName = `${assetName}_grid`;
-			let groupIndex = 1;
-			
-			// Find unique name
-			while (this.groups.some(g => g.name === `${baseGroupName}_${groupIndex}`)) {
-				groupIndex++;
+			// The objects and their group form a single undo step
+			this.undoRedo.begin(`Added ${rows}x${cols} grid of ${assetName}`);
+			try {
+				this.undoRedo.add({ type: 'ADD', data: addedObjectsData });
+				
+				// Create a new group for the grid
+				const objectIds = addedObjectsData.map(o => o.id);
+				const baseGroupName = `${assetName}_grid`;
+				let groupIndex = 1;
+				
+				// Find unique name
+				while (this.groups.some(g => g.name === `${baseGroupName}_${groupIndex}`)) {
+					groupIndex++;
+				}
+				const groupName = `${baseGroupName}_${groupIndex}`;
+				
+				// createGroup handles selection of the group items
+				this.createGroup(groupName, objectIds);
+			} finally {
+				this.undoRedo.commit();
 			}
-			const groupName = `${baseGroupName}_${groupIndex}`;
-			
-			// createGroup handles selection of the group items
-			this.createGroup(groupName, objectIds);
 			
 			if (this.onListChange) this.onListChange();
 		} catch (e) {
@@ -603,6 +761,35 @@ export class ObjectManager {
 		if (this.onListChange) this.onListChange();
 	}
 	
+	// Places a scene camera where the EditorCamera is, looking the same way
+	addCamera() {
+		const editorCamera = this.cameraManager.editorCamera;
+		const id = BABYLON.Tools.RandomId();
+		const existingCameras = this.placedObjects.filter(o => o.type === 'camera');
+		const name = `Camera_${existingCameras.length + 1}`;
+		
+		const { mesh, camera } = this.cameraManager.createCamera(id, editorCamera.position, name);
+		mesh.lookAt(editorCamera.target);
+		mesh.metadata = { id: id, isObject: true, type: 'camera' };
+		
+		const objData = {
+			id: id,
+			name: name,
+			type: 'camera',
+			isLocked: false,
+			isVisible: true,
+			position: mesh.position.asArray(),
+			rotation: mesh.rotationQuaternion.toEulerAngles().asArray(),
+			scaling: [1, 1, 1],
+			fov: Math.round(BABYLON.Tools.ToDegrees(camera.fov))
+		};
+		
+		this.placedObjects.push(objData);
+		this.selectObject(mesh, false);
+		this.undoRedo.add({ type: 'ADD', data: [objData] });
+		if (this.onListChange) this.onListChange();
+	}
+	
 	removeObjectById(id, clearSelection = true) {
 		const mesh = this.findMeshById(id);
 		if (mesh && this.snapManager.anchorMesh === mesh) {
@@ -610,7 +797,7 @@ export class ObjectManager {
 		}
 		
 		if (mesh) {
-			if (mesh.metadata && mesh.metadata.type !== 'light') {
+			if (mesh.metadata && mesh.metadata.type !== 'light' && mesh.metadata.type !== 'camera') {
 				const descendants = mesh.getChildMeshes(false);
 				descendants.push(mesh);
 				descendants.forEach(m => this.builderScene.unregisterShadowCaster(m));
@@ -694,6 +881,18 @@ export class ObjectManager {
 			if (this.onListChange) this.onListChange();
 			return Promise.resolve();
 			
+		} else if (data.type === 'camera') {
+			const { mesh } = this.cameraManager.createCamera(data.id, BABYLON.Vector3.FromArray(data.position), data.name, data.fov);
+			mesh.metadata = { id: data.id, isObject: true, type: 'camera' };
+			
+			if (data.scaling) mesh.scaling = BABYLON.Vector3.FromArray(data.scaling);
+			if (data.rotation) mesh.rotationQuaternion = BABYLON.Quaternion.FromEulerVector(BABYLON.Vector3.FromArray(data.rotation));
+			if (data.isVisible === false) mesh.setEnabled(false);
+			
+			this.placedObjects.push(data);
+			if (this.onListChange) this.onListChange();
+			return Promise.resolve();
+			
 		} else {
 			// Mesh Object
 			const assetName = data.assetName;
@@ -733,24 +932,15 @@ export class ObjectManager {
 	}
 	
 	selectObjectsByIds(ids) {
-		this.selectObject(null, false);
-		const meshesToSelect = [];
-		ids.forEach(id => {
-			const mesh = this.findMeshById(id);
-			if (mesh) {
-				meshesToSelect.push(mesh);
-			}
-		});
-		
-		if (meshesToSelect.length > 0) {
-			this.selectObject(meshesToSelect[0], false);
-			for (let i = 1; i < meshesToSelect.length; i++) {
-				this.selectObject(meshesToSelect[i], true);
-			}
-		}
+		if (ids.length > 0 && this.walkManager.isWalking) return;
+		const meshesToSelect = ids.map(id => this.findMeshById(id)).filter(Boolean);
+		this.selectionManager.setSelection(meshesToSelect);
 	}
 	
 	selectObject(mesh, isMultiSelect) {
+		// Nothing can be selected while walking
+		if (mesh && this.walkManager.isWalking) return;
+		
 		if (mesh && mesh.parent && mesh.parent.metadata && mesh.parent.metadata.isObject) {
 			mesh = mesh.parent;
 		}
@@ -814,24 +1004,31 @@ export class ObjectManager {
 			return;
 		}
 		
-		if (this.selectedMeshes.length === 1) {
+		if (this.selectedMeshes.length === 1 && !this.pivotManager.needsProxyForSingle(this.selectedMeshes[0])) {
 			this.gizmoController.attachToMesh(this.selectedMeshes[0]);
 		} else {
 			this.selectionProxy = new BABYLON.TransformNode('selectionProxy', this.scene);
 			
-			let min = new BABYLON.Vector3(Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE);
-			let max = new BABYLON.Vector3(-Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE);
-			
-			this.selectedMeshes.forEach(m => {
-				const bounds = m.getHierarchyBoundingVectors();
-				min = BABYLON.Vector3.Minimize(min, bounds.min);
-				max = BABYLON.Vector3.Maximize(max, bounds.max);
-			});
-			
-			const center = min.add(max).scale(0.5);
-			this.selectionProxy.position = center;
+			// Pivot: anchor or 3D cursor if that mode is active, otherwise the bounds center
+			let pivot = this.pivotManager.getPivotPoint();
+			if (!pivot) {
+				let min = new BABYLON.Vector3(Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE);
+				let max = new BABYLON.Vector3(-Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE);
+				
+				this.selectedMeshes.forEach(m => {
+					const bounds = m.getHierarchyBoundingVectors();
+					min = BABYLON.Vector3.Minimize(min, bounds.min);
+					max = BABYLON.Vector3.Maximize(max, bounds.max);
+				});
+				
+				pivot = min.add(max).scale(0.5);
+			}
+			this.selectionProxy.position = pivot;
 			
-			this.selectedMeshes.forEach(m => m.setParent(this.selectionProxy));
+			// Individual origins: objects stay unparented, PivotManager applies the proxy's changes
+			if (!this.pivotManager.isIndividualOrigins()) {
+				this.selectedMeshes.forEach(m => m.setParent(this.selectionProxy));
+			}
 			this.gizmoController.attachToMesh(this.selectionProxy);
 		}
 	}
@@ -855,14 +1052,33 @@ export class ObjectManager {
 		
 		return {
 			name: mapName,
-			version: 3,
+			version: MAP_VERSION,
 			assetStore: storeDefinitions,
 			assets: this.placedObjects,
-			groups: this.groups
+			groups: this.groups,
+			selectionSets: this.selectionSets,
+			prefabs: this.prefabs,
+			outlinerOrder: this.outlinerManager.getSavedOrder(),
+			cameraBookmarks: this.cameraBookmarks,
+			migrations: this.migrationLog
 		};
 	}
 	
-	async loadMapData(data) {
+	/**
+	 * Replaces the current scene with the given map.
+	 * Older map versions are migrated first; newer versions are rejected
+	 * before anything in the scene is touched.
+	 * @param {Object} rawData - Parsed map JSON
+	 * @returns {Promise<{applied: Array<Object>, warnings: Array<string>}>} Migration report
+	 */
+	async loadMapData(rawData) {
+		const { data, applied, warnings } = migrateMapData(rawData);
+		
+		if (applied.length > 0) {
+			console.log(`[ObjectManager] Migrated map from v${applied[0].from} to v${data.version}: ${applied.map(m => m.id).join(', ')}`);
+		}
+		warnings.forEach(w => console.warn(`[ObjectManager] ${w}`));
+		
 		this.snapManager.clearAnchor();
 		
 		[...this.scene.meshes].forEach(m => {
@@ -874,10 +1090,13 @@ export class ObjectManager {
 		
 		this.placedObjects = [];
 		this.groups = data.groups || [];
+		this.selectionSetManager.setSets(data.selectionSets);
+		this.prefabManager.setPrefabs(data.prefabs);
+		this.outlinerManager.setOrder(data.outlinerOrder);
+		this.cameraBookmarkManager.setBookmarks(data.cameraBookmarks);
+		this.migrationLog = data.migrations;
 		this.selectedMeshes = [];
-		this.undoRedo.history = [];
-		this.undoRedo.historyIndex = -1;
-		if (this.undoRedo.onHistoryChange) this.undoRedo.onHistoryChange();
+		this.undoRedo.clear();
 		
 		this.selectObject(null, false);
 		
@@ -901,31 +1120,116 @@ export class ObjectManager {
 			await this.restoreObject(defaultSun);
 			await this.restoreObject(defaultAmbient);
 		}
+		
+		return { applied, warnings };
 	}
 	
 	clearScene() {
 		const currentStore = this.assetManager.getAllAssets();
-		this.loadMapData({ assetStore: currentStore, assets: [], groups: [] });
+		this.loadMapData({ version: MAP_VERSION, assetStore: currentStore, prefabs: this.prefabs, assets: [], groups: [] });
 	}
 	
-	saveToAutoSave() {
+	/**
+	 * Writes the latest state to LocalStorage and, if the map changed since the
+	 * last snapshot, records a restore point in the IndexedDB history.
+	 * @param {string} mapName - Name shown for the snapshot in the restore dialog
+	 */
+	saveToAutoSave(mapName = 'autosave') {
 		if (!this.autoSaveEnabled) return false;
 		const data = this.getMapData('autosave');
-		localStorage.setItem(LS_AUTOSAVE_KEY, JSON.stringify(data));
+		const json = JSON.stringify(data);
+		
+		try {
+			localStorage.setItem(LS_AUTOSAVE_KEY, json);
+		} catch (e) {
+			// Large maps can exceed the LocalStorage quota; the snapshot history still has them
+			console.warn('Auto-save does not fit in LocalStorage, relying on snapshot history', e);
+			localStorage.removeItem(LS_AUTOSAVE_KEY);
+		}
 		
 		const selectedIds = this.selectedMeshes.map(m => m.metadata.id);
 		localStorage.setItem(LS_SELECTION_KEY, JSON.stringify(selectedIds));
 		
+		// Only record a restore point when something changed, so idle time does not
+		// push older good states out of the history
+		if (json !== this.lastSnapshotJson) {
+			this.lastSnapshotJson = json;
+			// Pass a copy, the snapshot is written after an async thumbnail capture
+			this.recordAutoSaveSnapshot(JSON.parse(json), mapName).catch(e => {
+				console.error('Failed to store auto-save snapshot', e);
+			});
+		}
+		
 		return true;
 	}
 	
+	async recordAutoSaveSnapshot(data, mapName) {
+		let thumbnail = null;
+		try {
+			thumbnail = await this.builderScene.captureMapThumbnail();
+		} catch (e) {
+			console.warn('Could not capture snapshot thumbnail', e);
+		}
+		
+		const meta = {
+			createdAt: Date.now(),
+			mapName: mapName,
+			objectCount: data.assets.filter(a => a.type !== 'light' && a.type !== 'camera').length,
+			lightCount: data.assets.filter(a => a.type === 'light').length,
+			cameraCount: data.assets.filter(a => a.type === 'camera').length,
+			groupCount: data.groups.length,
+			thumbnail: thumbnail
+		};
+		
+		await addSnapshot(meta, data);
+		await pruneSnapshots(this.autoSaveMaxSnapshots, this.autoSaveMaxAgeDays);
+	}
+	
+	/**
+	 * Replaces the scene with an autosave snapshot.
+	 * The current state is recorded first so the restore itself can be reverted.
+	 * @param {number} snapshotId - Snapshot id from listSnapshots()
+	 * @param {string} mapName - Name of the map currently open
+	 */
+	async restoreAutoSaveSnapshot(snapshotId, mapName) {
+		const data = await getSnapshotData(snapshotId);
+		if (!data) throw new Error('This snapshot no longer exists.');
+		
+		const currentJson = JSON.stringify(this.getMapData('autosave'));
+		if (currentJson !== this.lastSnapshotJson) {
+			await this.recordAutoSaveSnapshot(JSON.parse(currentJson), mapName);
+		}
+		
+		const report = await this.loadMapData(data);
+		
+		// Make the restored state the latest autosave without adding a duplicate snapshot
+		this.lastSnapshotJson = JSON.stringify(this.getMapData('autosave'));
+		this.saveToAutoSave(mapName);
+		
+		return report;
+	}
+	
 	async loadFromAutoSave() {
-		const saved = localStorage.getItem(LS_AUTOSAVE_KEY);
+		let saved = localStorage.getItem(LS_AUTOSAVE_KEY);
+		
+		if (!saved) {
+			// Fall back to the newest snapshot (e.g. the map outgrew LocalStorage)
+			try {
+				const [latest] = await listSnapshots();
+				const data = latest ? await getSnapshotData(latest.id) : null;
+				if (data) saved = JSON.stringify(data);
+			} catch (e) {
+				console.error('Failed to read auto-save history', e);
+			}
+		}
+		
 		if (saved) {
 			try {
 				const data = JSON.parse(saved);
 				console.log('Restoring auto-saved map...');
 				await this.loadMapData(data);
+				// This state is already the newest snapshot
+				this.lastSnapshotJson = JSON.stringify(this.getMapData('autosave'));
 				
 				const savedSelection = localStorage.getItem(LS_SELECTION_KEY);
 				if (savedSelection) {
@@ -943,7 +1247,7 @@ export class ObjectManager {
 				console.error('Failed to load auto-save', e);
 			}
 		} else {
-			this.loadMapData({ assets: [], groups: [] });
+			this.loadMapData({ version: MAP_VERSION, assets: [], groups: [] });
 		}
 	}
 }
@@ -1,4 +1,5 @@
 import * as BABYLON from '@babylonjs/core';
+import { DEFAULT_CAMERA_FOV } from './managers/camera-manager';
 
 export class PropertyPanel {
 	constructor (objectManager) {
@@ -15,6 +16,10 @@ export class PropertyPanel {
 		this.lightDirProps = document.getElementById('light-direction-props');
 		this.rowGroundColor = document.getElementById('rowGroundColor');
 		
+		// Camera Container
+		this.cameraProps = document.getElementById('camera-props');
+		this.btnViewThroughCamera = document.getElementById('btnViewThroughCamera');
+		
 		// Gizmo Buttons
 		this.gizmoBtns = {
 			pos: document.getElementById('btnGizmoPos'),
@@ -61,12 +66,18 @@ export class PropertyPanel {
 				x: getEl('lightDirX'),
 				y: getEl('lightDirY'),
 				z: getEl('lightDirZ')
-			}
+			},
+			// Camera Inputs
+			fov: getEl('propCameraFov')
 		};
 		
 		// Snap Margin Input
 		this.inputSnapMargin = getEl('inputSnapMargin');
 		
+		// Distribute Controls
+		this.inputDistributeInterval = getEl('inputDistributeInterval');
+		this.btnDistributeLine = getEl('btnDistributeLine');
+		
 		// Alignment Buttons
 		this.alignButtons = {
 			xMin: getEl('btnAlignXMin'),
@@ -222,6 +233,22 @@ export class PropertyPanel {
 			}
 		});
 		
+		// Camera Properties
+		if (this.inputs.fov) {
+			this.inputs.fov.onchange = (e) => {
+				const fov = parseFloat(e.target.value);
+				if (this.currentObjectId && !isNaN(fov)) {
+					this.objectManager.updateObjectProperty(this.currentObjectId, 'fov', Math.min(120, Math.max(10, fov)));
+				}
+			};
+		}
+		
+		if (this.btnViewThroughCamera) {
+			this.btnViewThroughCamera.onclick = () => {
+				if (this.currentObjectId) this.objectManager.setCameraView(this.currentObjectId);
+			};
+		}
+		
 		// Alignment
 		if (this.alignButtons.xMin) this.alignButtons.xMin.onclick = () => this.objectManager.alignSelection('x', 'min');
 		if (this.alignButtons.xCenter) this.alignButtons.xCenter.onclick = () => this.objectManager.alignSelection('x', 'center');
@@ -240,6 +267,45 @@ export class PropertyPanel {
 		if (this.snapButtons.y) this.snapButtons.y.onclick = () => this.objectManager.snapSelection('y', parseFloat(this.inputSnapMargin.value) || 0);
 		if (this.snapButtons.z) this.snapButtons.z.onclick = () => this.objectManager.snapSelection('z', parseFloat(this.inputSnapMargin.value) || 0);
 		
+		// Distribute (Centers / Gaps / Interval per axis)
+		['x', 'y', 'z'].forEach(axis => {
+			const A = axis.toUpperCase();
+			const btnCenters = document.getElementById(`btnDist${A}Centers`);
+			const btnGaps = document.getElementById(`btnDist${A}Gaps`);
+			const btnInterval = document.getElementById(`btnDist${A}Interval`);
+			
+			if (btnCenters) btnCenters.onclick = () => this.objectManager.distributeSelection(axis, 'centers');
+			if (btnGaps) btnGaps.onclick = () => this.objectManager.distributeSelection(axis, 'gaps');
+			if (btnInterval) btnInterval.onclick = () => this.objectManager.spaceAtInterval(axis, parseFloat(this.inputDistributeInterval.value) || 0);
+		});
+		
+		if (this.btnDistributeLine) {
+			const defaultLabel = this.btnDistributeLine.innerText;
+			const resetLabel = () => {
+				this.btnDistributeLine.innerText = defaultLabel;
+				this.btnDistributeLine.classList.remove('active');
+			};
+			
+			this.btnDistributeLine.onclick = () => {
+				const scene = this.objectManager.builderScene;
+				if (scene.pointPick) {
+					scene.cancelPointPick();
+					return;
+				}
+				
+				this.btnDistributeLine.innerText = 'Click start point...';
+				this.btnDistributeLine.classList.add('active');
+				scene.pickPoints(2, {
+					onPoint: () => { this.btnDistributeLine.innerText = 'Click end point...'; },
+					onDone: (points) => {
+						resetLabel();
+						this.objectManager.distributeAlongLine(points[0], points[1]);
+					},
+					onCancel: resetLabel
+				});
+			};
+		}
+		
 		// Grouping
 		if (this.btnCreateGroup) {
 			this.btnCreateGroup.onclick = () => {
@@ -379,6 +445,14 @@ export class PropertyPanel {
 				this.lightProps.style.display = 'none';
 			}
 			
+			// Camera Properties
+			if (data.type === 'camera') {
+				this.cameraProps.style.display = 'block';
+				if (this.inputs.fov) this.inputs.fov.value = data.fov !== undefined ? data.fov : DEFAULT_CAMERA_FOV;
+			} else {
+				this.cameraProps.style.display = 'none';
+			}
+			
 		} else {
 			// MULTI SELECTION
 			this.panel.style.visibility = 'visible';
@@ -387,6 +461,7 @@ export class PropertyPanel {
 			this.singleView.style.display = 'none';
 			this.multiView.style.display = 'block';
 			this.lightProps.style.display = 'none'; // Hide light props in multi-select
+			this.cameraProps.style.display = 'none';
 			
 			this.currentObjectId = null;
 			
@@ -0,0 +1,112 @@
+// Floating panel for the scatter brush. The brush is active while the panel is open.
+export class ScatterPanel {
+	constructor (objectManager, builderScene) {
+		this.manager = objectManager;
+		this.scene = builderScene;
+		this.scatterManager = objectManager.scatterManager;
+		this.panel = document.getElementById('scatter-panel');
+		this.assetList = document.getElementById('scatter-asset-list');
+		this.toggleButton = document.getElementById('btnScatterBrush');
+		
+		this.isVisible = false;
+		
+		if (!this.panel) return;
+		
+		this.setupUI();
+		this.renderAssetList();
+	}
+	
+	setupUI () {
+		if (this.toggleButton) {
+			this.toggleButton.onclick = () => {
+				if (this.isVisible) this.close();
+				else this.open();
+			};
+		}
+		
+		document.getElementById('btnCloseScatter').onclick = () => this.close();
+		
+		this.panel.querySelectorAll('input').forEach(input => {
+			input.addEventListener('change', () => this.applySettings());
+		});
+	}
+	
+	open () {
+		// Clicks paint now, so placement and box selection are switched off
+		if (this.manager.activeAssetName) this.manager.setActiveAsset(null);
+		if (this.scene.isBoxSelectMode) this.scene.setBoxSelectMode(false);
+		
+		this.isVisible = true;
+		this.panel.style.display = 'flex';
+		if (this.toggleButton) this.toggleButton.classList.add('active');
+		this.scene.canvas.classList.add('brush-mode');
+		
+		this.applySettings();
+		this.scatterManager.setActive(true);
+	}
+	
+	close () {
+		if (!this.isVisible) return;
+		
+		this.isVisible = false;
+		this.panel.style.display = 'none';
+		if (this.toggleButton) this.toggleButton.classList.remove('active');
+		this.scene.canvas.classList.remove('brush-mode');
+		
+		this.scatterManager.setActive(false);
+	}
+	
+	// Checkbox list of the store assets; keeps the checked state across store changes
+	renderAssetList () {
+		if (!this.assetList) return;
+		
+		const checked = this.scatterManager.settings.assetNames;
+		this.assetList.innerHTML = '';
+		
+		const assets = this.manager.assetManager.getAllAssets();
+		if (assets.length === 0) {
+			const empty = document.createElement('div');
+			empty.className = 'empty-state';
+			empty.innerText = 'No assets in store.';
+			this.assetList.appendChild(empty);
+		}
+		
+		assets.forEach(asset => {
+			const label = document.createElement('label');
+			const checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.value = asset.name;
+			checkbox.checked = checked.includes(asset.name);
+			checkbox.onchange = () => this.applySettings();
+			
+			label.appendChild(checkbox);
+			label.appendChild(document.createTextNode(` ${asset.name}`));
+			this.assetList.appendChild(label);
+		});
+		
+		this.applySettings();
+	}
+	
+	applySettings () {
+		const num = (id, fallback) => {
+			const value = parseFloat(document.getElementById(id).value);
+			return isNaN(value) ? fallback : value;
+		};
+		
+		const scaleMin = Math.max(0.01, num('scatterScaleMin', 1));
+		const yawMin = num('scatterYawMin', 0);
+		
+		this.scatterManager.setSettings({
+			assetNames: [...this.assetList.querySelectorAll('input:checked')].map(c => c.value),
+			radius: Math.min(25, Math.max(0.1, num('scatterRadius', 3))),
+			density: Math.min(5, Math.max(0, num('scatterDensity', 0.5))),
+			spacing: Math.max(0, num('scatterSpacing', 0)),
+			yawMin: yawMin,
+			yawMax: Math.max(yawMin, num('scatterYawMax', 360)),
+			scaleMin: scaleMin,
+			scaleMax: Math.max(scaleMin, num('scatterScaleMax', 1)),
+			alignToNormal: document.getElementById('chkScatterAlign').checked,
+			erase: document.getElementById('scatterModeErase').checked
+		});
+	}
+}
@@ -0,0 +1,141 @@
+// Lists the map's named selection sets.
+// Click recalls a set (Shift+click adds it to the current selection).
+export class SelectionSetsPanel {
+	constructor (objectManager) {
+		this.manager = objectManager;
+		this.panel = document.getElementById('selection-sets-panel');
+		this.content = document.getElementById('selection-sets-content');
+		
+		if (!this.panel) return;
+		
+		this.setupUI();
+		
+		// Subscribe to manager events
+		this.manager.onSelectionSetsChange = () => this.render();
+		const originalSelectionChange = this.manager.onSelectionChange;
+		this.manager.onSelectionChange = (data) => {
+			if (originalSelectionChange) originalSelectionChange(data);
+			this.updateButtons();
+		};
+		
+		this.render();
+	}
+	
+	setupUI () {
+		const btnCreate = document.getElementById('btnCreateSelectionSet');
+		if (btnCreate) {
+			btnCreate.onclick = () => {
+				const ids = this.getSelectedIds();
+				if (ids.length === 0) return;
+				
+				const name = prompt('Selection set name:', `Set_${this.manager.selectionSets.length + 1}`);
+				if (name === null) return;
+				this.manager.createSelectionSet(name.trim(), ids);
+			};
+		}
+	}
+	
+	getSelectedIds () {
+		return this.manager.selectedMeshes.map(m => m.metadata.id);
+	}
+	
+	updateButtons () {
+		const hasSelection = this.manager.selectedMeshes.length > 0;
+		const btnCreate = document.getElementById('btnCreateSelectionSet');
+		if (btnCreate) btnCreate.disabled = !hasSelection;
+		this.content.querySelectorAll('.selection-set-edit').forEach(btn => {
+			btn.disabled = !hasSelection;
+		});
+	}
+	
+	render () {
+		if (!this.panel) return;
+		
+		this.content.innerHTML = '';
+		
+		if (this.manager.selectionSets.length === 0) {
+			const empty = document.createElement('div');
+			empty.className = 'empty-state';
+			empty.innerText = 'No selection sets.';
+			this.content.appendChild(empty);
+		}
+		
+		this.manager.selectionSets.forEach(set => {
+			this.content.appendChild(this.createSetItem(set));
+		});
+		
+		this.updateButtons();
+	}
+	
+	createSetItem (set) {
+		const item = document.createElement('div');
+		item.className = 'selection-set-item';
+		item.title = 'Click to select, Shift+Click to add to selection, Double-click to rename';
+		
+		const nameSpan = document.createElement('span');
+		nameSpan.className = 'selection-set-name';
+		nameSpan.innerText = set.name;
+		
+		const countSpan = document.createElement('span');
+		countSpan.className = 'selection-set-count';
+		countSpan.innerText = set.objectIds.length;
+		
+		item.onclick = (e) => this.manager.selectSelectionSet(set.id, e.shiftKey);
+		
+		// Rename on double click
+		nameSpan.ondblclick = (e) => {
+			e.stopPropagation();
+			const input = document.createElement('input');
+			input.type = 'text';
+			input.className = 'tree-rename-input';
+			input.value = set.name;
+			
+			const saveName = () => {
+				const newName = input.value.trim();
+				if (newName && newName !== set.name) {
+					this.manager.renameSelectionSet(set.id, newName);
+				} else {
+					this.render(); // Revert
+				}
+			};
+			
+			input.onclick = (ev) => ev.stopPropagation();
+			input.onblur = saveName;
+			input.onkeydown = (ev) => { if (ev.key === 'Enter') input.blur(); };
+			
+			item.replaceChild(input, nameSpan);
+			input.focus();
+		};
+		
+		// Actions (Add selection, Remove selection, Delete)
+		const actions = document.createElement('div');
+		actions.className = 'tree-group-actions';
+		
+		const createAction = (label, title, className, handler) => {
+			const btn = document.createElement('button');
+			btn.className = `btn-tree-action ${className}`;
+			btn.innerHTML = label;
+			btn.title = title;
+			btn.onclick = (e) => {
+				e.stopPropagation();
+				handler();
+			};
+			actions.appendChild(btn);
+		};
+		
+		createAction('+', 'Add Selection to Set', 'selection-set-edit', () => {
+			this.manager.addToSelectionSet(set.id, this.getSelectedIds());
+		});
+		createAction('−', 'Remove Selection from Set', 'selection-set-edit', () => {
+			this.manager.removeFromSelectionSet(set.id, this.getSelectedIds());
+		});
+		createAction('×', 'Delete Set (objects are kept)', 'delete', () => {
+			this.manager.deleteSelectionSet(set.id);
+		});
+		
+		item.appendChild(nameSpan);
+		item.appendChild(countSpan);
+		item.appendChild(actions);
+		return item;
+	}
+}
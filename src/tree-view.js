@@ -1,3 +1,5 @@
+import { SORT_MODES } from './managers/outliner-manager';
+
 export class TreeView {
 	constructor (objectManager) {
 		this.manager = objectManager;
@@ -9,6 +11,8 @@ export class TreeView {
 		this.isExpanded = false;
 		this.lastClickedIndex = -1; // For shift-click logic
 		this.collapsedGroups = new Set(); // Track collapsed state of groups
+		this.sortMode = 'name'; // One of SORT_MODES; 'manual' shows the order saved in the map
+		this.sortSelect = document.getElementById('treeSortMode');
 		
 		// Local Storage Key
 		this.LS_TREE_STATE = 'builder_tree_state';
@@ -37,6 +41,9 @@ export class TreeView {
 				if (parsed.collapsedGroups) {
 					this.collapsedGroups = new Set(parsed.collapsedGroups);
 				}
+				if (SORT_MODES.includes(parsed.sortMode)) {
+					this.sortMode = parsed.sortMode;
+				}
 			} catch (e) {
 				console.error('Failed to load tree state', e);
 			}
@@ -45,7 +52,8 @@ export class TreeView {
 	
 	saveState () {
 		const state = {
-			collapsedGroups: Array.from(this.collapsedGroups)
+			collapsedGroups: Array.from(this.collapsedGroups),
+			sortMode: this.sortMode
 		};
 		localStorage.setItem(this.LS_TREE_STATE, JSON.stringify(state));
 	}
@@ -62,6 +70,21 @@ export class TreeView {
 				this.toggleIcon.style.transform = 'rotate(0deg)';
 			}
 		};
+		
+		// Sort Mode (must not collapse the tree when clicked)
+		if (this.sortSelect) {
+			this.sortSelect.value = this.sortMode;
+			this.sortSelect.onclick = (e) => e.stopPropagation();
+			this.sortSelect.onchange = () => this.setSortMode(this.sortSelect.value);
+		}
+	}
+	
+	setSortMode (mode) {
+		if (!SORT_MODES.includes(mode)) return;
+		this.sortMode = mode;
+		if (this.sortSelect) this.sortSelect.value = mode;
+		this.saveState();
+		this.render();
 	}
 	
 	setupDragDropRoot () {
@@ -85,7 +108,9 @@ export class TreeView {
 			if (data) {
 				try {
 					const payload = JSON.parse(data);
-					if (payload && payload.id) {
+					if (payload && payload.groupId) {
+						this.manager.moveGroupToGroup(payload.groupId, null);
+					} else if (payload && payload.id) {
 						this.manager.groupManager.ungroupObject(payload.id);
 					}
 				} catch (err) {
@@ -98,22 +123,9 @@ export class TreeView {
 	render () {
 		this.content.innerHTML = '';
 		
-		// 1. Render Groups
-		this.manager.groups.forEach(group => {
-			this.renderGroup(group);
-		});
-		
-		// 2. Render Ungrouped Objects
-		const groupedIds = this.manager.groups.flatMap(g => g.objectIds);
-		// Safety check for obj existence
-		const ungroupedObjects = this.manager.placedObjects.filter(obj => obj && !groupedIds.includes(obj.id));
-		
-		// Sort alphabetically
-		ungroupedObjects.sort((a, b) => a.name.localeCompare(b.name));
-		
-		ungroupedObjects.forEach(obj => {
-			this.renderObjectItem(obj, this.content);
-		});
+		// Top level groups and ungrouped objects in the current sort order
+		// (sub-groups are rendered inside their parent)
+		this.renderEntries(null, this.content);
 		
 		// Re-apply highlights based on current selection
 		// Robust check to prevent crash if selectedMeshes contains disposed items or placedObjects has issues
@@ -127,7 +139,17 @@ export class TreeView {
 		this.highlightSelection(currentSelection);
 	}
 	
-	renderGroup (group) {
+	renderEntries (groupId, parentContainer) {
+		this.manager.outlinerManager.getEntries(groupId, this.sortMode).forEach(entry => {
+			if (entry.type === 'group') {
+				this.renderGroup(entry.item, parentContainer);
+			} else {
+				this.renderObjectItem(entry.item, parentContainer);
+			}
+		});
+	}
+	
+	renderGroup (group, parentContainer) {
 		const groupContainer = document.createElement('div');
 		groupContainer.className = 'tree-group';
 		groupContainer.dataset.groupId = group.id;
@@ -158,7 +180,10 @@ export class TreeView {
 			if (data) {
 				try {
 					const payload = JSON.parse(data);
-					if (payload && payload.id) {
+					if (payload && payload.groupId) {
+						// Nest the dragged group in this one
+						this.manager.moveGroupToGroup(payload.groupId, group.id);
+					} else if (payload && payload.id) {
 						// Move object to this group
 						this.manager.groupManager.moveObjectToGroup(payload.id, group.id);
 					}
@@ -166,9 +191,22 @@ export class TreeView {
 			}
 		});
 		
-		// Header
+		// Header (dragged to nest the group in another one)
 		const header = document.createElement('div');
 		header.className = 'tree-group-header';
+		header.draggable = true;
+		header.addEventListener('dragstart', (e) => {
+			e.stopPropagation();
+			e.dataTransfer.setData('text/plain', JSON.stringify({ groupId: group.id }));
+			e.dataTransfer.effectAllowed = 'move';
+		});
+		// The top edge of the header places above the group, the rest drops into it
+		this.setupReorderTarget(header, group.id, false);
+		
+		// Visibility, lock and selection cover all sub-groups
+		const allObjects = this.manager.groupManager.getAllObjectIds(group.id)
+			.map(id => this.manager.placedObjects.find(o => o && o.id === id))
+			.filter(Boolean);
 		
 		const titleContainer = document.createElement('div');
 		titleContainer.style.display = 'flex';
@@ -196,10 +234,7 @@ export class TreeView {
 		visIcon.className = 'tree-vis-icon';
 		
 		// Determine state: if all hidden -> closed eye, else open eye
-		const allHidden = group.objectIds.every(id => {
-			const obj = this.manager.placedObjects.find(o => o && o.id === id);
-			return obj && (obj.isVisible === false);
-		});
+		const allHidden = allObjects.length > 0 && allObjects.every(obj => obj.isVisible === false);
 		
 		visIcon.innerText = allHidden ? '✕' : '👁';
 		visIcon.title = 'Toggle Group Visibility';
@@ -208,9 +243,27 @@ export class TreeView {
 			this.manager.toggleGroupVisibility(group.id);
 		};
 		
+		// Group Lock Icon
+		const lockIcon = document.createElement('span');
+		lockIcon.className = 'tree-vis-icon';
+		const allLocked = allObjects.length > 0 && allObjects.every(obj => obj.isLocked);
+		lockIcon.innerText = allLocked ? '🔒' : '🔓';
+		lockIcon.title = 'Toggle Group Lock';
+		lockIcon.onclick = (e) => {
+			e.stopPropagation();
+			this.manager.toggleGroupLock(group.id);
+		};
+		
 		const titleSpan = document.createElement('span');
 		titleSpan.innerText = group.name;
 		
+		// Prefab instances are marked and name their prefab
+		const prefab = group.prefabId ? this.manager.prefabManager.getPrefab(group.prefabId) : null;
+		if (prefab) {
+			header.classList.add('prefab-instance');
+			titleSpan.title = `Instance of prefab ${prefab.name}`;
+		}
+		
 		// Rename Logic
 		titleSpan.ondblclick = (e) => {
 			e.stopPropagation();
@@ -237,18 +290,58 @@ export class TreeView {
 		
 		titleContainer.appendChild(toggleIcon);
 		titleContainer.appendChild(visIcon); // Added visibility icon
+		titleContainer.appendChild(lockIcon);
+		if (prefab) {
+			const prefabIcon = document.createElement('span');
+			prefabIcon.className = 'tree-icon';
+			prefabIcon.innerText = '🧩';
+			titleContainer.appendChild(prefabIcon);
+		}
 		titleContainer.appendChild(titleSpan);
 		
-		// Actions (Delete)
+		// Actions (Frame, Prefab, Delete)
 		const actions = document.createElement('div');
 		actions.className = 'tree-group-actions';
+		
+		const addAction = (text, title, onClick) => {
+			const btn = document.createElement('button');
+			btn.className = 'btn-tree-action';
+			btn.innerText = text;
+			btn.title = title;
+			btn.onclick = (e) => {
+				e.stopPropagation();
+				onClick();
+			};
+			actions.appendChild(btn);
+		};
+		
+		addAction('⛶', 'Frame Group', () => this.manager.frameGroup(group.id));
+		
+		if (prefab) {
+			addAction('⇪', `Apply Changes to Prefab ${prefab.name}`, () => {
+				const instanceCount = this.manager.prefabManager.getInstances(prefab.id).length;
+				if (instanceCount > 1 && !confirm(`Apply "${group.name}" to prefab "${prefab.name}"? The other ${instanceCount - 1} instance(s) will be updated.`)) return;
+				this.manager.applyPrefabInstance(group.id);
+			});
+			addAction('↺', 'Revert to Prefab', () => this.manager.revertPrefabInstance(group.id));
+			addAction('⛓', 'Unlink from Prefab', () => this.manager.unlinkPrefabInstance(group.id));
+		} else {
+			addAction('🧩', 'Save as Prefab', () => {
+				const name = prompt('Prefab name:', group.name);
+				if (!name || !name.trim()) return;
+				if (!this.manager.createPrefabFromGroup(group.id, name.trim())) {
+					alert(`"${group.name}" has no objects that can be saved as a prefab.`);
+				}
+			});
+		}
+		
 		const btnDelete = document.createElement('button');
 		btnDelete.className = 'btn-tree-action delete';
 		btnDelete.innerHTML = '×';
 		btnDelete.title = 'Ungroup (Delete Group)';
 		btnDelete.onclick = (e) => {
 			e.stopPropagation();
-			if (confirm(`Ungroup "${group.name}"? Objects will not be deleted.`)) {
+			if (confirm(`Ungroup "${group.name}"? Objects will not be deleted, they and any sub-groups move up one level.`)) {
 				this.manager.deleteGroup(group.id);
 			}
 		};
@@ -257,16 +350,17 @@ export class TreeView {
 		header.appendChild(titleContainer);
 		header.appendChild(actions);
 		
-		// Select all in group on click (supports multi-select)
+		// Select all in group and its sub-groups on click (supports multi-select)
 		header.onclick = (e) => {
+			const groupIds = allObjects.map(obj => obj.id);
 			if (e.shiftKey || e.ctrlKey || e.metaKey) {
 				// Additive selection
 				const currentIds = this.manager.selectedMeshes.map(m => m.metadata.id);
-				const newIds = [...new Set([...currentIds, ...group.objectIds])];
+				const newIds = [...new Set([...currentIds, ...groupIds])];
 				this.manager.selectObjectsByIds(newIds);
 			} else {
 				// Exclusive selection
-				this.manager.selectObjectsByIds(group.objectIds);
+				this.manager.selectObjectsByIds(groupIds);
 			}
 		};
 		
@@ -276,20 +370,11 @@ export class TreeView {
 		const itemsContainer = document.createElement('div');
 		itemsContainer.className = 'tree-group-items';
 		
-		// Find objects belonging to this group
-		// Added null checks inside map and filter
-		const groupObjects = group.objectIds
-			.map(id => this.manager.placedObjects.find(o => o && o.id === id))
-			.filter(Boolean);
-		
-		groupObjects.sort((a, b) => a.name.localeCompare(b.name));
-		
-		groupObjects.forEach(obj => {
-			this.renderObjectItem(obj, itemsContainer);
-		});
+		// Sub-groups and the group's own objects
+		this.renderEntries(group.id, itemsContainer);
 		
 		groupContainer.appendChild(itemsContainer);
-		this.content.appendChild(groupContainer);
+		parentContainer.appendChild(groupContainer);
 	}
 	
 	renderObjectItem (obj, parentContainer) {
@@ -308,6 +393,7 @@ export class TreeView {
 			e.dataTransfer.setData('text/plain', JSON.stringify({ id: obj.id }));
 			e.dataTransfer.effectAllowed = 'move';
 		});
+		this.setupReorderTarget(item, obj.id, true);
 		
 		// Visibility Icon
 		const visIcon = document.createElement('span');
@@ -321,7 +407,7 @@ export class TreeView {
 		// Icon based on type
 		const icon = document.createElement('span');
 		icon.className = 'tree-icon';
-		icon.innerText = obj.type === 'light' ? '💡' : '📦';
+		icon.innerText = obj.type === 'light' ? '💡' : (obj.type === 'camera' ? '🎥' : '📦');
 		
 		const text = document.createElement('span');
 		text.innerText = obj.name;
@@ -374,6 +460,61 @@ export class TreeView {
 		parentContainer.appendChild(item);
 	}
 	
+	// Dropping on a tree item puts the dragged object or group above or below it.
+	// Reordering in a sorted mode switches to manual mode, starting from the shown order.
+	setupReorderTarget (element, targetId, canDropAfter) {
+		const isAfter = (e) => {
+			const rect = element.getBoundingClientRect();
+			const ratio = (e.clientY - rect.top) / rect.height;
+			// Group headers only take the top edge, below that the group itself is the drop target
+			return canDropAfter ? ratio > 0.5 : ratio > 0.3;
+		};
+		const clearMarks = () => element.classList.remove('drop-before', 'drop-after');
+		
+		element.addEventListener('dragover', (e) => {
+			const placeAfter = isAfter(e);
+			if (placeAfter && !canDropAfter) {
+				clearMarks();
+				return;
+			}
+			
+			e.preventDefault();
+			e.stopPropagation();
+			e.dataTransfer.dropEffect = 'move';
+			
+			// Only one drop target is highlighted at a time
+			const group = element.closest('.tree-group');
+			if (group) group.classList.remove('drag-over');
+			this.content.classList.remove('drag-over');
+			
+			element.classList.toggle('drop-before', !placeAfter);
+			element.classList.toggle('drop-after', placeAfter);
+		});
+		
+		element.addEventListener('dragleave', clearMarks);
+		
+		element.addEventListener('drop', (e) => {
+			const placeAfter = isAfter(e);
+			clearMarks();
+			if (placeAfter && !canDropAfter) return;
+			
+			e.preventDefault();
+			e.stopPropagation();
+			
+			const data = e.dataTransfer.getData('text/plain');
+			if (!data) return;
+			try {
+				const payload = JSON.parse(data);
+				const itemId = payload && (payload.groupId || payload.id);
+				if (itemId && this.manager.moveOutlinerItem(itemId, targetId, placeAfter, this.sortMode) && this.sortMode !== 'manual') {
+					this.setSortMode('manual');
+				}
+			} catch (err) {
+				console.error('Drop error', err);
+			}
+		});
+	}
+	
 	highlightSelection (selectedData) {
 		// Clear all highlights
 		const allItems = this.content.querySelectorAll('.tree-item');
@@ -392,12 +533,13 @@ export class TreeView {
 			if (el) el.classList.add('selected');
 		});
 		
-		// Check Groups: If all items in a group are selected, highlight header
+		// Check Groups: If all items in a group (and its sub-groups) are selected, highlight header
 		this.manager.groups.forEach(group => {
-			if (group.objectIds.length > 0) {
-				const allSelected = group.objectIds.every(id => selectedIds.includes(id));
+			const groupIds = this.manager.groupManager.getAllObjectIds(group.id);
+			if (groupIds.length > 0) {
+				const allSelected = groupIds.every(id => selectedIds.includes(id));
 				if (allSelected) {
-					const groupEl = this.content.querySelector(`.tree-group[data-group-id="${group.id}"] .tree-group-header`);
+					const groupEl = this.content.querySelector(`.tree-group[data-group-id="${group.id}"] > .tree-group-header`);
 					if (groupEl) groupEl.classList.add('selected');
 				}
 			}
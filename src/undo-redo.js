@@ -5,9 +5,50 @@ export class UndoRedoManager {
 		this.historyIndex = -1;
 		this.maxHistory = 50;
 		this.onHistoryChange = null;
+		
+		// Open transaction: { label, actions, depth }
+		this.transaction = null;
+		// Actions with the same coalesceKey added within this window merge into one entry
+		this.coalesceWindow = 1000;
+		// True while undo/redo/jumpTo waits for a store asset to load
+		this.isBusy = false;
+		// State recorded as whole copies, by key: { label, clone, restore }
+		this.snapshots = {};
+	}
+	
+	clear () {
+		this.history = [];
+		this.historyIndex = -1;
+		this.transaction = null;
+		if (this.onHistoryChange) this.onHistoryChange();
 	}
 	
+	/**
+	 * Records an action.
+	 * Inside a transaction the action is collected until commit().
+	 * Actions with a coalesceKey merge into the previous entry if it has the same key
+	 * and was recorded less than coalesceWindow ms ago (held arrow keys, spinner clicks).
+	 * @param {Object} action - { type, data, label?, coalesceKey? }
+	 */
 	add (action) {
+		// Describe the step now, while the affected objects still exist
+		if (!action.label) action.label = this.describeAction(action);
+		action.time = Date.now();
+		
+		if (this.transaction) {
+			this.transaction.actions.push(action);
+			return;
+		}
+		
+		if (this.tryCoalesce(action)) {
+			if (this.onHistoryChange) this.onHistoryChange();
+			return;
+		}
+		
+		this.push(action);
+	}
+	
+	push (action) {
 		// Remove any future history if we are in the middle of the stack
 		if (this.historyIndex < this.history.length - 1) {
 			this.history = this.history.slice(0, this.historyIndex + 1);
@@ -23,42 +64,317 @@ export class UndoRedoManager {
 		if (this.onHistoryChange) this.onHistoryChange();
 	}
 	
-	undo () {
-		if (this.historyIndex < 0) return;
+	// --- Snapshots ---
+	
+	/**
+	 * Registers state that is undone by restoring a full copy (groups, sets, prefabs...).
+	 * @param {string} key - Stored in the SNAPSHOT actions of this state
+	 * @param {Object} handlers - { label, clone: () => copy, restore: (copy) => void } restore must not record history
+	 */
+	registerSnapshot (key, handlers) {
+		this.snapshots[key] = handlers;
+	}
+	
+	/**
+	 * Adds a SNAPSHOT action if the state changed since oldValue was cloned.
+	 * @param {string} key - Registered snapshot key
+	 * @param {*} oldValue - Copy taken with the same clone() before the change
+	 * @param {string} [label] - Defaults to the registered label
+	 */
+	recordSnapshot (key, oldValue, label) {
+		const newValue = this.snapshots[key].clone();
+		if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+		
+		this.add({
+			type: 'SNAPSHOT',
+			key: key,
+			label: label,
+			data: { oldValue: oldValue, newValue: newValue }
+		});
+	}
+	
+	// --- Transactions ---
+	
+	/**
+	 * Starts collecting actions into a single history entry.
+	 * Transactions nest; only the outermost commit() records the entry.
+	 * @param {string} label - History label for the merged entry
+	 */
+	begin (label) {
+		if (this.transaction) {
+			this.transaction.depth++;
+			return;
+		}
+		this.transaction = { label: label || null, actions: [], depth: 1 };
+	}
+	
+	commit () {
+		if (!this.transaction) return;
+		
+		this.transaction.depth--;
+		if (this.transaction.depth > 0) return;
+		
+		const { label, actions } = this.transaction;
+		this.transaction = null;
 		
-		const action = this.history[this.historyIndex];
-		// Get IDs of objects involved in this undo step
-		const affectedIds = this.revertAction(action);
-		this.historyIndex--;
+		if (actions.length === 0) return;
 		
+		if (actions.length === 1) {
+			if (label) actions[0].label = label;
+			this.push(actions[0]);
+		} else {
+			this.push({
+				type: 'BATCH',
+				label: label || `${actions.length} changes`,
+				time: Date.now(),
+				data: actions
+			});
+		}
+	}
+	
+	// Reverts everything recorded since begin() and discards the transaction
+	async cancel () {
+		if (!this.transaction) return;
+		
+		const actions = this.transaction.actions;
+		this.transaction = null;
+		
+		for (let i = actions.length - 1; i >= 0; i--) {
+			await this.revertAction(actions[i]);
+		}
+	}
+	
+	// Store actions load assets asynchronously, so one walk has to finish before the
+	// next history command starts; commands issued meanwhile are ignored
+	async runExclusive (fn) {
+		if (this.isBusy) return;
+		
+		this.isBusy = true;
 		if (this.onHistoryChange) this.onHistoryChange();
+		try {
+			await fn();
+		} finally {
+			this.isBusy = false;
+			if (this.onHistoryChange) this.onHistoryChange();
+		}
+	}
+	
+	// Commits any transaction left open before the stack is walked
+	closeTransaction () {
+		if (!this.transaction) return;
+		console.warn('[UndoRedo] Committing an unfinished transaction');
+		this.transaction.depth = 1;
+		this.commit();
+	}
+	
+	tryCoalesce (action) {
+		if (!action.coalesceKey) return false;
+		
+		// Only merge into the newest entry, never into one that was undone
+		if (this.historyIndex !== this.history.length - 1 || this.historyIndex < 0) return false;
+		
+		const last = this.history[this.historyIndex];
+		if (last.coalesceKey !== action.coalesceKey || last.type !== action.type) return false;
+		if (action.time - last.time > this.coalesceWindow) return false;
 		
-		// Reselect the affected objects if they exist
-		if (affectedIds && affectedIds.length > 0) {
-			this.manager.selectObjectsByIds(affectedIds);
+		if (action.type === 'TRANSFORM') {
+			// Keep the first oldData, take the latest newData
+			action.data.forEach(change => {
+				const existing = last.data.find(c => c.id === change.id);
+				if (existing) existing.newData = change.newData;
+				else last.data.push(change);
+			});
+		} else if (action.type === 'PROPERTY') {
+			action.data.forEach(change => {
+				const existing = last.data.find(c => c.id === change.id && c.prop === change.prop);
+				if (existing) existing.newValue = change.newValue;
+				else last.data.push(change);
+			});
+		} else {
+			return false;
 		}
+		
+		last.time = action.time;
+		last.label = action.label;
+		return true;
+	}
+	
+	undo () {
+		if (this.isBusy) return Promise.resolve();
+		this.closeTransaction();
+		if (this.historyIndex < 0) return Promise.resolve();
+		
+		return this.runExclusive(async () => {
+			const action = this.history[this.historyIndex];
+			// Get IDs of objects involved in this undo step
+			const affectedIds = await this.revertAction(action);
+			this.historyIndex--;
+			
+			// Reselect the affected objects if they exist
+			if (affectedIds && affectedIds.length > 0) {
+				this.manager.selectObjectsByIds(affectedIds);
+			}
+		});
 	}
 	
 	redo () {
-		if (this.historyIndex >= this.history.length - 1) return;
+		if (this.isBusy) return Promise.resolve();
+		this.closeTransaction();
+		if (this.historyIndex >= this.history.length - 1) return Promise.resolve();
 		
-		this.historyIndex++;
-		const action = this.history[this.historyIndex];
-		// Get IDs of objects involved in this redo step
-		const affectedIds = this.applyAction(action);
+		return this.runExclusive(async () => {
+			const action = this.history[this.historyIndex + 1];
+			// Get IDs of objects involved in this redo step
+			const affectedIds = await this.applyAction(action);
+			this.historyIndex++;
+			
+			// Reselect the affected objects if they exist
+			if (affectedIds && affectedIds.length > 0) {
+				this.manager.selectObjectsByIds(affectedIds);
+			}
+		});
+	}
+	
+	/**
+	 * Undoes or redoes as many steps as needed to reach a history index.
+	 * -1 is the state before the first recorded step.
+	 * Each step finishes (store assets included) before the next one starts.
+	 * @param {number} targetIndex - Index into history
+	 * @returns {Promise} Resolves when the target is reached
+	 */
+	jumpTo (targetIndex) {
+		if (this.isBusy) return Promise.resolve();
+		this.closeTransaction();
+		if (targetIndex < -1 || targetIndex >= this.history.length || targetIndex === this.historyIndex) return Promise.resolve();
 		
-		if (this.onHistoryChange) this.onHistoryChange();
+		return this.runExclusive(async () => {
+			let affectedIds = [];
+			while (this.historyIndex > targetIndex) {
+				affectedIds = await this.revertAction(this.history[this.historyIndex]);
+				this.historyIndex--;
+			}
+			while (this.historyIndex < targetIndex) {
+				affectedIds = await this.applyAction(this.history[this.historyIndex + 1]);
+				this.historyIndex++;
+			}
+			
+			// Only reselect what the last step touched, like a single undo/redo would
+			const existingIds = (affectedIds || []).filter(id => this.manager.placedObjects.some(o => o.id === id));
+			if (existingIds.length > 0) {
+				this.manager.selectObjectsByIds(existingIds);
+			}
+		});
+	}
+	
+	setMaxHistory (max) {
+		this.maxHistory = Math.max(1, max);
+		
+		// Drop the oldest steps if the new limit is smaller
+		const overflow = this.history.length - this.maxHistory;
+		if (overflow > 0) {
+			this.history.splice(0, overflow);
+			this.historyIndex = Math.max(-1, this.historyIndex - overflow);
+			if (this.onHistoryChange) this.onHistoryChange();
+		}
+	}
+	
+	// --- Labels ---
+	
+	describeAction (action) {
+		const data = action.data;
+		
+		switch (action.type) {
+			case 'ADD':
+				return `Added ${this.describeObjects(data.map(item => item.name))}`;
+			case 'DELETE':
+				return `Deleted ${this.describeObjects(data.map(item => item.name))}`;
+			case 'TRANSFORM':
+				return `${this.describeTransform(data)} ${this.describeObjects(this.getObjectNames(data.map(c => c.id)))}`;
+			case 'PROPERTY':
+				return this.describeProperty(data);
+			case 'REPLACE':
+				return `Replaced ${this.describeObjects(data.map(c => c.oldData.name))}`;
+			case 'SNAPSHOT':
+				return this.snapshots[action.key].label;
+			case 'STORE_ADD':
+				return `Added '${data.name}' to store`;
+			case 'STORE_REMOVE':
+				return `Removed '${data.asset.name}' from store`;
+			case 'BATCH':
+				return `${data.length} changes`;
+		}
+		
+		return action.type;
+	}
+	
+	describeObjects (names) {
+		if (names.length === 1) return names[0];
+		return `${names.length} objects`;
+	}
+	
+	getObjectNames (ids) {
+		return ids.map(id => {
+			const obj = this.manager.placedObjects.find(o => o.id === id);
+			return obj ? obj.name : 'object';
+		});
+	}
+	
+	describeTransform (changes) {
+		const changed = (key) => changes.some(c => JSON.stringify(c.oldData[key]) !== JSON.stringify(c.newData[key]));
+		const keys = ['position', 'rotation', 'scaling'].filter(changed);
+		
+		if (keys.length === 1) {
+			if (keys[0] === 'position') return 'Moved';
+			if (keys[0] === 'rotation') return 'Rotated';
+			return 'Scaled';
+		}
+		return 'Transformed';
+	}
+	
+	describeProperty (changes) {
+		const first = changes[0];
+		const targets = this.describeObjects(this.getObjectNames(changes.map(c => c.id)));
 		
-		// Reselect the affected objects if they exist
-		if (affectedIds && affectedIds.length > 0) {
-			this.manager.selectObjectsByIds(affectedIds);
+		switch (first.prop) {
+			case 'isVisible':
+				return `${first.newValue ? 'Showed' : 'Hid'} ${targets}`;
+			case 'isLocked':
+				return `${first.newValue ? 'Locked' : 'Unlocked'} ${targets}`;
+			case 'name':
+				return `Renamed ${first.oldValue} to ${first.newValue}`;
+			case 'castShadows':
+				return `${first.newValue ? 'Enabled' : 'Disabled'} shadows on ${targets}`;
+			case 'color':
+				return `Changed color of ${targets}`;
+			case 'specularColor':
+				return `Changed specular color of ${targets}`;
+			case 'groundColor':
+				return `Changed ground color of ${targets}`;
+			case 'intensity':
+				return `Set intensity of ${targets} to ${first.newValue}`;
+			case 'direction':
+				return `Changed direction of ${targets}`;
+			case 'fov':
+				return `Set field of view of ${targets} to ${first.newValue}°`;
 		}
+		
+		return `Changed ${first.prop} of ${targets}`;
 	}
 	
-	applyAction (action) {
+	// Resolves with the ids to reselect once the step is fully applied
+	async applyAction (action) {
 		const affectedIds = [];
 		
 		switch (action.type) {
+			// Transaction (actions are applied in recorded order, each one finished first)
+			case 'BATCH':
+				for (const inner of action.data) {
+					(await this.applyAction(inner) || []).forEach(id => {
+						if (!affectedIds.includes(id)) affectedIds.push(id);
+					});
+				}
+				break;
+			
 			case 'ADD':
 				// action.data is an array of objects
 				action.data.forEach(item => {
@@ -72,6 +388,8 @@ export class UndoRedoManager {
 					this.manager.removeObjectById(item.id, false);
 					// We don't select deleted objects
 				});
+				if (action.groups) this.manager.groupManager.setGroups(action.groups.newGroups);
+				if (action.selectionSets) this.manager.selectionSetManager.setSets(action.selectionSets.newSets);
 				// Clear selection after batch delete
 				if (this.manager.onSelectionChange) this.manager.onSelectionChange(null);
 				break;
@@ -83,23 +401,60 @@ export class UndoRedoManager {
 				});
 				break;
 			
-			// Property Change (Visibility)
+			// Asset swap (object is rebuilt from the full data snapshot)
+			case 'REPLACE':
+				action.data.forEach(change => {
+					this.manager.operationManager.rebuildObject(change.newData);
+					affectedIds.push(change.id);
+				});
+				if (this.manager.onListChange) this.manager.onListChange();
+				break;
+			
+			// Property Change (Visibility, name, lock, light settings)
 			case 'PROPERTY':
 				action.data.forEach(change => {
-					if (change.prop === 'isVisible') {
-						this.manager.propertyManager.setObjectVisibility(change.id, change.newValue);
-					}
+					this.manager.propertyManager.setObjectProperty(change.id, change.prop, change.newValue);
+					// Hidden objects are not reselected
+					if (change.prop !== 'isVisible') affectedIds.push(change.id);
+				});
+				this.manager.propertyManager.refreshAfterPropertyChange(action.data.map(c => c.prop));
+				break;
+			
+			// Groups, selection sets, prefabs, tree order, camera bookmarks (full copies)
+			case 'SNAPSHOT':
+				this.snapshots[action.key].restore(action.data.newValue);
+				break;
+			
+			// Asset Store
+			case 'STORE_ADD':
+				await this.restoreStoreAsset(action.data);
+				break;
+			case 'STORE_REMOVE':
+				action.data.objects.forEach(item => {
+					this.manager.removeObjectById(item.id);
 				});
+				this.manager.groupManager.setGroups(action.data.groups.newGroups);
+				if (action.data.selectionSets) this.manager.selectionSetManager.setSets(action.data.selectionSets.newSets);
+				this.manager.removeAssetDefinition(action.data.asset.name);
+				if (this.manager.onStoreChange) this.manager.onStoreChange();
 				break;
 		}
 		
 		return affectedIds;
 	}
 	
-	revertAction (action) {
+	async revertAction (action) {
 		const affectedIds = [];
 		
 		switch (action.type) {
+			case 'BATCH':
+				for (let i = action.data.length - 1; i >= 0; i--) {
+					(await this.revertAction(action.data[i]) || []).forEach(id => {
+						if (!affectedIds.includes(id)) affectedIds.push(id);
+					});
+				}
+				break;
+			
 			case 'ADD':
 				action.data.forEach(item => {
 					this.manager.removeObjectById(item.id, false);
@@ -111,6 +466,8 @@ export class UndoRedoManager {
 					this.manager.restoreObject(item);
 					affectedIds.push(item.id);
 				});
+				if (action.groups) this.manager.groupManager.setGroups(action.groups.oldGroups);
+				if (action.selectionSets) this.manager.selectionSetManager.setSets(action.selectionSets.oldSets);
 				break;
 			case 'TRANSFORM':
 				action.data.forEach(change => {
@@ -119,17 +476,54 @@ export class UndoRedoManager {
 				});
 				break;
 			
-			// Property Change (Visibility)
+			case 'REPLACE':
+				action.data.forEach(change => {
+					this.manager.operationManager.rebuildObject(change.oldData);
+					affectedIds.push(change.id);
+				});
+				if (this.manager.onListChange) this.manager.onListChange();
+				break;
+			
+			// Property Change (Visibility, name, lock, light settings)
 			case 'PROPERTY':
 				action.data.forEach(change => {
-					if (change.prop === 'isVisible') {
-						// Use setter to avoid adding new history entry
-						this.manager.propertyManager.setObjectVisibility(change.id, change.oldValue);
-					}
+					// Use setter to avoid adding new history entry
+					this.manager.propertyManager.setObjectProperty(change.id, change.prop, change.oldValue);
+					if (change.prop !== 'isVisible') affectedIds.push(change.id);
+				});
+				this.manager.propertyManager.refreshAfterPropertyChange(action.data.map(c => c.prop));
+				break;
+			
+			case 'SNAPSHOT':
+				this.snapshots[action.key].restore(action.data.oldValue);
+				break;
+			
+			case 'STORE_ADD':
+				this.manager.removeAssetDefinition(action.data.name);
+				if (this.manager.onStoreChange) this.manager.onStoreChange();
+				break;
+			case 'STORE_REMOVE':
+				// The template has to load again before its instances can be rebuilt
+				await this.restoreStoreAsset(action.data.asset);
+				action.data.objects.forEach(item => {
+					this.manager.restoreObject(item);
+					affectedIds.push(item.id);
 				});
+				this.manager.groupManager.setGroups(action.data.groups.oldGroups);
+				if (action.data.selectionSets) this.manager.selectionSetManager.setSets(action.data.selectionSets.oldSets);
 				break;
 		}
 		
 		return affectedIds;
 	}
+	
+	// Re-adds an asset store entry without recording history
+	async restoreStoreAsset (asset) {
+		try {
+			await this.manager.assetManager.addToStore(asset.name, asset.file, asset.thumbnail);
+		} catch (e) {
+			console.error(`Failed to restore asset '${asset.name}'`, e);
+		}
+		if (this.manager.onStoreChange) this.manager.onStoreChange();
+	}
 }
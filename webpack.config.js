@@ -3,6 +3,14 @@ const HtmlWebpackPlugin = require('html-webpack-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
 const fs = require('fs'); // Required for file writing
 
+// Project map library (one <name>.json per map, with an optional <name>.png thumbnail)
+const MAPS_DIR = path.join(__dirname, 'maps');
+
+// Map names become file names, so only allow a safe subset (no path separators)
+const isValidMapName = (name) => typeof name === 'string' && /^[\w\- .]+$/.test(name) && !name.startsWith('.');
+const mapJsonPath = (name) => path.join(MAPS_DIR, `${name}.json`);
+const mapThumbPath = (name) => path.join(MAPS_DIR, `${name}.png`);
+
 module.exports = {
 	entry: './src/index.js',
 	output: {
@@ -116,6 +124,113 @@ module.exports = {
 				});
 			});
 			
+			// 3. Map Library Endpoints
+			devServer.app.get('/maps/list', (req, res) => {
+				if (!fs.existsSync(MAPS_DIR)) {
+					return res.json([]);
+				}
+				
+				const maps = fs.readdirSync(MAPS_DIR)
+					.filter(file => file.endsWith('.json'))
+					.map(file => {
+						const name = file.slice(0, -'.json'.length);
+						const stats = fs.statSync(mapJsonPath(name));
+						return {
+							name: name,
+							modified: stats.mtime.toISOString(),
+							size: stats.size,
+							hasThumbnail: fs.existsSync(mapThumbPath(name))
+						};
+					})
+					.sort((a, b) => b.modified.localeCompare(a.modified));
+				
+				res.json(maps);
+			});
+			
+			devServer.app.get('/maps/load', (req, res) => {
+				const { name } = req.query;
+				if (!isValidMapName(name)) return res.status(400).send("Invalid map name");
+				if (!fs.existsSync(mapJsonPath(name))) return res.status(404).send("Map not found");
+				
+				res.type('application/json').send(fs.readFileSync(mapJsonPath(name), 'utf8'));
+			});
+			
+			devServer.app.get('/maps/thumbnail', (req, res) => {
+				const { name } = req.query;
+				if (!isValidMapName(name) || !fs.existsSync(mapThumbPath(name))) return res.sendStatus(404);
+				
+				res.sendFile(mapThumbPath(name));
+			});
+			
+			devServer.app.post('/maps/save', (req, res) => {
+				const { name, data, thumbnail, overwrite } = req.body;
+				if (!isValidMapName(name)) return res.status(400).send("Invalid map name");
+				if (!data) return res.status(400).send("Missing map data");
+				
+				// Refuse to silently replace a different map (Save As onto an existing name)
+				if (fs.existsSync(mapJsonPath(name)) && !overwrite) {
+					return res.status(409).send("A map with this name already exists");
+				}
+				
+				try {
+					fs.mkdirSync(MAPS_DIR, { recursive: true });
+					fs.writeFileSync(mapJsonPath(name), JSON.stringify(data, null, 2));
+					if (thumbnail) {
+						const base64Data = thumbnail.replace(/^data:image\/png;base64,/, "");
+						fs.writeFileSync(mapThumbPath(name), base64Data, 'base64');
+					}
+				} catch (err) {
+					console.error("Error saving map:", err);
+					return res.status(500).send("Error saving map");
+				}
+				
+				console.log(`[Webpack Dev Server] Saved map: ${name}`);
+				res.json({ name: name, modified: fs.statSync(mapJsonPath(name)).mtime.toISOString() });
+			});
+			
+			devServer.app.post('/maps/rename', (req, res) => {
+				const { name, newName } = req.body;
+				if (!isValidMapName(name) || !isValidMapName(newName)) return res.status(400).send("Invalid map name");
+				if (!fs.existsSync(mapJsonPath(name))) return res.status(404).send("Map not found");
+				if (name === newName) return res.sendStatus(200);
+				if (fs.existsSync(mapJsonPath(newName))) return res.status(409).send("A map with this name already exists");
+				
+				try {
+					// Keep the name stored inside the map in sync with its file name
+					const data = JSON.parse(fs.readFileSync(mapJsonPath(name), 'utf8'));
+					data.name = newName;
+					fs.writeFileSync(mapJsonPath(newName), JSON.stringify(data, null, 2));
+					fs.unlinkSync(mapJsonPath(name));
+					
+					if (fs.existsSync(mapThumbPath(name))) {
+						fs.renameSync(mapThumbPath(name), mapThumbPath(newName));
+					}
+				} catch (err) {
+					console.error("Error renaming map:", err);
+					return res.status(500).send("Error renaming map");
+				}
+				
+				console.log(`[Webpack Dev Server] Renamed map: ${name} -> ${newName}`);
+				res.sendStatus(200);
+			});
+			
+			devServer.app.post('/maps/delete', (req, res) => {
+				const { name } = req.body;
+				if (!isValidMapName(name)) return res.status(400).send("Invalid map name");
+				if (!fs.existsSync(mapJsonPath(name))) return res.status(404).send("Map not found");
+				
+				try {
+					fs.unlinkSync(mapJsonPath(name));
+					if (fs.existsSync(mapThumbPath(name))) fs.unlinkSync(mapThumbPath(name));
+				} catch (err) {
+					console.error("Error deleting map:", err);
+					return res.status(500).send("Error deleting map");
+				}
+				
+				console.log(`[Webpack Dev Server] Deleted map: ${name}`);
+				res.sendStatus(200);
+			});
+			
 			return middlewares;
 		}
 	},